@@ -16,6 +16,7 @@ export type { CursorStreamEvent, CursorJsonResult };
 
 export type CursorAgentConfig = CursorAgentBaseOptions & {
   env?: Record<string, string | undefined>;
+  cwd?: string;
   defaultModel?: string;
 };
 
@@ -131,6 +132,7 @@ async function* asyncStreamIterator(stream: Readable): AsyncGenerator<string> {
 export class CursorAgent {
   private readonly baseOptions: CursorAgentBaseOptions;
   private readonly env: Record<string, string | undefined>;
+  private readonly cwd: string | undefined;
   private readonly defaultModel: string | undefined;
 
   constructor(config: CursorAgentConfig = {}) {
@@ -151,6 +153,7 @@ export class CursorAgent {
     }
     this.baseOptions = baseOptions;
     this.env = config.env ?? {};
+    this.cwd = config.cwd;
     this.defaultModel = config.defaultModel;
   }
 
@@ -308,6 +311,7 @@ export class CursorAgent {
     const proc = spawn(program, args, {
       stdio: ["ignore", "pipe", "pipe"],
       env: mergeEnv(DEFAULT_ENV, this.env),
+      cwd: this.cwd,
     }) as ChildProcess & {
       stdout: Readable;
       stderr: Readable;
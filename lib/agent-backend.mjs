@@ -0,0 +1,690 @@
+/**
+ * Agent Backends - One Event Model for Every Coding-Agent CLI
+ *
+ * runAgent() used to drive cursor-agent directly and read its stream-json
+ * events everywhere. A backend wraps one headless coding-agent CLI and turns
+ * its JSON stream into the normalized events below, so the same tasks.json can
+ * be run (and compared) with different agents.
+ *
+ * Backends:
+ * - cursor: cursor-agent (via cursor-agent-sdk), needs CURSOR_API_KEY
+ * - codex: `codex exec --json` (OpenAI Codex CLI)
+ * - gemini: `gemini --output-format stream-json` (Gemini CLI)
+ *
+ * Selecting a Backend (first match wins):
+ * 1. `--backend <name>` on the dev commands
+ * 2. `agentBackend` at the top level of tasks.json
+ * 3. RALPH_AGENT_BACKEND (environment or the orchestrator's .env)
+ * 4. "cursor"
+ * PRD and task generation use 3. and 4. only.
+ *
+ * Normalized Events (yielded by backend.stream()):
+ * - { type: "session", sessionId } - conversation to resume later
+ * - { type: "message", role: "system"|"user", text } - conversation context
+ * - { type: "thinking", text } / { type: "thinking", done: true } - reasoning
+ *   chunks, then the end of a reasoning block
+ * - { type: "assistant", text } - response text (chunks are concatenated)
+ * - { type: "tool_call", callId, tool } - a tool started
+ * - { type: "tool_result", callId, tool, success, exitCode, output, error } -
+ *   it finished; success is false when the tool itself failed (a shell command
+ *   exiting non-zero still succeeded - see exitCode)
+ * - { type: "usage", usage: { input_tokens, output_tokens, cached_input_tokens } }
+ *
+ * tool is { kind, name, args, path?, command? }: kind is one of TOOL_KINDS,
+ * name the backend's own tool name (the MCP tool's name for MCP calls), path
+ * is set for file tools and command for shell commands (including the MCP
+ * execute_shell_command tool). Every event keeps the backend's event as `raw`.
+ */
+
+import { spawn } from "child_process";
+import { createInterface } from "readline";
+import { CursorAgent } from "../cursor-agent-sdk/dist/index.js";
+import { DEFAULT_AGENT_BACKEND } from "./config.mjs";
+
+/**
+ * Tool Kinds of the Normalized Event Model
+ */
+export const TOOL_KINDS = [
+  "read",
+  "write",
+  "edit",
+  "delete",
+  "shell",
+  "search",
+  "todo",
+  "mcp",
+  "other",
+];
+
+const MCP_SHELL_TOOL = "execute_shell_command";
+
+/**
+ * Agent Backend Error Class
+ *
+ * Thrown for an unknown backend name and when a backend's CLI exits with an
+ * error (carries its exit code and stderr).
+ */
+export class AgentBackendError extends Error {
+  constructor(message, { backend, exitCode = null, stderr = "" } = {}) {
+    super(message);
+    this.name = "AgentBackendError";
+    this.backend = backend;
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+  }
+}
+
+/**
+ * Parse Tool Arguments
+ *
+ * @param {Object|string|undefined} args - Arguments object or JSON string
+ * @returns {Object} Arguments object ({} if missing or unparsable)
+ */
+function parseArgs(args) {
+  if (typeof args !== "string") {
+    return args || {};
+  }
+  try {
+    return JSON.parse(args);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build a Normalized Tool Description
+ *
+ * @param {string} kind - One of TOOL_KINDS
+ * @param {string} name - Backend (or MCP) tool name
+ * @param {Object} args - Tool arguments
+ * @param {string} [filePath] - File the tool works on (file tools)
+ * @returns {{kind: string, name: string, args: Object, path?: string, command?: string}}
+ */
+function describeTool(kind, name, args, filePath) {
+  const tool = { kind, name, args };
+  if (filePath) {
+    tool.path = filePath;
+  }
+  if ((kind === "shell" || name === MCP_SHELL_TOOL) && args.command) {
+    tool.command = args.command;
+  }
+  return tool;
+}
+
+/**
+ * Normalize a Stream of Backend Events
+ *
+ * @param {AsyncIterable<Object>} rawEvents - The backend CLI's own events
+ * @param {Function} normalize - (event) => normalized events (see createNormalizer)
+ * @yields {Object} Normalized events, each with the backend event as `raw`
+ */
+export async function* normalizeEvents(rawEvents, normalize) {
+  for await (const raw of rawEvents) {
+    for (const event of normalize(raw)) {
+      yield { ...event, raw };
+    }
+  }
+}
+
+/**
+ * Define a Backend
+ *
+ * A backend provides rawEvents(options), the CLI's own JSON events, and
+ * createNormalizer(), which returns a function turning one of them into
+ * normalized events (stateful for CLIs that only send IDs in results). The
+ * split lets recordings store the CLI's events and replays normalize them
+ * again (see agent-replay.mjs).
+ *
+ * @param {Object} backend - { name, binary, apiKeyEnv, rawEvents, createNormalizer }
+ * @returns {Object} The backend with stream(options) yielding normalized events
+ */
+export function defineBackend(backend) {
+  return {
+    ...backend,
+    stream: (options) =>
+      normalizeEvents(backend.rawEvents(options), backend.createNormalizer()),
+  };
+}
+
+/**
+ * Run a CLI and Yield Its JSON Lines
+ *
+ * @param {string} backend - Backend name (for errors)
+ * @param {string[]} command - Program and arguments
+ * @param {Object} options - Process options
+ * @param {string} options.cwd - Working directory
+ * @param {AbortSignal|null} options.signal - Kills the process when fired
+ * @yields {Object} Parsed JSON objects (other lines are skipped)
+ * @throws {AgentBackendError} If the CLI cannot start or exits with an error
+ */
+async function* streamJsonLines(backend, command, { cwd, signal }) {
+  const [program, ...args] = command;
+  const proc = spawn(program, args, {
+    cwd,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const onAbort = () => proc.kill();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  let stderr = "";
+  proc.stderr.on("data", (chunk) => {
+    stderr += chunk;
+  });
+  const exit = new Promise((resolve) => {
+    proc.once("error", (error) => resolve({ error }));
+    proc.once("close", (code) => resolve({ code }));
+  });
+
+  try {
+    for await (const line of createInterface({ input: proc.stdout })) {
+      if (!line.trim().startsWith("{")) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        // Partial or non-JSON output line
+      }
+    }
+    const { code, error } = await exit;
+    if (error) {
+      throw new AgentBackendError(
+        `Could not start ${program}: ${error.message}`,
+        { backend },
+      );
+    }
+    if (code !== 0 && !signal?.aborted) {
+      throw new AgentBackendError(stderr.trim() || `${program} failed`, {
+        backend,
+        exitCode: code,
+        stderr,
+      });
+    }
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    if (proc.exitCode === null) {
+      proc.kill(); // Consumer stopped early
+    }
+  }
+}
+
+// ============================================================================
+// CURSOR (cursor-agent stream-json)
+// ============================================================================
+
+const CURSOR_TOOL_KINDS = {
+  readToolCall: "read",
+  writeToolCall: "write",
+  editToolCall: "edit",
+  deleteToolCall: "delete",
+  shellToolCall: "shell",
+  grepToolCall: "search",
+  lsToolCall: "search",
+  globToolCall: "search",
+  updateTodosToolCall: "todo",
+};
+
+/**
+ * Normalize a cursor-agent tool_call Payload
+ *
+ * @param {Object} toolCall - event.tool_call ({ <name>ToolCall: { args, result } })
+ * @returns {{tool: Object, result: Object|undefined}} Normalized tool and raw result
+ */
+function normalizeCursorToolCall(toolCall) {
+  const mcpCall = toolCall.mcpToolCall;
+  if (mcpCall) {
+    const name = mcpCall.args?.toolName || mcpCall.args?.name || "unknown";
+    return {
+      tool: describeTool("mcp", name, parseArgs(mcpCall.args?.args)),
+      result: mcpCall.result,
+    };
+  }
+  const functionCall = toolCall.functionCall || toolCall.function;
+  if (functionCall) {
+    return {
+      tool: describeTool(
+        "mcp",
+        functionCall.name,
+        parseArgs(functionCall.arguments),
+      ),
+      result: functionCall.result,
+    };
+  }
+  const [name = "unknown"] = Object.keys(toolCall);
+  const args = parseArgs(toolCall[name]?.args);
+  // Built-in tools are <name>ToolCall; anything else comes from an MCP server
+  const kind =
+    CURSOR_TOOL_KINDS[name] || (name.endsWith("ToolCall") ? "other" : "mcp");
+  return {
+    tool: describeTool(
+      kind,
+      name,
+      args,
+      ["read", "write", "edit", "delete"].includes(kind) ? args.path : null,
+    ),
+    result: toolCall[name]?.result,
+  };
+}
+
+/**
+ * Normalize a cursor-agent Event
+ *
+ * @param {Object} event - cursor-agent stream-json event
+ * @returns {Object[]} Normalized events
+ */
+function normalizeCursorEvent(event) {
+  switch (event.type) {
+    case "user":
+      return [
+        {
+          type: "message",
+          role: "user",
+          text: (event.message?.content || []).map((c) => c.text).join(""),
+        },
+      ];
+    case "thinking":
+      return event.subtype === "completed"
+        ? [{ type: "thinking", done: true }]
+        : [{ type: "thinking", text: event.text || "" }];
+    case "assistant":
+      return [
+        {
+          type: "assistant",
+          text: (event.message?.content || [])
+            .map((c) => c.text || "")
+            .join(""),
+        },
+      ];
+    case "tool_call": {
+      const { tool, result } = normalizeCursorToolCall(event.tool_call || {});
+      if (event.subtype !== "completed") {
+        return [{ type: "tool_call", callId: event.call_id, tool }];
+      }
+      return [
+        {
+          type: "tool_result",
+          callId: event.call_id,
+          tool,
+          success: !result?.error,
+          exitCode:
+            result?.success?.exitCode ?? result?.failure?.exitCode ?? null,
+          output: result?.success?.content ?? result?.success?.stdout ?? "",
+          error: result?.error?.message ?? null,
+        },
+      ];
+    }
+    case "result":
+      return event.usage
+        ? [
+            {
+              type: "usage",
+              usage: {
+                input_tokens:
+                  event.usage.inputTokens ?? event.usage.input_tokens ?? 0,
+                output_tokens:
+                  event.usage.outputTokens ?? event.usage.output_tokens ?? 0,
+                cached_input_tokens:
+                  event.usage.cacheReadTokens ??
+                  event.usage.cached_input_tokens ??
+                  0,
+              },
+            },
+          ]
+        : [];
+    default:
+      return [];
+  }
+}
+
+const cursorBackend = defineBackend({
+  name: "cursor",
+  binary: "cursor-agent",
+  apiKeyEnv: "CURSOR_API_KEY",
+
+  rawEvents: ({ prompt, model, cwd, sessionId, signal }) => {
+    const agent = new CursorAgent({
+      cwd, // Working directory for file operations
+      defaultModel: model,
+      sandbox: "enabled", // Enable sandboxed execution for safety
+      approveMcps: true, // Auto-approve MCP tool calls
+      forceWrites: true, // Allow file write operations
+    });
+    return agent.stream({
+      prompt,
+      model,
+      chatId: sessionId || undefined, // Resume a previous conversation
+      streamPartialOutput: true, // Enable streaming for real-time output
+      sandbox: "enabled",
+      signal: signal || undefined, // Kills the agent process on Ctrl+C
+    });
+  },
+
+  // Every event carries the session ID; report it once (and when it changes)
+  createNormalizer: () => {
+    let currentSession = null;
+    return (event) => {
+      const events = [];
+      if (event.session_id && event.session_id !== currentSession) {
+        currentSession = event.session_id;
+        events.push({ type: "session", sessionId: currentSession });
+      }
+      return [...events, ...normalizeCursorEvent(event)];
+    };
+  },
+});
+
+// ============================================================================
+// CODEX (codex exec --json)
+// ============================================================================
+
+/**
+ * Normalize a Codex exec Event
+ *
+ * @param {Object} event - `codex exec --json` event
+ * @returns {Object[]} Normalized events
+ */
+function normalizeCodexEvent(event) {
+  if (event.type === "thread.started") {
+    return [{ type: "session", sessionId: event.thread_id }];
+  }
+  if (event.type === "turn.completed" && event.usage) {
+    return [
+      {
+        type: "usage",
+        usage: {
+          input_tokens: event.usage.input_tokens ?? 0,
+          output_tokens: event.usage.output_tokens ?? 0,
+          cached_input_tokens: event.usage.cached_input_tokens ?? 0,
+        },
+      },
+    ];
+  }
+  // Plain "error" events include reconnect notices; a failed turn is final
+  if (event.type === "turn.failed") {
+    throw new AgentBackendError(event.error?.message || "Codex turn failed", {
+      backend: "codex",
+    });
+  }
+
+  const item = event.item;
+  if (!item || !["item.started", "item.completed"].includes(event.type)) {
+    return [];
+  }
+  const completed = event.type === "item.completed";
+
+  if (item.type === "agent_message") {
+    return completed ? [{ type: "assistant", text: item.text || "" }] : [];
+  }
+  if (item.type === "reasoning") {
+    return completed
+      ? [
+          { type: "thinking", text: item.text || "" },
+          { type: "thinking", done: true },
+        ]
+      : [];
+  }
+
+  let tools;
+  if (item.type === "command_execution") {
+    tools = [
+      {
+        tool: describeTool("shell", "command_execution", {
+          command: item.command,
+        }),
+        exitCode: item.exit_code ?? null,
+        output: item.aggregated_output || "",
+      },
+    ];
+  } else if (item.type === "file_change") {
+    // Changes are reported once the patch is applied
+    if (!completed) return [];
+    const kinds = { add: "write", update: "edit", delete: "delete" };
+    tools = (item.changes || []).map((change) => ({
+      tool: describeTool(
+        kinds[change.kind] || "edit",
+        "file_change",
+        change,
+        change.path,
+      ),
+    }));
+  } else if (item.type === "mcp_tool_call") {
+    tools = [
+      {
+        tool: describeTool("mcp", item.tool, parseArgs(item.arguments)),
+        output: item.result ? JSON.stringify(item.result) : "",
+      },
+    ];
+  } else if (item.type === "web_search") {
+    tools = [
+      { tool: describeTool("search", "web_search", { query: item.query }) },
+    ];
+  } else if (item.type === "todo_list") {
+    tools = [
+      { tool: describeTool("todo", "todo_list", { todos: item.items }) },
+    ];
+  } else {
+    return [];
+  }
+
+  return tools.flatMap(({ tool, exitCode = null, output = "" }, index) => {
+    const callId = tools.length > 1 ? `${item.id}:${index}` : item.id;
+    if (!completed) {
+      return [{ type: "tool_call", callId, tool }];
+    }
+    const failed =
+      item.status === "failed" && item.type !== "command_execution";
+    return [
+      // Single-event items (file changes, searches) start and finish at once
+      ...(["file_change", "web_search", "todo_list"].includes(item.type)
+        ? [{ type: "tool_call", callId, tool }]
+        : []),
+      {
+        type: "tool_result",
+        callId,
+        tool,
+        success: !failed,
+        exitCode,
+        output,
+        error: failed ? item.error?.message || "failed" : null,
+      },
+    ];
+  });
+}
+
+const codexBackend = defineBackend({
+  name: "codex",
+  binary: "codex",
+  apiKeyEnv: null, // `codex login` or OPENAI_API_KEY
+
+  rawEvents: ({ prompt, model, cwd, sessionId, signal }) => {
+    const command = [
+      "codex",
+      "exec",
+      "--json",
+      "--full-auto", // Writes sandboxed to the working directory, no prompts
+      "--skip-git-repo-check",
+      "--cd",
+      cwd,
+      ...(model && model !== "auto" ? ["--model", model] : []),
+      ...(sessionId ? ["resume", sessionId] : []),
+      prompt,
+    ];
+    return streamJsonLines("codex", command, { cwd, signal });
+  },
+
+  createNormalizer: () => normalizeCodexEvent,
+});
+
+// ============================================================================
+// GEMINI (gemini --output-format stream-json)
+// ============================================================================
+
+const GEMINI_TOOL_KINDS = {
+  read_file: "read",
+  read_many_files: "read",
+  write_file: "write",
+  replace: "edit",
+  run_shell_command: "shell",
+  list_directory: "search",
+  glob: "search",
+  search_file_content: "search",
+  google_web_search: "search",
+  web_fetch: "other",
+  save_memory: "other",
+  write_todos: "todo",
+};
+
+/**
+ * Create a Gemini Event Normalizer
+ *
+ * tool_result events only carry the tool ID, so the normalizer remembers the
+ * started tools.
+ *
+ * @returns {Function} (event) => normalized events
+ */
+function createGeminiNormalizer() {
+  const started = new Map();
+
+  return (event) => {
+    switch (event.type) {
+      case "init":
+        return [{ type: "session", sessionId: event.session_id }];
+      case "message":
+        if (event.role === "assistant") {
+          return [{ type: "assistant", text: event.content || "" }];
+        }
+        return [
+          { type: "message", role: event.role, text: event.content || "" },
+        ];
+      case "tool_use": {
+        const name = event.tool_name;
+        const args = parseArgs(event.parameters);
+        const kind = GEMINI_TOOL_KINDS[name] || "mcp";
+        const tool = describeTool(
+          kind,
+          name,
+          args,
+          ["read", "write", "edit"].includes(kind)
+            ? args.file_path || args.absolute_path || args.path
+            : null,
+        );
+        started.set(event.tool_id, tool);
+        return [{ type: "tool_call", callId: event.tool_id, tool }];
+      }
+      case "tool_result": {
+        const tool =
+          started.get(event.tool_id) || describeTool("other", "unknown", {});
+        started.delete(event.tool_id);
+        const output = typeof event.output === "string" ? event.output : "";
+        const exitCode = tool.command
+          ? Number(output.match(/Exit Code: (-?\d+)/)?.[1] ?? 0)
+          : null;
+        return [
+          {
+            type: "tool_result",
+            callId: event.tool_id,
+            tool,
+            success: event.status !== "error",
+            exitCode,
+            output,
+            error:
+              event.status === "error"
+                ? event.error?.message || "failed"
+                : null,
+          },
+        ];
+      }
+      case "result":
+        return event.stats
+          ? [
+              {
+                type: "usage",
+                usage: {
+                  input_tokens: event.stats.input_tokens ?? 0,
+                  output_tokens: event.stats.output_tokens ?? 0,
+                  cached_input_tokens: event.stats.cached ?? 0,
+                },
+              },
+            ]
+          : [];
+      case "error":
+        if (event.severity === "error") {
+          throw new AgentBackendError(event.message || "Gemini CLI error", {
+            backend: "gemini",
+          });
+        }
+        return [];
+      default:
+        return [];
+    }
+  };
+}
+
+const geminiBackend = defineBackend({
+  name: "gemini",
+  binary: "gemini",
+  apiKeyEnv: null, // GEMINI_API_KEY or `gemini` login
+
+  rawEvents: ({ prompt, model, cwd, sessionId, signal }) => {
+    const command = [
+      "gemini",
+      "--output-format",
+      "stream-json",
+      "--yolo", // Approve tool calls (headless)
+      ...(model && model !== "auto" ? ["--model", model] : []),
+      ...(sessionId ? ["--resume", sessionId] : []),
+      "--prompt",
+      prompt,
+    ];
+    return streamJsonLines("gemini", command, { cwd, signal });
+  },
+
+  createNormalizer: createGeminiNormalizer,
+});
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const AGENT_BACKENDS = {
+  cursor: cursorBackend,
+  codex: codexBackend,
+  gemini: geminiBackend,
+};
+
+/**
+ * Names of the Available Backends
+ */
+export const AGENT_BACKEND_NAMES = Object.keys(AGENT_BACKENDS);
+
+/**
+ * Get an Agent Backend
+ *
+ * @param {string} [name] - Backend name (default: DEFAULT_AGENT_BACKEND)
+ * @returns {{name: string, binary: string, apiKeyEnv: string|null, stream: Function, rawEvents: Function, createNormalizer: Function}}
+ *          Backend; stream({ prompt, model, cwd, sessionId, signal }) yields
+ *          normalized events
+ * @throws {AgentBackendError} If no backend has that name
+ */
+export function getAgentBackend(name = DEFAULT_AGENT_BACKEND) {
+  const backend = AGENT_BACKENDS[name];
+  if (!backend) {
+    throw new AgentBackendError(
+      `Unknown agent backend "${name}" (available: ${AGENT_BACKEND_NAMES.join(", ")})`,
+      { backend: name },
+    );
+  }
+  return backend;
+}
+
+/**
+ * Resolve the Backend for a Dev Run
+ *
+ * @param {Object} options - Dev options ({ backend } from --backend)
+ * @param {Object} tasksData - tasks.json contents ({ agentBackend })
+ * @returns {string} Backend name
+ * @throws {AgentBackendError} If the selected backend does not exist
+ */
+export function resolveAgentBackend(options = {}, tasksData = {}) {
+  return getAgentBackend(
+    options.backend || tasksData.agentBackend || DEFAULT_AGENT_BACKEND,
+  ).name;
+}
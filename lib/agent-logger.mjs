@@ -2,8 +2,8 @@
  * Agent Logging Module
  *
  * Centralized logging functionality for AI agent events and operations.
- * Handles various event types (thinking, tool calls, results, etc.) with
- * structured logging to console and activity logger.
+ * Handles the normalized backend events (thinking, tool calls, results, etc.,
+ * see agent-backend.mjs) with structured logging to console and activity logger.
  *
  * Key Functions:
  * - logAgentEvent(): Main dispatcher for all agent events
@@ -17,6 +17,7 @@
 
 import { MAX_CONSECUTIVE_FAILURES } from "./config.mjs";
 import { formatStart, formatEnd } from "./log-format.mjs";
+import { estimateTokens } from "./token-usage.mjs";
 
 /**
  * Initialize Logging State
@@ -64,7 +65,7 @@ export function flushAssistantLog(loggingState, logCallback) {
     logCallback.activityLogger.log("assistant", "AI response", {
       content: text,
       is_complete: text.includes("<ralph>COMPLETE</ralph>"),
-      tokens: Buffer.byteLength(text, "utf8"),
+      tokens: estimateTokens(text),
       timestamp: new Date().toISOString(),
     });
   }
@@ -77,14 +78,12 @@ export function logAgentEvent(event, loggingState, logCallback) {
   }
 
   switch (event.type) {
-    case "system":
-    case "user":
+    case "message":
       logSystemUserMessage(event, logCallback);
       break;
     case "thinking":
       logThinkingEvent(event, loggingState, logCallback);
       break;
-    case "tool_use":
     case "tool_call":
       logToolCall(event, logCallback);
       break;
@@ -104,15 +103,12 @@ export function logAgentEvent(event, loggingState, logCallback) {
  *
  * Handles logging of system prompts and user messages to console and activity logger.
  *
- * @param {Object} event - The system or user event
+ * @param {Object} event - The message event ({ role, text })
  * @param {Function} logCallback - Callback for logging messages
  */
 export function logSystemUserMessage(event, logCallback) {
-  if (event.type === "system" && event.message?.content) {
-    const content =
-      typeof event.message.content === "string"
-        ? event.message.content
-        : JSON.stringify(event.message.content);
+  const content = event.text;
+  if (event.role === "system" && content) {
 
     // Log preview to console (first 100 chars)
     logCallback(`[SYSTEM] ${content.slice(0, 100)}...`, "system");
@@ -124,12 +120,7 @@ export function logSystemUserMessage(event, logCallback) {
         timestamp: new Date().toISOString(),
       });
     }
-  } else if (event.type === "user" && event.message?.content) {
-    const content =
-      typeof event.message.content === "string"
-        ? event.message.content
-        : JSON.stringify(event.message.content);
-
+  } else if (event.role === "user" && content) {
     // Log preview to console
     logCallback(`[USER] ${content.slice(0, 100)}...`, "user");
 
@@ -148,12 +139,12 @@ export function logSystemUserMessage(event, logCallback) {
  *
  * Handles streaming AI reasoning process to console and activity logger.
  *
- * @param {Object} event - The thinking event
+ * @param {Object} event - The thinking event ({ text } chunk or { done: true })
  * @param {Object} loggingState - State object containing isThinkingActive and accumulatedThinking
  * @param {Function} logCallback - Callback for logging messages
  */
 export function logThinkingEvent(event, loggingState, logCallback) {
-  if (event.subtype === "delta") {
+  if (!event.done) {
     // Streaming delta: AI thinking content arriving incrementally
     // Only process if we have actual text content
     if (event.text) {
@@ -167,7 +158,7 @@ export function logThinkingEvent(event, loggingState, logCallback) {
       process.stdout.write(event.text);
       loggingState.accumulatedThinking += event.text;  // Buffer for logging
     }
-  } else if (event.subtype === "completed") {
+  } else {
     // Thinking phase complete - reset style and add newline only if we wrote the prefix
     if (loggingState.isThinkingActive) {
       process.stdout.write(formatEnd() + "\n");
@@ -192,170 +183,55 @@ export function logThinkingEvent(event, loggingState, logCallback) {
  *
  * Handles logging of all tool call types with appropriate formatting and parameters.
  *
- * @param {Object} event - The tool call event
+ * @param {Object} event - The tool call event ({ callId, tool: { kind, name, args, path?, command? } })
  * @param {Function} logCallback - Callback for logging messages
  */
 export function logToolCall(event, logCallback) {
-  if ((event.type === "tool_use" || event.type === "tool_call") &&
-      (!event.subtype || event.subtype === "started")) {
-    let toolName =
-      event.tool_name ||
-      event.name ||
-      event.tool?.name ||
-      event.id ||
-      "unknown";
-
-    // Handle MCP function calls
-    if (event.tool_call?.functionCall) {
-      toolName = event.tool_call.functionCall.name;
-    } else if (event.tool_call?.mcpToolCall) {
-      // Handle MCP tool calls with nested structure
-      toolName = "mcpToolCall";
-    } else {
-      Object.keys(event?.tool_call || {}).forEach((key) => {
-        if (key !== "functionCall") {
-          toolName = key;
-        }
-      });
-    }
-
-    let args =
-      event?.tool_call?.[toolName]?.args ||
-      event?.tool_call?.functionCall?.arguments;
-
-    // Extract actual args from mcpToolCall nested structure
-    if (toolName === "mcpToolCall" && event.tool_call?.mcpToolCall?.args?.args) {
-      args = event.tool_call.mcpToolCall.args.args;
-    }
-
-    // Check if tool_call already has the desired format: {toolName: {args: {...}}}
-    // This handles cases like {"load_skill": {"args": {"skill_id": "..."}}}
-    let alreadyFormatted = false;
-    if (event?.tool_call && toolName !== "unknown" && toolName !== "mcpToolCall") {
-      const toolCallValue = event.tool_call[toolName];
-      if (toolCallValue && typeof toolCallValue === "object" && toolCallValue.args) {
-        // Already in the desired format
-        alreadyFormatted = true;
-        args = toolCallValue.args;
-      }
-    }
-
-    let argsStr = "";
-    if (args) {
-      argsStr = typeof args === "string" ? args : JSON.stringify(args);
-    }
-
-    // Check for special tool cases that need custom formatting
-    // These must be checked BEFORE the generic formatting logic to override the alreadyFormatted flag
-    if (toolName === "readToolCall") {
-      logCallback(`🔧 READING FILE: ${args?.path}`, "tool_call");
-    } else if (toolName === "shellToolCall") {
-      const command = args?.command;
-
-      if (command) {
-        logCallback(`🔧 SHELL COMMAND: ${command}`, "tool_call");
-      } else {
-        logCallback(`🔧 SHELL COMMAND: ${argsStr}`, "tool_call");
-      }
-    } else if (toolName === "execute_shell_command") {
-      // MCP shell command execution
-      const command =
-        typeof args === "string" ? JSON.parse(args).command : args?.command;
-
-      if (command) {
-        logCallback(`🔧 SHELL COMMAND (via MCP): ${command}`, "tool_call");
-      } else {
-        logCallback(`🔧 SHELL COMMAND (via MCP): ${argsStr}`, "tool_call");
-      }
-    } else if (toolName === "editToolCall") {
-      logCallback(`🔧 EDITING FILE: ${args?.path}`, "tool_call");
-    } else if (toolName === "grepToolCall") {
-      logCallback(`🔧 GREP: ${args?.pattern}`, "tool_call");
-    } else if (toolName === "lsToolCall") {
-      logCallback(`🔧 LS: ${args?.path}`, "tool_call");
-    } else if (toolName === "updateTodosToolCall") {
-      const todoCount = args?.todos?.length || 0;
-      const merge = args?.merge ? "merging" : "replacing";
-      logCallback(`🔧 UPDATING TODOS: ${merge} ${todoCount} todo(s)`, "tool_call");
-    } else if (toolName === "deleteToolCall") {
-      logCallback(`🔧 DELETING FILE: ${args?.path}`, "tool_call");
-    } else if (toolName === "globToolCall") {
-      logCallback(`🔧 GLOB: ${args?.globPattern}`, "tool_call");
-    } else if (toolName === "get_isometric_tile") {
-      const tileId = args?.tile_id;
-      if (tileId) {
-        logCallback(`🔧 GETTING ISOMETRIC TILE: ${tileId}`, "tool_call");
-      } else {
-        logCallback(`🔧 GETTING ISOMETRIC TILE: ${argsStr}`, "tool_call");
-      }
-    } else if (toolName === "search_skills") {
-      const query = args?.query ?? "";
-      logCallback(`🔧 SEARCH SKILLS: ${query === "" ? "(all)" : query}`, "tool_call");
-    } else if (toolName === "load_skill") {
-      logCallback(`🔧 LOAD SKILL: ${args?.skill_id ?? argsStr}`, "tool_call");
-    } else if (toolName === "mcpToolCall" && event.tool_call?.mcpToolCall) {
-      // Handle MCP tool calls with nested structure
-      const mcpCall = event.tool_call.mcpToolCall;
-      const actualToolName = mcpCall.args?.toolName || mcpCall.args?.name || "unknown";
-      const actualArgs = mcpCall.args?.args || {};
-
-      if (actualToolName === "load_skill") {
-        logCallback(`🔧 LOAD SKILL: ${actualArgs?.skill_id ?? JSON.stringify(actualArgs)}`, "tool_call");
-      } else {
-        // Format: {toolName: {args: {...}}}
-        const formattedToolCall = { [actualToolName]: { args: actualArgs } };
-        logCallback(`🔧 TOOL: ${JSON.stringify(formattedToolCall)}`, "tool_call");
-      }
-    } else {
-      // Format MCP and other tool calls properly
-      // Structure: {toolName: {args: {...}}}
-      // This handles tool calls like {"load_skill": {"args": {"skill_id": "..."}}}
-      if (alreadyFormatted && event?.tool_call && toolName !== "unknown") {
-        // If already in the correct format, use it directly
-        const formattedToolCall = { [toolName]: event.tool_call[toolName] };
-        logCallback(`🔧 TOOL: ${JSON.stringify(formattedToolCall)}`, "tool_call");
-      } else if (toolName !== "unknown" && args) {
-        // Format with extracted args
-        const formattedToolCall = { [toolName]: { args } };
-        logCallback(`🔧 TOOL: ${JSON.stringify(formattedToolCall)}`, "tool_call");
-      } else if (event?.tool_call) {
-        // Fallback: use the raw tool_call structure (may already be in correct format)
-        logCallback(`🔧 TOOL: ${JSON.stringify(event.tool_call)}`, "tool_call");
-      } else {
-        logCallback(`🔧 TOOL: ${toolName}${args ? ` with args: ${argsStr}` : ""}`, "tool_call");
-      }
-    }
-
-    // Log full tool parameters
-    const params =
-      event.input || event.tool_input || event.parameters || event.arguments;
-
-    // Use actual tool name for mcpToolCall in activity logger
-    let actualToolNameForLog = toolName;
-    if (toolName === "mcpToolCall" && event.tool_call?.mcpToolCall?.args) {
-      actualToolNameForLog = event.tool_call.mcpToolCall.args.toolName ||
-                             event.tool_call.mcpToolCall.args.name ||
-                             toolName;
-    }
-
-    if (params) {
-      const paramsStr =
-        typeof params === "string" ? params : JSON.stringify(params);
-      logCallback(
-        `     Args: ${paramsStr.slice(0, 300)}${paramsStr.length > 300 ? "..." : ""}`,
-        "tool_args",
-      );
+  const { kind, name, args = {}, path, command } = event.tool;
+  const argsStr = JSON.stringify(args);
+
+  // Special tool cases first, then the generic {toolName: {args: {...}}} format
+  if (kind === "read") {
+    logCallback(`🔧 READING FILE: ${path}`, "tool_call");
+  } else if (kind === "shell") {
+    logCallback(`🔧 SHELL COMMAND: ${command ?? argsStr}`, "tool_call");
+  } else if (name === "execute_shell_command") {
+    // MCP shell command execution
+    logCallback(`🔧 SHELL COMMAND (via MCP): ${command ?? argsStr}`, "tool_call");
+  } else if (kind === "write") {
+    logCallback(`🔧 WRITING FILE: ${path}`, "tool_call");
+  } else if (kind === "edit") {
+    logCallback(`🔧 EDITING FILE: ${path}`, "tool_call");
+  } else if (kind === "delete") {
+    logCallback(`🔧 DELETING FILE: ${path}`, "tool_call");
+  } else if (kind === "search") {
+    const query = args.pattern ?? args.globPattern ?? args.query ?? args.path;
+    logCallback(`🔧 SEARCH (${name}): ${query ?? argsStr}`, "tool_call");
+  } else if (kind === "todo") {
+    const todoCount = args.todos?.length || 0;
+    const merge = args.merge ? "merging" : "replacing";
+    logCallback(`🔧 UPDATING TODOS: ${merge} ${todoCount} todo(s)`, "tool_call");
+  } else if (name === "get_isometric_tile") {
+    logCallback(`🔧 GETTING ISOMETRIC TILE: ${args.tile_id ?? argsStr}`, "tool_call");
+  } else if (name === "search_skills") {
+    const query = args.query ?? "";
+    logCallback(`🔧 SEARCH SKILLS: ${query === "" ? "(all)" : query}`, "tool_call");
+  } else if (name === "load_skill") {
+    logCallback(`🔧 LOAD SKILL: ${args.skill_id ?? argsStr}`, "tool_call");
+  } else {
+    // Format MCP and other tool calls: {toolName: {args: {...}}}
+    logCallback(`🔧 TOOL: ${JSON.stringify({ [name]: { args } })}`, "tool_call");
+  }
 
-      // Log to activity logger with full details
-      if (logCallback.activityLogger) {
-        logCallback.activityLogger.log("tool_call", `Tool: ${actualToolNameForLog}`, {
-          tool: actualToolNameForLog,
-          parameters: params,
-          event_type: event.type,
-          timestamp: new Date().toISOString(),
-        });
-      }
-    }
+  // Log to activity logger with full details
+  if (logCallback.activityLogger) {
+    logCallback.activityLogger.log("tool_call", `Tool: ${name}`, {
+      tool: name,
+      kind,
+      call_id: event.callId,
+      parameters: args,
+      timestamp: new Date().toISOString(),
+    });
   }
 }
 
@@ -363,20 +239,19 @@ export function logToolCall(event, logCallback) {
  * Log Tool Results
  *
  * Handles logging of tool execution results including success/failure and hang detection.
+ * Successful results go to the activity logger only (the console already shows the call).
  *
- * @param {Object} event - The tool result event
+ * @param {Object} event - The tool result event ({ callId, tool, success, exitCode, output, error })
  * @param {Object} loggingState - State object containing consecutiveFailures
  * @param {Function} logCallback - Callback for logging messages
  */
 export function logToolResult(event, loggingState, logCallback) {
-  const toolName =
-    event.tool_name || event.name || event.tool_id || "previous tool";
-  const hasError = event.error || event.is_error;
+  const toolName = event.tool?.name || "previous tool";
 
-  if (hasError) {
+  if (!event.success) {
     loggingState.consecutiveFailures++;
     logCallback(`  ❌ FAILED: ${toolName} (${loggingState.consecutiveFailures}/${MAX_CONSECUTIVE_FAILURES} consecutive failures)`, "tool_result_failure");
-    const errorMsg = event.error || event.content;
+    const errorMsg = event.error || event.output;
     logCallback(`     Error: ${errorMsg}`, "tool_result_failure");
 
     // Hang detection: Terminate if too many consecutive failures
@@ -407,6 +282,7 @@ export function logToolResult(event, loggingState, logCallback) {
         `Tool failed: ${toolName}`,
         {
           tool: toolName,
+          call_id: event.callId,
           success: false,
           error: errorMsg,
           consecutive_failures: loggingState.consecutiveFailures,
@@ -419,27 +295,18 @@ export function logToolResult(event, loggingState, logCallback) {
     if (loggingState.consecutiveFailures > 0) {
       logCallback(`  ✅ SUCCESS: ${toolName} (reset failure counter)`, "tool_result_success");
       loggingState.consecutiveFailures = 0;
-    } else {
-      logCallback(`  ✅ SUCCESS: ${toolName}`, "tool_result_success");
     }
 
-    const result =
-      typeof event.content === "string"
-        ? event.content
-        : JSON.stringify(event.content);
-    const preview = result.slice(0, 200);
-    logCallback(
-      `     Result: ${preview}${result.length > 200 ? "..." : ""}`,
-      "tool_result_result",
-    );
-
+    const result = event.output || "";
     if (logCallback.activityLogger) {
       logCallback.activityLogger.log(
         "tool_result",
         `Tool success: ${toolName}`,
         {
           tool: toolName,
+          call_id: event.callId,
           success: true,
+          exit_code: event.exitCode,
           result: result,
           result_length: result.length,
           timestamp: new Date().toISOString(),
@@ -454,16 +321,13 @@ export function logToolResult(event, loggingState, logCallback) {
  *
  * Buffers assistant content per chunk; actual log happens on flush (next non-assistant event or stream end).
  *
- * @param {Object} event - The assistant event
+ * @param {Object} event - The assistant event ({ text })
  * @param {Object} loggingState - State with accumulatedAssistant
  * @param {Function} logCallback - Callback for logging messages
  */
 export function logAssistantMessage(event, loggingState, logCallback) {
-  if (event.message?.content?.[0]?.text) {
-    const text = event.message.content[0].text;
-    if (event.message?.content[0]?.type !== "text") {
-      console.log("Assistant event:", event?.message?.content);
-    }
+  if (event.text) {
+    const text = event.text;
 
     // Prevent duplicate completion markers from streaming
     // If the accumulated content already contains a completion marker and
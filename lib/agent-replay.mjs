@@ -0,0 +1,338 @@
+/**
+ * Record and Replay Agent Runs
+ *
+ * Orchestrator bugs (completion detection, retry handling, interruptions) are
+ * hard to reproduce: they depend on what the agent happened to stream. A
+ * recording saves every event the agent CLI emitted during a real run; a replay
+ * feeds those events back through runAgent() and ralphLoop() without starting
+ * an agent, so no network and no tokens are needed.
+ *
+ * Usage (dev commands):
+ * - `--record DIR`: run normally with the selected backend and record to DIR
+ *   (must be empty or new; inside the project it is kept out of commits)
+ * - `--replay DIR`: replay DIR instead of running an agent
+ *
+ * Recording Layout:
+ * - run.json: { backend, recorded_at, tasks_file, tracked_files }
+ * - tasks.json: the task file when recording started (copy it back to replay
+ *   from the same state)
+ * - call-0001.jsonl, call-0002.jsonl, ...: one per agent call, in call order
+ *   - first line: { call, backend, model, session_id, started_at }
+ *   - then { ms, event }: the CLI's own events (normalized again on replay, so
+ *     normalizer changes are replayed too)
+ *   - last line: { ms, end, error?, files }; end is "completed", "error",
+ *     "interrupted" or "stopped" (the orchestrator stopped reading, e.g. hang
+ *     detection); files holds the tracked files (next_task.md, progress.txt)
+ *     as the call left them
+ *
+ * Replay:
+ * - Calls are consumed in order, so replays run one story at a time
+ * - Tracked files are restored after each call, so checkbox progress and
+ *   completion detection see what the real run saw
+ * - Recorded errors are thrown again with their name, message and code (the
+ *   retry logic classifies them the same way); interruptions are thrown as
+ *   InterruptedError
+ * - The agent's other file changes are not replayed: verification commands
+ *   and story commits run against the project as it is
+ * - Runtime limits are not reproduced (events are replayed without delays;
+ *   `ms` records when each event arrived)
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import {
+  AgentBackendError,
+  defineBackend,
+  getAgentBackend,
+  normalizeEvents,
+  resolveAgentBackend,
+} from "./agent-backend.mjs";
+import { excludeFromGit } from "./git-branch.mjs";
+import { format } from "./log-format.mjs";
+import { InterruptedError } from "./run-interrupt.mjs";
+
+/**
+ * File Name of an Agent Call
+ *
+ * @param {number} call - Call number (1-based)
+ * @returns {string} e.g. "call-0001.jsonl"
+ */
+function callFileName(call) {
+  return `call-${String(call).padStart(4, "0")}.jsonl`;
+}
+
+/**
+ * Read the Tracked Files after a Call
+ *
+ * @param {string} cwd - Working directory of the call
+ * @param {string[]} trackedFiles - Paths relative to cwd
+ * @returns {Object} { <path>: content or null if missing }
+ */
+function snapshotFiles(cwd, trackedFiles) {
+  return Object.fromEntries(
+    trackedFiles.map((file) => {
+      const filePath = path.resolve(cwd, file);
+      return [
+        file,
+        fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null,
+      ];
+    }),
+  );
+}
+
+/**
+ * Serialize an Error for a Recording
+ *
+ * @param {Error} error - Error thrown by the backend
+ * @param {AbortSignal|null} signal - Run interrupt signal
+ * @returns {Object} Fields the retry logic looks at
+ */
+function serializeError(error, signal) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code ?? null,
+    errno: error.errno ?? null,
+    exitCode: error.exitCode ?? null,
+    stderr: error.stderr ?? null,
+    signal: signal?.aborted ? signal.reason?.signal || "abort" : null,
+  };
+}
+
+/**
+ * Rebuild a Recorded Error
+ *
+ * @param {Object} recorded - Serialized error
+ * @returns {Error} Error with the recorded name, message and codes
+ */
+function restoreError(recorded) {
+  const error = new Error(recorded.message);
+  error.name = recorded.name;
+  for (const key of ["code", "errno", "exitCode", "stderr"]) {
+    if (recorded[key] != null) {
+      error[key] = recorded[key];
+    }
+  }
+  return error;
+}
+
+/**
+ * Check a Directory Can Take a New Recording
+ *
+ * @param {string} dir - Recording directory (absolute, or relative to the
+ *        current directory)
+ * @param {string} [backendName] - Backend being recorded (for the error)
+ * @throws {AgentBackendError} If DIR already contains a recording
+ */
+export function assertRecordDirectory(dir, backendName = null) {
+  if (fs.existsSync(dir) && fs.readdirSync(dir).length > 0) {
+    throw new AgentBackendError(
+      `Recording directory ${dir} is not empty - choose a new one`,
+      { backend: backendName },
+    );
+  }
+}
+
+/**
+ * Check a Directory Holds a Recording
+ *
+ * @param {string} dir - Recording directory (absolute, or relative to the
+ *        current directory)
+ * @throws {AgentBackendError} If DIR is not a recording
+ */
+export function assertReplayDirectory(dir) {
+  if (!fs.existsSync(path.join(dir, "run.json"))) {
+    throw new AgentBackendError(
+      `${dir} is not a recording (run.json not found)`,
+      { backend: "replay" },
+    );
+  }
+}
+
+/**
+ * Create a Recording Backend
+ *
+ * Runs the wrapped backend unchanged and records each call to DIR.
+ *
+ * @param {Object} backend - Backend to record (see getAgentBackend())
+ * @param {string} dir - Recording directory (absolute; must be empty or new)
+ * @param {Object} params - What to record alongside the events
+ * @param {string} params.projectPath - Project directory
+ * @param {string} params.tasksJsonPath - Task file of the run
+ * @param {string[]} params.trackedFiles - Files to snapshot after each call,
+ *        relative to the call's working directory
+ * @returns {Object} Backend (same name) that records while it runs
+ * @throws {AgentBackendError} If DIR already contains a recording
+ */
+export function createRecordingBackend(
+  backend,
+  dir,
+  { projectPath, tasksJsonPath, trackedFiles },
+) {
+  assertRecordDirectory(dir, backend.name);
+  fs.ensureDirSync(dir);
+  if (!path.relative(projectPath, dir).startsWith("..")) {
+    excludeFromGit(projectPath, [dir]);
+  }
+  fs.writeJsonSync(
+    path.join(dir, "run.json"),
+    {
+      backend: backend.name,
+      recorded_at: new Date().toISOString(),
+      tasks_file: path.relative(projectPath, tasksJsonPath),
+      tracked_files: trackedFiles,
+    },
+    { spaces: 2 },
+  );
+  if (fs.existsSync(tasksJsonPath)) {
+    fs.copySync(tasksJsonPath, path.join(dir, "tasks.json"));
+  }
+
+  let calls = 0;
+
+  async function* recordCall(options) {
+    const call = ++calls;
+    const file = path.join(dir, callFileName(call));
+    const startedAt = Date.now();
+    const append = (entry) =>
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+    const end = (outcome, error = null) =>
+      append({
+        ms: Date.now() - startedAt,
+        end: outcome,
+        ...(error ? { error: serializeError(error, options.signal) } : {}),
+        files: snapshotFiles(options.cwd, trackedFiles),
+      });
+
+    append({
+      call,
+      backend: backend.name,
+      model: options.model,
+      session_id: options.sessionId || null,
+      started_at: new Date(startedAt).toISOString(),
+    });
+    let ended = false;
+    try {
+      for await (const event of backend.rawEvents(options)) {
+        append({ ms: Date.now() - startedAt, event });
+        yield event;
+      }
+      ended = true;
+      end("completed");
+    } catch (error) {
+      ended = true;
+      end(options.signal?.aborted ? "interrupted" : "error", error);
+      throw error;
+    } finally {
+      if (!ended) {
+        end("stopped"); // The orchestrator stopped reading (e.g. hang detection)
+      }
+    }
+  }
+
+  return {
+    ...defineBackend({ ...backend, rawEvents: recordCall }),
+    label: `${backend.name} (recording to ${dir})`,
+  };
+}
+
+/**
+ * Create a Replay Backend
+ *
+ * @param {string} dir - Recording directory (absolute)
+ * @returns {Object} Backend named "replay" that plays back one recorded call
+ *          per stream() call
+ * @throws {AgentBackendError} If DIR is not a recording
+ */
+export function createReplayBackend(dir) {
+  assertReplayDirectory(dir);
+  const run = fs.readJsonSync(path.join(dir, "run.json"));
+  const callFiles = fs
+    .readdirSync(dir)
+    .filter((file) => /^call-\d+\.jsonl$/.test(file))
+    .sort();
+  let next = 0;
+
+  async function* replayCall({ model, cwd }) {
+    const file = callFiles[next++];
+    if (!file) {
+      throw new AgentBackendError(
+        `Recording ${dir} has no more agent calls (${callFiles.length} replayed)`,
+        { backend: "replay" },
+      );
+    }
+    const [header, ...entries] = fs
+      .readFileSync(path.join(dir, file), "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+    if (header.model !== model) {
+      console.log(
+        format(
+          "warning",
+          `⚠ Replay ${file}: recorded with model ${header.model}, now requested ${model}`,
+        ),
+      );
+    }
+
+    const normalize = getAgentBackend(header.backend).createNormalizer();
+    const result = entries.find((entry) => entry.end);
+    yield* normalizeEvents(
+      entries.filter((entry) => entry.event).map((entry) => entry.event),
+      normalize,
+    );
+
+    for (const [relativePath, content] of Object.entries(
+      result?.files || {},
+    )) {
+      const filePath = path.resolve(cwd, relativePath);
+      if (content === null) {
+        fs.removeSync(filePath);
+      } else {
+        fs.outputFileSync(filePath, content);
+      }
+    }
+    if (result?.end === "interrupted") {
+      throw new InterruptedError(result.error?.signal || "replay");
+    }
+    if (result?.end === "error") {
+      throw restoreError(result.error);
+    }
+  }
+
+  return {
+    name: "replay",
+    binary: null,
+    apiKeyEnv: null,
+    label: `replay of ${dir} (${run.backend}, agent calls: ${callFiles.length})`,
+    stream: replayCall,
+  };
+}
+
+/**
+ * Create the Agent Backend for a Dev Run
+ *
+ * @param {Object} options - Dev options ({ backend, record, replay })
+ * @param {Object} tasksData - tasks.json contents ({ agentBackend })
+ * @param {Object} params - Run details
+ * @param {string} params.projectPath - Project directory (DIR is relative to it)
+ * @param {string} params.tasksJsonPath - Task file of the run
+ * @param {string[]} params.trackedFiles - Orchestrator files the agent updates
+ *        (next_task and progress files, relative to the project)
+ * @returns {Object} Backend (see getAgentBackend()) with an optional label
+ * @throws {AgentBackendError} For an unknown backend or an unusable DIR
+ */
+export function createRunBackend(options, tasksData, params) {
+  if (options.replay) {
+    return createReplayBackend(path.resolve(params.projectPath, options.replay));
+  }
+  const backend = getAgentBackend(resolveAgentBackend(options, tasksData));
+  if (options.record) {
+    return createRecordingBackend(
+      backend,
+      path.resolve(params.projectPath, options.record),
+      params,
+    );
+  }
+  return backend;
+}
@@ -2,7 +2,8 @@
  * Core Agent Execution Engine
  *
  * This module provides the heart of the Ralph orchestrator's AI agent integration,
- * enabling seamless communication with AI models through the Cursor Agent SDK.
+ * enabling seamless communication with AI models through a pluggable agent
+ * backend (cursor-agent by default, see agent-backend.mjs).
  * It handles streaming responses, tool call execution, progress tracking, and
  * iterative development workflows.
  *
@@ -24,16 +25,21 @@
  * - Custom development tools (todo management, etc.)
  *
  * Event Streaming:
- * Processes various event types from the agent:
- * - system/user messages: Conversation context
+ * Processes the backend's normalized events:
+ * - session: Conversation ID for resuming
+ * - message: System/user conversation context
  * - thinking: AI reasoning (displayed in real-time)
- * - tool_use/tool_call: Tool execution requests
+ * - tool_call: Tool execution requests
  * - tool_result: Tool execution results
  * - assistant: Final AI responses
+ * - usage: Token usage reported by the backend (estimated from the other
+ *   events when the backend reports none, see token-usage.mjs)
  */
 
 import fs from "fs-extra";
-import { CursorAgent, CursorAgentError } from "../cursor-agent-sdk/dist/index.js";
+import path from "path";
+import { CursorAgentError } from "../cursor-agent-sdk/dist/index.js";
+import { getAgentBackend } from "./agent-backend.mjs";
 import {
   MODELS,
   WARN_THRESHOLD,
@@ -46,10 +52,26 @@ import {
   MAX_ITERATION_RUNTIME_MS,
   MAX_LOOP_RETRIES,
   RESOURCE_EXHAUSTION_BASE_DELAY_MS,
-  MAX_CONTEXT_SIZE_BYTES,
+  MAX_CONTEXT_TOKENS,
+  DEFAULT_AGENT_BACKEND,
+  HANDOFF_EXCERPT_CHARS,
+  HANDOFF_MAX_CHARS,
 } from "./config.mjs";
 import { countUncheckedCheckboxes } from "./logger.mjs";
 import { logAgentEvent, createLoggingState, logLoopError, flushAssistantLog } from "./agent-logger.mjs";
+import { BudgetExceededError } from "./run-budget.mjs";
+import {
+  buildHandoffPrompt,
+  extractHandoff,
+  formatHandoffSection,
+} from "./context-handoff.mjs";
+import { InterruptedError } from "./run-interrupt.mjs";
+import {
+  addUsage,
+  createUsageMeter,
+  describeUsage,
+  formatTokens,
+} from "./token-usage.mjs";
 
 /**
  * Connection Error Class
@@ -91,7 +113,7 @@ export class LoopError extends Error {
  * Resource Exhaustion Error Class
  *
  * Custom error class for resource exhaustion failures during agent execution.
- * Includes metadata about context size, iteration count, and timing information
+ * Includes metadata about context size (estimated tokens), iteration count, and timing information
  * to help diagnose and recover from resource limit issues.
  */
 export class ResourceExhaustionError extends Error {
@@ -100,7 +122,7 @@ export class ResourceExhaustionError extends Error {
     this.name = "ResourceExhaustionError";
     this.originalError = originalError;
     this.partialResponse = partialResponse;
-    this.contextSizeBytes = metadata.contextSizeBytes || null;
+    this.contextTokens = metadata.contextTokens || null;
     this.iteration = metadata.iteration || null;
     this.runtimeMs = metadata.runtimeMs || null;
     this.sessionId = metadata.sessionId || null;
@@ -280,12 +302,15 @@ export function isResourceExhaustionError(error) {
  * - Handles conversation resumption with chatId
  * - Manages token usage and context limits
  *
- * Event Processing:
- * - system/user: Logs conversation messages
+ * Event Processing (normalized events, see agent-backend.mjs):
+ * - session: Captures the conversation ID
+ * - message: Logs system/user conversation messages
  * - thinking: Streams AI reasoning in real-time
- * - tool_use/tool_call: Executes requested tools and logs results
+ * - tool_call: Logs requested tools
  * - tool_result: Processes tool execution outcomes
  * - assistant: Accumulates final AI responses
+ * - usage: Sums the token usage of the run (every event is metered; see
+ *   createUsageMeter())
  *
  * Tool Integration:
  * Supports multiple tool types with specialized handling:
@@ -298,10 +323,19 @@ export function isResourceExhaustionError(error) {
  * @param {string} model - AI model to use (defaults to MODELS.default)
  * @param {string} cwd - Working directory for file operations (defaults to process.cwd())
  * @param {string|null} resume - Chat session ID to resume previous conversation
- * @param {Function} logCallback - Callback for logging events (signature: (message, activityLogger?) => void)
+ * @param {Function} logCallback - Callback for logging events (signature: (message, activityLogger?) => void);
+ *        tool events also go to its toolUsage tracker if attached (see createToolUsageTracker())
  * @param {Function|null} progressCallback - Callback for progress updates (signature: ({tokens, chunks}) => void)
  * @param {Object|null} mcpConfig - MCP configuration for external tool integrations
- * @returns {Promise<{output: string, sessionId: string|null}>} Final response and session ID
+ * @param {AbortSignal|null} signal - Aborts the agent process (Ctrl+C handling)
+ * @param {string|Object} backend - Agent backend name (defaults to DEFAULT_AGENT_BACKEND) or
+ *        backend object (recording and replay backends, see agent-replay.mjs)
+ * @returns {Promise<{output: string, sessionId: string|null, usage: Object, contextTokens: number}>}
+ *          Final response, session ID, token usage (reported, or estimated when the
+ *          backend reports none), and the estimated tokens the call added to the conversation
+ * @throws {InterruptedError} When the signal fires (carries the session ID for resuming)
+ * @throws {AgentBackendError} When the backend is unknown or its CLI fails
+ *         (errors from the stream carry `usage`: the tokens used until then)
  */
 export async function runAgent(
   prompt,
@@ -311,26 +345,28 @@ export async function runAgent(
   logCallback = () => {},
   progressCallback = null,
   mcpConfig = null,
+  signal = null,
+  backend = DEFAULT_AGENT_BACKEND,
 ) {
-  // Initialize Cursor Agent with sandboxed environment and tool permissions
-  const agentOptions = {
-    cwd, // Working directory for file operations
-    defaultModel: model, // AI model selection
-    sandbox: "enabled", // Enable sandboxed execution for safety
-    approveMcps: true, // Auto-approve MCP tool calls
-    forceWrites: true, // Allow file write operations
-    approveMcps: true, // Auto-approve MCP tool calls
-  };
-
-  const agent = new CursorAgent(agentOptions);
+  // Backend CLI with sandboxed execution and tool permissions
+  const agent =
+    typeof backend === "string" ? getAgentBackend(backend) : backend;
 
   // State tracking for streaming response processing
   let response = ""; // Accumulated final AI response
   let sessionId = null; // Chat session ID for conversation resumption
+  const usageMeter = createUsageMeter(prompt); // Reported or estimated token usage
 
   // Logging state for centralized event logging
   const loggingState = createLoggingState();
 
+  // The killed agent process may end the stream with an error or quietly
+  const interruption = () =>
+    new InterruptedError(signal.reason?.signal || "abort", {
+      sessionId: sessionId || resume,
+      partialResponse: response,
+    });
+
   // Main event streaming loop - processes all agent events in real-time
   // This async iterator yields events as the agent thinks, calls tools, and responds
   // Wrapped in try-catch to detect and handle connection errors
@@ -338,19 +374,22 @@ export async function runAgent(
     for await (const event of agent.stream({
       prompt, // The user's prompt/instruction
       model, // AI model to use
-      chatId: resume, // Resume previous conversation if provided
-      streamPartialOutput: true, // Enable streaming for real-time output
-      sandbox: "enabled", // Maintain sandboxed execution
-      approveMcps: true, // Auto-approve MCP integrations
+      cwd, // Working directory for file operations
+      sessionId: resume, // Resume previous conversation if provided
+      signal, // Kills the agent process on Ctrl+C
     })) {
       // Capture session ID for potential conversation resumption
-      if (event.chatId) {
-        sessionId = event.chatId;
+      if (event.type === "session") {
+        sessionId = event.sessionId;
       }
 
+      // Token usage: usage reports (per turn by some backends, once by others)
+      // and the text of every other event, for the estimate and context size
+      usageMeter.record(event);
+
       // === CONVERSATION MESSAGE LOGGING ===
       // Log system prompts and user messages for debugging and audit trails
-      if (event.type === "system" || event.type === "user") {
+      if (event.type === "message") {
         logAgentEvent(event, loggingState, logCallback);
       }
 
@@ -364,24 +403,25 @@ export async function runAgent(
       // Process tool execution requests from the AI agent
       // Supports file operations, shell commands, MCP tools, and custom development tools
       // Each tool call is logged with parameters and execution results tracked
-      if (event.type === "tool_use" || event.type === "tool_call") {
+      if (event.type === "tool_call") {
+        logCallback.toolUsage?.record(event);
         logAgentEvent(event, loggingState, logCallback);
       }
 
       // Track tool results with enhanced logging and hang detection
       if (event.type === "tool_result") {
+        logCallback.toolUsage?.record(event);
         logAgentEvent(event, loggingState, logCallback);
       }
 
       // Log ALL assistant messages with full content
-      if (event.type === "assistant" && event.message?.content?.[0]?.text) {
+      if (event.type === "assistant" && event.text) {
         logAgentEvent(event, loggingState, logCallback);
-        const text = event.message.content[0].text;
-        response += text;
+        response += event.text;
 
         if (progressCallback) {
           progressCallback({
-            tokens: Buffer.byteLength(response, "utf8"),
+            tokens: usageMeter.outputTokens(),
             chunks: response.length,
           });
         }
@@ -390,39 +430,144 @@ export async function runAgent(
 
     // Flush any remaining assistant content so we log one line per turn
     flushAssistantLog(loggingState, logCallback);
+    if (signal?.aborted) {
+      throw interruption();
+    }
   } catch (error) {
+    // The call's tokens are spent even though it failed
+    const withUsage = (failure) =>
+      Object.assign(failure, { usage: usageMeter.usage() });
+    if (signal?.aborted) {
+      throw withUsage(interruption());
+    }
     // Detect resource exhaustion errors and throw ResourceExhaustionError with metadata
     if (isResourceExhaustionError(error)) {
-      throw new ResourceExhaustionError(
+      throw withUsage(new ResourceExhaustionError(
         `Resource exhaustion during agent streaming: ${error.message}`,
         error,
         response, // Preserve partial response if available
         {
-          contextSizeBytes: response ? Buffer.byteLength(response, "utf8") : null,
+          contextTokens: usageMeter.contextTokens(),
         }
-      );
+      ));
     }
     // Detect loop errors and throw LoopError with metadata
     if (isLoopError(error)) {
-      throw new LoopError(
+      throw withUsage(new LoopError(
         `Loop error during agent streaming: ${error.message}`,
         error,
         response, // Preserve partial response if available
-      );
+      ));
     }
     // Detect connection errors and throw ConnectionError with metadata
     if (isRetryableConnectionError(error)) {
-      throw new ConnectionError(
+      throw withUsage(new ConnectionError(
         `Connection error during agent streaming: ${error.message}`,
         error,
         response, // Preserve partial response if available
-      );
+      ));
     }
     // Re-throw non-connection errors as-is
-    throw error;
+    throw withUsage(error);
   }
 
-  return { output: response, sessionId };
+  return {
+    output: response,
+    sessionId,
+    usage: usageMeter.usage(),
+    contextTokens: usageMeter.contextTokens(),
+  };
+}
+
+/**
+ * Ask for a Hand-off Summary before Rotating a Conversation
+ *
+ * Asks the outgoing conversation first, then MODELS.handoff in a new
+ * conversation (see context-handoff.mjs). Failures are logged as warnings and
+ * never stop the loop; interruptions are passed on.
+ *
+ * @param {Object} params - Outgoing conversation and story files
+ * @param {string} params.sessionId - Outgoing conversation
+ * @param {string} params.model - Model of the outgoing conversation
+ * @param {string} params.sessionOutput - Its output (the fallback gets the tail)
+ * @param {string} params.cwd - Working directory of the agent
+ * @param {string} params.nextTaskPath - Task file of the story
+ * @param {string} params.progressPath - Progress log of the story
+ * @param {string|Object} params.backend - Agent backend
+ * @param {AbortSignal|null} params.signal - Run interrupt signal
+ * @param {Function} logCallback - Logging callback of the loop (its toolUsage
+ *        tracker is not passed on to the hand-off calls)
+ * @returns {Promise<{summary: string|null, source: string|null, label: string|null, usage: Object}>}
+ *          Summary and who wrote it (source "conversation" or "model", label for
+ *          messages), or nulls if neither did; usage of the hand-off calls
+ *          (failed ones included)
+ * @throws {InterruptedError} When the run is interrupted (with the usage of
+ *         the hand-off calls so far)
+ */
+async function requestHandoff(params, logCallback) {
+  const { sessionId, model, sessionOutput, cwd, backend, signal } = params;
+  const sources = [
+    {
+      source: "conversation",
+      label: "the outgoing conversation",
+      model,
+      resume: sessionId,
+    },
+    {
+      source: "model",
+      label: MODELS.handoff,
+      model: MODELS.handoff,
+      resume: null,
+      excerpt: sessionOutput.slice(-HANDOFF_EXCERPT_CHARS),
+    },
+  ];
+  // Same logging, but the hand-off's tool calls are not the story's work: they
+  // stay out of its tool usage and the files_edited list handed over
+  const handoffLog = (...args) => logCallback(...args);
+  handoffLog.activityLogger = logCallback.activityLogger;
+
+  let usage = addUsage(null, null);
+  for (const attempt of sources) {
+    try {
+      const prompt = await buildHandoffPrompt({
+        cwd,
+        nextTaskPath: params.nextTaskPath,
+        progressPath: params.progressPath,
+        excerpt: attempt.excerpt,
+      });
+      const result = await runAgent(
+        prompt,
+        attempt.model,
+        cwd,
+        attempt.resume,
+        handoffLog,
+        null, // No progress callback
+        null, // No tools needed for a summary
+        signal,
+        backend,
+      );
+      usage = addUsage(usage, result.usage);
+      const summary = extractHandoff(result.output, HANDOFF_MAX_CHARS);
+      if (summary) {
+        return { summary, source: attempt.source, label: attempt.label, usage };
+      }
+      logCallback(
+        `⚠️ Hand-off from ${attempt.label} had no <handoff> summary`,
+        "warning",
+      );
+    } catch (error) {
+      usage = addUsage(usage, error.usage);
+      if (error instanceof InterruptedError) {
+        error.usage = usage;
+        throw error;
+      }
+      logCallback(
+        `⚠️ Hand-off from ${attempt.label} did not work: ${error.message}`,
+        "warning",
+      );
+    }
+  }
+  return { summary: null, source: null, label: null, usage };
 }
 
 /**
@@ -442,7 +587,9 @@ export async function runAgent(
  *
  * Progress Tracking:
  * - Monitors task completion via checkbox parsing ([x] vs [ ])
- * - Tracks token usage and warns near limits
+ * - Tracks token usage per iteration and conversation size (estimated tokens),
+ *   warns near the context limit and rotates the conversation above it, with a
+ *   hand-off summary in the new conversation's first prompt (requestHandoff())
  * - Logs iteration timing and progress percentages
  * - Accumulates full conversation output
  *
@@ -456,7 +603,28 @@ export async function runAgent(
  * @param {number} maxIterations - Maximum iterations before giving up (default: 20)
  * @param {Function} logCallback - Logging callback for progress updates
  * @param {Object|null} mcpConfig - MCP configuration for tool integrations
- * @returns {Promise<{fullOutput: string}>} Complete accumulated output from all iterations
+ * @param {Object} options - Execution context overrides
+ * @param {string} options.cwd - Working directory for the agent (default: process.cwd(), a git worktree for parallel stories)
+ * @param {string} options.nextTaskPath - Task file used for checkbox progress and completion detection (default: NEXT_TASK_PATH)
+ * @param {string} options.progressPath - Progress log the agent reads and appends to (default: PROGRESS_PATH)
+ * @param {string|Object} [options.backend] - Agent backend name or object (default:
+ *        DEFAULT_AGENT_BACKEND)
+ * @param {Object} [options.budget] - Run budget (see createRunBudget()); checked before each iteration
+ * @param {AbortSignal} [options.signal] - Run interrupt signal (Ctrl+C / SIGTERM)
+ * @param {string} [options.sessionId] - Agent conversation to resume (e.g. after an interruption)
+ * @param {number} [options.contextTokens] - Context already accumulated in that conversation
+ * @param {Function} [options.onSessionUpdate] - Called after each iteration with
+ *        { sessionId, iteration, contextTokens, usage, output, handoff } (usage: the
+ *        iteration's token usage, including a hand-off before it and calls that failed
+ *        and were retried; handoff: the summary the iteration's new conversation started
+ *        with, or null) so callers can persist the session and account for tokens
+ * @returns {Promise<{fullOutput: string, usage: Object}>} Complete accumulated output and
+ *          token usage of all iterations
+ * @throws {BudgetExceededError} When the run budget is used up before an iteration starts
+ * @throws {InterruptedError} When the run is interrupted (with session ID and iteration)
+ * @throws {Error} When an iteration fails (LoopError, ConnectionError,
+ *         ResourceExhaustionError, ...); errors thrown during an iteration carry
+ *         `usage`, the tokens it used until then (onSessionUpdate is not called)
  */
 export async function ralphLoop(
   model,
@@ -464,28 +632,57 @@ export async function ralphLoop(
   maxIterations = 20,
   logCallback = () => {},
   mcpConfig = null,
+  options = {},
 ) {
+  const {
+    cwd = process.cwd(),
+    nextTaskPath = NEXT_TASK_PATH,
+    progressPath = PROGRESS_PATH,
+    backend = DEFAULT_AGENT_BACKEND,
+    budget = null,
+    signal = null,
+    onSessionUpdate = null,
+  } = options;
+
   // === INITIALIZATION ===
   // Load the Ralph Loop prompt template from orchestrator assets
   // The Ralph Loop is designed for iterative development with file-based context
   const { loadPrompt } = await import("./file-ops.mjs");
   const ralphPromptTemplate = await loadPrompt("ralph-loop.md");
-  let prompt = ralphPromptTemplate; // Current prompt (remains constant across iterations)
+  // The template names the default workstream's files; point it at this run's
+  let prompt = ralphPromptTemplate
+    .replaceAll("tasks/next_task.md", path.relative(cwd, nextTaskPath))
+    .replaceAll("tasks/progress.txt", path.relative(cwd, progressPath)); // Current prompt (remains constant across iterations)
 
   // Iteration tracking and performance monitoring
   let iterations = 0; // Current iteration count
   let fullOutput = ""; // Accumulated output from all iterations
-  let tokenCount = 0; // Total token usage across iterations
+  let usage = null; // Token usage across iterations (see token-usage.mjs)
   const iterationTimings = []; // Performance tracking for each iteration
   let iterationStartTime = Date.now(); // Timing for current iteration
 
   // Context management for preventing resource exhaustion
-  let currentSessionId = null; // Track current conversation session
-  let contextSizeBytes = 0; // Track conversation context size
+  let currentSessionId = options.sessionId || null; // Track current conversation session
+  let contextTokens = currentSessionId ? options.contextTokens || 0 : 0; // Conversation size (estimated tokens)
+  let sessionOutput = ""; // Output of the current conversation (for hand-off summaries)
+  let handoff = null; // Hand-off summary for the first prompt of a rotated conversation
 
     // === MAIN ITERATION LOOP ===
     // Continue until completion detected or max iterations reached
     while (iterations < maxIterations) {
+      if (signal?.aborted) {
+        throw new InterruptedError(signal.reason?.signal || "abort", {
+          sessionId: currentSessionId,
+          iteration: iterations + 1,
+        });
+      }
+
+      // Stop between iterations once the run budget is used up
+      const budgetExceeded = budget?.exceeded();
+      if (budgetExceeded) {
+        throw new BudgetExceededError(budgetExceeded);
+      }
+
       // Track iteration performance - record timing for previous iteration
       if (iterations > 0) {
         iterationTimings.push(Date.now() - iterationStartTime);
@@ -494,16 +691,73 @@ export async function ralphLoop(
 
       logCallback(`Iteration ${iterations + 1}: Starting...`, "orchestrator");
 
+      // Token usage of the iteration: hand-off, failed and retried calls, and
+      // the agent call; errors leaving the iteration carry it
+      let iterationUsage = null;
+      const failIteration = (error) =>
+        Object.assign(error, { usage: iterationUsage });
+
       // === CONTEXT MANAGEMENT ===
       // Check if we need to rotate conversation to prevent resource exhaustion
-      const shouldRotateContext = contextSizeBytes > MAX_CONTEXT_SIZE_BYTES;
+      const shouldRotateContext = contextTokens > MAX_CONTEXT_TOKENS;
       if (shouldRotateContext && currentSessionId) {
         logCallback(
-          `Context size (${Math.round(contextSizeBytes/1024)}KB) approaching limit. Rotating conversation to prevent resource exhaustion.`,
+          `Context size (~${formatTokens(contextTokens)} tokens) approaching limit. Rotating conversation to prevent resource exhaustion.`,
           "orchestrator"
         );
+        // Hand-off summary so the new conversation does not redo the work
+        try {
+          const result = await requestHandoff(
+            {
+              sessionId: currentSessionId,
+              model,
+              sessionOutput,
+              cwd,
+              nextTaskPath,
+              progressPath,
+              backend,
+              signal,
+            },
+            logCallback,
+          );
+          iterationUsage = result.usage;
+          if (result.summary) {
+            handoff = result.summary;
+            logCallback(
+              `📝 Hand-off summary from ${result.label} (${result.summary.length} chars) added to the new conversation's first prompt`,
+              "orchestrator",
+            );
+            logCallback.activityLogger?.log(
+              "handoff",
+              "Context hand-off summary",
+              {
+                iteration: iterations + 1,
+                source: result.source,
+                model: result.source === "model" ? MODELS.handoff : model,
+                session_id: currentSessionId,
+                context_tokens: contextTokens,
+                summary: result.summary,
+              },
+            );
+          } else {
+            logCallback(
+              "⚠️ No hand-off summary - the new conversation starts from the task and progress files only",
+              "warning",
+            );
+          }
+        } catch (error) {
+          // Interrupted: record where the story stopped, as for an iteration
+          if (error instanceof InterruptedError) {
+            error.sessionId = error.sessionId || currentSessionId;
+            error.iteration = iterations + 1;
+          }
+          iterationUsage = error.usage || null;
+          throw failIteration(error);
+        }
         currentSessionId = null; // Force new conversation session
-        contextSizeBytes = 0; // Reset context tracking
+        contextTokens = 0; // Reset context tracking
+        sessionOutput = "";
+        iterationStartTime = Date.now(); // The hand-off does not count against the iteration's runtime
       }
 
       // Execute agent iteration with streaming progress updates
@@ -543,18 +797,23 @@ export async function ralphLoop(
         }
 
         const result = await runAgent(
-          prompt, // Ralph Loop prompt (constant across iterations)
+          handoff
+            ? `${prompt}\n\n${formatHandoffSection(handoff, logCallback.toolUsage?.summary().files_edited)}`
+            : prompt, // Ralph Loop prompt (constant across iterations, plus a hand-off after rotation)
           model, // AI model for this iteration
-          process.cwd(), // Project directory context
+          cwd, // Project directory context (or story worktree)
           currentSessionId, // Resume conversation if available, or null for fresh start
           logCallback, // Real-time logging callback
           null, // No progress callback
           mcpConfig, // MCP tool configuration
+          signal, // Run interrupt signal
+          backend, // Agent backend CLI
         );
 
-        // Update context tracking
+        // Update context tracking (tokens are spent even if the runtime check fails)
         currentSessionId = result.sessionId;
-        contextSizeBytes += Buffer.byteLength(result.output, "utf8");
+        contextTokens += result.contextTokens;
+        iterationUsage = addUsage(iterationUsage, result.usage);
         
         // Check runtime after runAgent completes
         const runtimeAfterExecution = Date.now() - iterationStartTime;
@@ -578,6 +837,16 @@ export async function ralphLoop(
         }
         break;
       } catch (error) {
+        // A failed call still used tokens; count them with the iteration
+        iterationUsage = addUsage(iterationUsage, error.usage);
+
+        // Interruptions are never retried; record where the story stopped
+        if (error instanceof InterruptedError) {
+          error.sessionId = error.sessionId || currentSessionId;
+          error.iteration = iterations + 1;
+          throw failIteration(error);
+        }
+
         // Check if this is a retryable connection error first
         // Connection errors can occur during loop retries and should be handled gracefully
         if (isRetryableConnectionError(error) && retryAttempt < MAX_CONNECTION_RETRIES) {
@@ -618,7 +887,7 @@ export async function ralphLoop(
                 error,
                 output, // Preserve partial response
                 {
-                  contextSizeBytes: contextSizeBytes,
+                  contextTokens: contextTokens,
                   iteration: iterations + 1,
                   runtimeMs: runtimeMs,
                   sessionId: currentSessionId,
@@ -626,13 +895,14 @@ export async function ralphLoop(
               );
 
           logCallback(
-            `⚠️ Resource exhaustion in iteration ${iterations + 1} (context: ${Math.round(contextSizeBytes/1024)}KB)`,
+            `⚠️ Resource exhaustion in iteration ${iterations + 1} (context: ~${formatTokens(contextTokens)} tokens)`,
             "warning",
           );
 
           // Force conversation rotation for next attempt
           currentSessionId = null;
-          contextSizeBytes = 0;
+          contextTokens = 0;
+          sessionOutput = "";
 
           // Check if we have retries remaining for resource exhaustion
           if (loopRetries < MAX_LOOP_RETRIES) {
@@ -663,7 +933,7 @@ export async function ralphLoop(
               `✗ Max resource exhaustion retries (${MAX_LOOP_RETRIES}) exceeded for iteration ${iterations + 1}.`,
               "error",
             );
-            throw resourceError;
+            throw failIteration(resourceError);
           }
         }
 
@@ -730,7 +1000,7 @@ export async function ralphLoop(
               `✗ Max loop retries (${MAX_LOOP_RETRIES}) exceeded for iteration ${iterations + 1}. Stopping task execution.`,
               "error",
             );
-            throw loopError;
+            throw failIteration(loopError);
           }
         }
         
@@ -743,18 +1013,29 @@ export async function ralphLoop(
         }
         
         // Re-throw the error to be handled at task level
-        throw error;
+        throw failIteration(error);
       }
     }
 
     // Accumulate output and track token usage
     fullOutput += output;
-    tokenCount += Buffer.byteLength(output, "utf8"); // Approximate token count
+    sessionOutput += output;
+    usage = addUsage(usage, iterationUsage);
 
     logCallback(
-      `Iteration ${iterations + 1} complete. Token count: ${tokenCount}`,
+      `Iteration ${iterations + 1} complete. Tokens: ${describeUsage(iterationUsage)}, context ~${formatTokens(contextTokens)}`,
       "orchestrator",
     );
+    budget?.recordIteration();
+    await onSessionUpdate?.({
+      sessionId: currentSessionId,
+      iteration: iterations + 1,
+      contextTokens,
+      usage: iterationUsage,
+      output,
+      handoff,
+    });
+    handoff = null; // The new conversation has it now
 
     // === PROGRESS TRACKING ===
     // Monitor task completion progress by parsing markdown checkboxes
@@ -762,7 +1043,7 @@ export async function ralphLoop(
 
     let taskContent = "";
     try {
-      taskContent = await fs.readFile(NEXT_TASK_PATH, "utf8");
+      taskContent = await fs.readFile(nextTaskPath, "utf8");
     } catch (e) {
       // Task file might not exist yet - continue without task-specific progress
     }
@@ -802,7 +1083,7 @@ export async function ralphLoop(
 
     let taskContentForCompletion = "";
     try {
-      taskContentForCompletion = await fs.readFile(NEXT_TASK_PATH, "utf8");
+      taskContentForCompletion = await fs.readFile(nextTaskPath, "utf8");
     } catch (e) {
       // Task file might not exist yet - continue checking other criteria
     }
@@ -819,7 +1100,7 @@ export async function ralphLoop(
     }
 
     // Token limit warning - approaching context window limits
-    if (tokenCount > WARN_THRESHOLD) {
+    if (contextTokens > WARN_THRESHOLD) {
       logCallback(
         "Warning: Approaching token limit. Agent should check progress.txt for context.",
         "warning",
@@ -835,5 +1116,5 @@ export async function ralphLoop(
     logCallback("Max iterations reached without completion.", "orchestrator");
   }
 
-  return { fullOutput };
+  return { fullOutput, usage: addUsage(usage, null) };
 }
@@ -60,8 +60,11 @@ export const SCRIPT_DIR = dirname(__filename);
  * Load .env file from the orchestrator directory (SCRIPT_DIR), not the project directory.
  * This ensures that API keys and configuration are managed within the orchestrator
  * installation, separate from user project files.
+ *
+ * ENV_LOAD_ERROR keeps the load error (e.g. missing file) for `ralph doctor`.
  */
-dotenv.config({ path: path.join(dirname(SCRIPT_DIR), ".env") });
+export const ENV_PATH = path.join(dirname(SCRIPT_DIR), ".env");
+export const ENV_LOAD_ERROR = dotenv.config({ path: ENV_PATH }).error || null;
 
 // ============================================================================
 // AI MODEL LIMITS AND THRESHOLDS
@@ -74,13 +77,14 @@ dotenv.config({ path: path.join(dirname(SCRIPT_DIR), ".env") });
  * size and triggering warnings or automatic rotation when approaching limits.
  *
  * - WARN_THRESHOLD: Alert user when approaching context limits (70k tokens)
- * - ROTATE_THRESHOLD: Automatically rotate/create new conversation (80k tokens)
+ * - MAX_CONTEXT_TOKENS: Rotate to a new conversation above this size (90k
+ *   tokens, well inside the 128k-200k windows of the default models)
  *
- * Note: Values are in bytes approximation of token counts. Actual tokenization
- * may vary slightly by model, but these provide safe operational limits.
+ * Note: Conversation size is estimated over everything the agent read and wrote
+ * (see token-usage.mjs); it was a byte count of the agent's answers before.
  */
-export const WARN_THRESHOLD = 70000; // Bytes ~ tokens
-export const ROTATE_THRESHOLD = 80000;
+export const WARN_THRESHOLD = 70000;
+export const MAX_CONTEXT_TOKENS = 90000;
 
 /**
  * Workflow Limits
@@ -136,11 +140,36 @@ export const MAX_LOOP_RETRIES = 3;
  *
  * - RESOURCE_EXHAUSTION_BASE_DELAY_MS: Base delay before retrying after resource exhaustion (default: 2 seconds)
  * - RESOURCE_EXHAUSTION_BACKOFF_MULTIPLIER: Exponential backoff multiplier (default: 1.5)
- * - MAX_CONTEXT_SIZE_BYTES: Maximum context size before forcing conversation rotation (default: 60KB)
  */
 export const RESOURCE_EXHAUSTION_BASE_DELAY_MS = 2000; // 2 seconds
 export const RESOURCE_EXHAUSTION_BACKOFF_MULTIPLIER = 1.5;
-export const MAX_CONTEXT_SIZE_BYTES = 60000; // ~60KB context limit
+
+/**
+ * Persisted Agent Session Configuration
+ *
+ * Each story records its agent session in tasks.json (`session`) after every
+ * Ralph Loop iteration, so `ralph restart-dev` can resume the conversation
+ * instead of starting over. Sessions at or above MAX_CONTEXT_TOKENS are
+ * not resumed (they would be rotated right away).
+ *
+ * - SESSION_OUTPUT_TAIL_CHARS: Characters of the last agent output kept for
+ *   re-orientation when a story restarts in a new conversation (default: 2000)
+ */
+export const SESSION_OUTPUT_TAIL_CHARS = 2000;
+
+/**
+ * Context Rotation Hand-off Configuration
+ *
+ * Before ralphLoop() rotates a conversation (MAX_CONTEXT_TOKENS), it asks for a
+ * hand-off summary for the new conversation's first prompt: from the outgoing
+ * conversation, or else from MODELS.handoff (see context-handoff.mjs).
+ *
+ * - HANDOFF_EXCERPT_CHARS: Latest output of the outgoing conversation given to
+ *   MODELS.handoff, which was not part of it (default: 20000)
+ * - HANDOFF_MAX_CHARS: Longest summary added to the prompt (default: 6000)
+ */
+export const HANDOFF_EXCERPT_CHARS = 20000;
+export const HANDOFF_MAX_CHARS = 6000;
 
 // ============================================================================
 // PROJECT-SPECIFIC FILE PATHS (Relative to process.cwd())
@@ -176,6 +205,29 @@ export const PROGRESS_PATH = path.join(process.cwd(), "tasks/progress.txt");
  */
 export const NEXT_TASK_PATH = path.join(process.cwd(), "tasks/next_task.md");
 
+/**
+ * Project Lock File
+ *
+ * Held by every state-mutating command so two Ralph runs cannot rewrite
+ * tasks.json or fight over git checkouts in the same project. Records PID,
+ * host, command and start time; kept out of commits via .git/info/exclude.
+ * Located in: project/tasks/ralph.lock
+ */
+export const LOCK_PATH = path.join(process.cwd(), "tasks/ralph.lock");
+
+/**
+ * tasks.json Persistence Configuration
+ *
+ * tasks.json is written atomically (temp file + rename). The previous version
+ * is kept as tasks.json.bak, and every change is first appended to
+ * tasks.journal.jsonl (next to tasks.json), from which `ralph repair-tasks`
+ * rebuilds an unreadable tasks.json.
+ *
+ * - TASKS_JOURNAL_MAX_BYTES: Journal size at which it is rotated to
+ *   tasks.journal.jsonl.1 and restarted with a full snapshot (default: 5MB)
+ */
+export const TASKS_JOURNAL_MAX_BYTES = 5000000;
+
 /**
  * Skills Directory
  *
@@ -235,5 +287,112 @@ export const MODELS = {
   taskBreakdown: "auto", // Task decomposition - structured analysis
   taskBreakdownFormatter: "gpt-5.2", // Task decomposition formatter - structured analysis
   devAgent: "grok", // Development execution - code generation
+  handoff: "grok", // Context hand-off summary fallback - cheap and fast
   default: "auto", // Fallback for unspecified operations
 };
+
+/**
+ * Development Model per Story Role
+ *
+ * Model used by the dev loop for each `suggested_role` from task breakdown.
+ * Roles not listed here use MODELS.devAgent.
+ *
+ * Resolution order for a story (first match wins):
+ * 1. `model` on the story in tasks.json
+ * 2. `roleModels[role]` at the top level of tasks.json
+ * 3. DEV_ROLE_MODELS[role]
+ * 4. MODELS.devAgent
+ */
+export const DEV_ROLE_MODELS = {
+  backend: MODELS.devAgent, // APIs, data models, business logic
+  "frontend-ui": MODELS.devAgent, // Components, styling, layout
+  "frontend-logic": MODELS.devAgent, // State management, client-side logic
+};
+
+/**
+ * Parallel Execution Configuration
+ *
+ * Controls how many independent user stories may run at the same time. Each
+ * parallel story runs in its own git worktree on a sub-branch of the feature
+ * branch. Overridden per run with `--concurrency N`.
+ *
+ * - DEFAULT_CONCURRENCY: Stories running at once (default: 1 = sequential, no worktrees)
+ */
+export const DEFAULT_CONCURRENCY = 1;
+
+/**
+ * Verification Gate Configuration
+ *
+ * Commands run after the Ralph Loop reports a story as complete. A story is only
+ * marked completed (passes: true) and committed when every command exits with 0.
+ * Overridden by `verificationCommands` in tasks.json or `--verify "<command>"`.
+ *
+ * - VERIFICATION_COMMANDS: Default commands (default: none = gate disabled)
+ * - MAX_VERIFICATION_ATTEMPTS: Verification rounds before the story fails (default: 3)
+ * - VERIFICATION_TIMEOUT_MS: Timeout per command (default: 10 minutes)
+ */
+export const VERIFICATION_COMMANDS = [];
+export const MAX_VERIFICATION_ATTEMPTS = 3;
+export const VERIFICATION_TIMEOUT_MS = 600000; // 10 minutes
+
+/**
+ * Failed Story Rollback Configuration
+ *
+ * What happens to a failed story's uncommitted edits (and any commits the agent
+ * made) so the next story or a restart starts from a known state. Before stash
+ * or reset, the discarded diff is saved under logs/. Overridden with
+ * `--rollback <policy>`.
+ *
+ * - DEFAULT_ROLLBACK_POLICY: "keep" (leave as-is), "stash" (git stash) or
+ *   "reset" (restore the start commit) (default: "stash")
+ */
+export const DEFAULT_ROLLBACK_POLICY = "stash";
+
+/**
+ * Story Retry Policy
+ *
+ * A failed story (loop error, connection error, failed verification) is run
+ * again in a fresh agent session. Each retry moves one step up the model ladder,
+ * so one-off model stumbles are retried with a stronger model.
+ * Overridden with `--retries N` and `--retry-models a,b,c`.
+ *
+ * - MAX_STORY_RETRIES: Retries after the first failed attempt (default: 2)
+ * - RETRY_MODEL_LADDER: Models used for retries, weakest first
+ */
+export const MAX_STORY_RETRIES = 2;
+export const RETRY_MODEL_LADDER = [MODELS.devAgent, MODELS.default, "gpt-5.2"];
+
+/**
+ * Story Failure Policy
+ *
+ * What a story that still fails after its retries means for the rest of the
+ * run. Overridden with `--on-failure <policy>`.
+ *
+ * - DEFAULT_ON_FAILURE_POLICY: "stop" (end the run), "skip-dependents" (block
+ *   stories that depend on the failed one, run the rest) or "continue" (run
+ *   every remaining story) (default: "skip-dependents")
+ */
+export const DEFAULT_ON_FAILURE_POLICY = "skip-dependents";
+
+/**
+ * Base Branch Configuration
+ *
+ * Branch that new feature branches are created from (and that `--rebase`
+ * rebases onto). Overridden with `--base <branch>`.
+ *
+ * - BASE_BRANCH: Base branch name (default: null = detect from origin/HEAD,
+ *   init.defaultBranch, or the first of main/master/develop)
+ */
+export const BASE_BRANCH = null;
+
+/**
+ * Agent Backend Configuration
+ *
+ * Coding-agent CLI that runs the agent (see agent-backend.mjs). Overridden by
+ * `agentBackend` in tasks.json or `--backend <name>` for dev runs.
+ *
+ * - DEFAULT_AGENT_BACKEND: "cursor", "codex" or "gemini" (default:
+ *   RALPH_AGENT_BACKEND from the environment or .env, else "cursor")
+ */
+export const DEFAULT_AGENT_BACKEND =
+  process.env.RALPH_AGENT_BACKEND || "cursor";
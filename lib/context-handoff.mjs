@@ -0,0 +1,102 @@
+/**
+ * Context Rotation Hand-off
+ *
+ * ralphLoop() starts a new conversation when the current one passes
+ * MAX_CONTEXT_TOKENS. The new conversation used to start from the static Ralph
+ * Loop prompt and whatever the agent had written to progress.txt, so
+ * iterations after a rotation redid a lot of work.
+ *
+ * Before rotating, the loop now asks for a hand-off summary
+ * (prompts/context-handoff.md):
+ * 1. from the outgoing conversation itself, which knows everything it did
+ * 2. if that fails, from MODELS.handoff (a cheap model) in a new conversation,
+ *    given the task file and the tail of the outgoing conversation's output
+ * The summary (work done, files touched, remaining criteria, dead ends) is
+ * added to the first prompt of the new conversation, together with the files
+ * the story's tool log recorded as edited. Without a summary the loop rotates
+ * as before.
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { loadPrompt } from "./file-ops.mjs";
+
+const HANDOFF_PATTERN = /<handoff>([\s\S]*?)<\/handoff>/i;
+
+/**
+ * Build the Hand-off Prompt
+ *
+ * @param {Object} params - Story files and what to summarize
+ * @param {string} params.cwd - Working directory of the agent
+ * @param {string} params.nextTaskPath - Task file of the story
+ * @param {string} params.progressPath - Progress log of the story
+ * @param {string} [params.excerpt] - Output of the outgoing conversation, for
+ *        a model that was not part of it (omit when asking the conversation)
+ * @returns {Promise<string>} Prompt for the hand-off call
+ */
+export async function buildHandoffPrompt({
+  cwd,
+  nextTaskPath,
+  progressPath,
+  excerpt,
+}) {
+  const taskFile = path.relative(cwd, nextTaskPath);
+  const prompt = (await loadPrompt("context-handoff.md"))
+    .replaceAll("tasks/next_task.md", taskFile)
+    .replaceAll("tasks/progress.txt", path.relative(cwd, progressPath));
+  if (excerpt === undefined) {
+    return prompt;
+  }
+
+  let taskContent = "";
+  try {
+    taskContent = await fs.readFile(nextTaskPath, "utf8");
+  } catch {
+    // No task file - the excerpt has to do
+  }
+  return `${prompt}
+## Task File (${taskFile})
+
+${taskContent || "(missing)"}
+
+## Conversation Excerpt (latest output, oldest part cut)
+
+${excerpt || "(no output)"}
+`;
+}
+
+/**
+ * Extract the Summary from a Hand-off Reply
+ *
+ * @param {string} output - Agent reply
+ * @param {number} maxChars - Longest summary to keep (longer ones are cut)
+ * @returns {string|null} Summary, or null if the reply has none
+ */
+export function extractHandoff(output, maxChars) {
+  const summary = output.match(HANDOFF_PATTERN)?.[1]?.trim();
+  if (!summary) {
+    return null;
+  }
+  return summary.length > maxChars
+    ? `${summary.slice(0, maxChars)}\n[summary cut]`
+    : summary;
+}
+
+/**
+ * Format the Hand-off for the First Prompt of the New Conversation
+ *
+ * @param {string} summary - Hand-off summary
+ * @param {string[]} [filesEdited] - Files the story's tool log recorded as
+ *        edited (see createToolUsageTracker())
+ * @returns {string} Prompt section appended to the Ralph Loop prompt
+ */
+export function formatHandoffSection(summary, filesEdited = []) {
+  const files = filesEdited.length
+    ? `\n\nFiles edited in this story so far (tool log): ${filesEdited.join(", ")}`
+    : "";
+  return `## Hand-off from the Previous Conversation
+
+This story was started in an earlier conversation, which was closed because its context grew too large. Its hand-off summary follows. Continue from it: check the remaining criteria instead of redoing the work done, and do not retry the dead ends.
+
+${summary}${files}`;
+}
@@ -15,6 +15,7 @@
  *
  * Key Features:
  * - Sequential task execution with dependency awareness
+ * - Verification gate (tests, type-check, lint) before a story is marked complete
  * - Real-time progress tracking and human-readable progress files
  * - Comprehensive activity logging per task
  * - Git branch management for clean development workflow
@@ -29,13 +30,29 @@
 import fs from "fs-extra";
 import path from "path";
 import { execSync } from "child_process";
-import { PROGRESS_PATH, NEXT_TASK_PATH } from "./config.mjs";
+import {
+  DEFAULT_CONCURRENCY,
+  MAX_VERIFICATION_ATTEMPTS,
+  DEFAULT_ROLLBACK_POLICY,
+  MODELS,
+  DEV_ROLE_MODELS,
+  MAX_STORY_RETRIES,
+  RETRY_MODEL_LADDER,
+  DEFAULT_ON_FAILURE_POLICY,
+  MAX_CONTEXT_TOKENS,
+  SESSION_OUTPUT_TAIL_CHARS,
+} from "./config.mjs";
 import {
   createActivityLogger,
+  getActivityLogPath,
   updateProgressWithTaskCompletion,
 } from "./logger.mjs";
 import { generateTaskFiles, selectExistingTasksFile } from "./file-ops.mjs";
-import { promptTaskLimit } from "./prompts.mjs";
+import {
+  promptResumeSessions,
+  promptStoryReview,
+  promptTaskLimit,
+} from "./prompts.mjs";
 import {
   ralphLoop,
   ConnectionError,
@@ -45,6 +62,55 @@ import {
   isResourceExhaustionError,
 } from "./agent-runner.mjs";
 import { format } from "./log-format.mjs";
+import {
+  buildExecutionPlan,
+  getDependencyIds,
+  getUnmetDependencies,
+  normalizeStoryId,
+} from "./task-scheduler.mjs";
+import {
+  createStoryWorktree,
+  restoreOrchestratorFiles,
+  commitStoryWorktree,
+  mergeStoryBranch,
+  removeStoryWorktree,
+} from "./git-worktree.mjs";
+import {
+  getVerificationCommands,
+  runVerification,
+  formatVerificationFeedback,
+} from "./verification.mjs";
+import {
+  getHeadCommit,
+  getProjectPathspec,
+  rollbackStory,
+  stashLeftoverChanges,
+} from "./story-rollback.mjs";
+import { formatReviewFeedback, printStoryReview } from "./story-review.mjs";
+import {
+  BudgetExceededError,
+  createRunBudget,
+  formatDuration,
+} from "./run-budget.mjs";
+import { InterruptedError, createInterruptHandler } from "./run-interrupt.mjs";
+import { excludeLockFromGit } from "./project-lock.mjs";
+import { writeTasksFile } from "./tasks-store.mjs";
+import {
+  STORY_STATUS,
+  getStoryStatus,
+  transitionStory,
+} from "./story-state.mjs";
+import {
+  describeBranchSetup,
+  detectBaseBranch,
+  prepareFeatureBranch,
+} from "./git-branch.mjs";
+import { formatWorkstreamCommand, resolveWorkstream } from "./workstream.mjs";
+import { createStoryArtifacts } from "./story-artifacts.mjs";
+import { createToolUsageTracker } from "./tool-usage.mjs";
+import { addUsage, describeUsage, formatTokens } from "./token-usage.mjs";
+import { resolveAgentBackend } from "./agent-backend.mjs";
+import { createRunBackend } from "./agent-replay.mjs";
 
 /**
  * Execute Development Tasks Sequentially
@@ -57,22 +123,46 @@ import { format } from "./log-format.mjs";
  * 1. Generate/update tasks.json file from task data
  * 2. Initialize progress tracking and codebase patterns
  * 3. Set up git repository and create feature branch
- * 4. Process each task sequentially:
+ * 4. Build execution plan (dependency order, priority tie-breaks)
+ * 5. Process each task in plan order:
+ *    - Skip and mark as blocked if dependencies are incomplete or failed
+ *      (unless the on-failure policy is "continue")
  *    - Create task-specific prompts and logging
- *    - Execute Ralph Loop for iterative development
- *    - Track statistics and update progress
- *    - Mark task as completed
- * 5. Provide summary and merge instructions
+ *    - Execute Ralph Loop for iterative development with the selected agent
+ *      backend (--backend, agentBackend in tasks.json, or the default), or
+ *      record / replay its events (--record, --replay)
+ *    - Run verification commands; feed failures back into the loop
+ *    - With --review, let a human approve, reject or give feedback before commit
+ *    - Roll a failed story back to its start commit (keep/stash/reset policy)
+ *    - Retry a failed story with a fresh session, escalating along the model ladder
+ *    - Apply the on-failure policy: stop the run, block the failed story's
+ *      dependents (default), or continue with every remaining story
+ *    - Track statistics (token usage per iteration, story and run) and update
+ *      progress
+ *    - Stop cleanly between iterations when a run budget is used up
+ *    - On Ctrl+C/SIGTERM, abort the agent and mark the story interrupted
+ *    - Save the story's agent session after every iteration (restart-dev can
+ *      resume the conversation)
+ *    - Save each attempt's diff, transcript, activity log, verification output
+ *      and screenshots to tasks/artifacts/<US-ID>/<attempt>/ (linked from the
+ *      story's `artifacts` and history entries)
+ *    - Mark task as done (status transitions are recorded on each story)
+ * 6. Provide summary (including what to resume after a budget stop or an
+ *    interruption) and merge instructions
  *
  * Git Integration:
  * - Initializes git repo if not present
- * - Creates feature branch using branchName from tasks.json (required field)
+ * - Creates feature branch using branchName from tasks.json (required field),
+ *   from the detected base branch, --base, or the current HEAD (--from-head)
+ * - Optionally rebases an existing feature branch onto the base (--rebase)
  * - Validates branchName exists before execution
  * - All changes committed to feature branch
  * - Provides merge instructions for integration
  *
  * Progress Tracking:
  * - Human-readable progress.txt with task completion status
+ * - A workstream other than tasks.json (options.tasksFile) keeps its own task
+ *   file, progress log and next_task file (see resolveWorkstream())
  * - Structured JSONL logs for each task execution
  * - Real-time statistics and performance metrics
  *
@@ -80,6 +170,39 @@ import { format } from "./log-format.mjs";
  * @param {string} projectPath - Absolute path to the project directory
  * @param {Object|null} mcpConfig - MCP configuration for tool integrations
  * @param {number|null} maxTasksToComplete - Max tasks to complete this run (null = all)
+ * @param {Object} [options] - Execution options
+ * @param {number} [options.concurrency] - Independent stories to run at once (default: DEFAULT_CONCURRENCY)
+ * @param {string[]} [options.verify] - Verification commands overriding tasks.json/config
+ * @param {string} [options.rollback] - Rollback policy for failed stories: keep|stash|reset (default: DEFAULT_ROLLBACK_POLICY)
+ * @param {number} [options.retries] - Retries for a failed story (default: MAX_STORY_RETRIES)
+ * @param {string[]} [options.retryModels] - Model ladder used for retries (default: RETRY_MODEL_LADDER)
+ * @param {boolean} [options.review] - Pause for human approval before each story commit
+ *        (interactive only; forces sequential execution)
+ * @param {string} [options.onFailure] - What a failed story means for the rest of the run:
+ *        stop|skip-dependents|continue (default: DEFAULT_ON_FAILURE_POLICY)
+ * @param {boolean} [options.dryRun] - Print the execution plan and prompts without running agents,
+ *        writing files or touching git
+ * @param {string[]} [options.storyIds] - Only run these stories (run-task); dependencies outside
+ *        the selection produce a warning instead of blocking
+ * @param {boolean} [options.force] - With storyIds, re-run stories already marked completed
+ * @param {string} [options.base] - Base branch for new feature branches (default: detected)
+ * @param {boolean} [options.fromHead] - Create the feature branch from the current HEAD
+ * @param {boolean} [options.rebase] - Rebase an existing feature branch onto the base branch
+ * @param {number} [options.maxDurationMs] - Wall-clock budget for the run
+ * @param {Date} [options.until] - Time at which the run stops
+ * @param {number} [options.maxIterationsTotal] - Ralph Loop iterations across all stories
+ * @param {number} [options.maxStories] - Stories to complete this run (combined with
+ *        maxTasksToComplete; the lower limit wins)
+ * @param {boolean} [options.resumeSessions] - Resume the saved agent conversation of
+ *        in-progress and interrupted stories (restart-dev)
+ * @param {string} [options.tasksFile] - Workstream task file (default: tasks/tasks.json)
+ * @param {Object} [options.workstream] - Already resolved workstream (takes precedence
+ *        over tasksFile)
+ * @param {string} [options.backend] - Agent backend (default: agentBackend in tasks.json,
+ *        then DEFAULT_AGENT_BACKEND; see agent-backend.mjs)
+ * @param {string} [options.record] - Record the agent's events to this directory
+ *        (relative to the project; see agent-replay.mjs)
+ * @param {string} [options.replay] - Replay a recording instead of running an agent
  * @returns {Promise<Array>} Array of execution results for each completed task
  */
 export async function runTasksSequentially(
@@ -87,10 +210,20 @@ export async function runTasksSequentially(
   projectPath,
   mcpConfig = null,
   maxTasksToComplete = null,
+  options = {},
 ) {
-  // Determine tasks.json path
-  const tasksDir = path.join(projectPath, "tasks");
-  const tasksJsonPath = path.join(tasksDir, "tasks.json");
+  if (options.maxStories != null) {
+    maxTasksToComplete = Math.min(
+      maxTasksToComplete ?? Infinity,
+      options.maxStories,
+    );
+  }
+
+  // Determine the workstream's tasks.json, progress and next_task paths
+  const workstream =
+    options.workstream || resolveWorkstream(projectPath, options.tasksFile);
+  const { tasksJsonPath, progressPath } = workstream;
+  const tasksDir = path.dirname(tasksJsonPath);
 
   let tasksData;
 
@@ -100,7 +233,7 @@ export async function runTasksSequentially(
     console.log(
       format(
         "git_ok",
-        "✓ Found existing tasks.json, preserving completion status...",
+        `✓ Found existing ${workstream.fileName}, preserving completion status...`,
       ),
     );
     const existingTasksData = JSON.parse(
@@ -112,6 +245,10 @@ export async function runTasksSequentially(
     const newTasksData = {
       created_at: existingTasksData.created_at || new Date().toISOString(),
       branchName: existingTasksData.branchName || null, // Preserve branchName from existing file
+      verificationCommands: existingTasksData.verificationCommands, // Preserve project verification commands
+      roleModels: existingTasksData.roleModels, // Preserve per-role model overrides
+      agentBackend: existingTasksData.agentBackend, // Preserve the agent backend choice
+      usage: existingTasksData.usage, // Preserve token usage of earlier runs
       userStories: tasks.map((task) => {
         // Validate success_criteria and warn if missing
         if (!task.success_criteria && !task.acceptanceCriteria) {
@@ -136,6 +273,9 @@ export async function runTasksSequentially(
           priority: task.priority,
           dependencies: task.dependencies,
           suggested_role: task.suggested_role,
+          model: task.model,
+          status: STORY_STATUS.PENDING,
+          transitions: [],
           passes: false,
           notes: "",
           completed: false,
@@ -160,6 +300,8 @@ export async function runTasksSequentially(
           // Preserve completion fields from existing task
           return {
             ...newTask,
+            status: getStoryStatus(existingTask),
+            transitions: existingTask.transitions ?? [],
             passes: existingTask.passes ?? false,
             notes: existingTask.notes ?? "",
             completed: existingTask.completed ?? false,
@@ -167,6 +309,18 @@ export async function runTasksSequentially(
             completed_at: existingTask.completed_at ?? null,
             output: existingTask.output ?? null,
             stats: existingTask.stats ?? undefined,
+            verification: existingTask.verification ?? undefined,
+            model: existingTask.model ?? newTask.model,
+            start_commit: existingTask.start_commit ?? undefined,
+            interruption: existingTask.interruption ?? undefined,
+            session: existingTask.session ?? undefined,
+            rollback: existingTask.rollback ?? undefined,
+            blocked_by: existingTask.blocked_by ?? undefined,
+            resourceExhaustionCount:
+              existingTask.resourceExhaustionCount ?? undefined,
+            history: existingTask.history ?? undefined,
+            usage: existingTask.usage ?? undefined,
+            artifacts: existingTask.artifacts ?? undefined,
           };
         }
         // New task not in existing file - use defaults
@@ -186,24 +340,51 @@ export async function runTasksSequentially(
       );
     }
 
-    // Write merged data back to file
-    await fs.writeFile(tasksJsonPath, JSON.stringify(tasksData, null, 2));
+    // Write merged data back to file (dry runs leave tasks.json untouched)
+    if (!options.dryRun) {
+      await writeTasksFile(tasksJsonPath, tasksData);
+    }
     console.log(
       format(
         "git_ok",
         `✓ Preserved completion status for ${tasksData.userStories.filter((t) => t.completed).length} completed tasks`,
       ),
     );
+  } else if (options.dryRun) {
+    // Dry run without tasks.json: preview the stories as given
+    tasksData = { created_at: null, branchName: null, userStories: tasks };
   } else {
     // File doesn't exist: Generate new file
     const generatedPath = await generateTaskFiles(tasks);
     tasksData = JSON.parse(await fs.readFile(generatedPath, "utf8"));
   }
 
+  // === STORY SELECTION (run-task) ===
+  const selectedIds = options.storyIds
+    ? selectStories(tasksData, options.storyIds, options.force)
+    : null;
+  if (selectedIds && selectedIds.size === 0) {
+    console.log(format("warning", "No stories selected to run."));
+    return [];
+  }
+
+  // === DRY RUN ===
+  // Stop before anything is written or any agent is started
+  if (options.dryRun) {
+    previewExecution(
+      tasksData,
+      projectPath,
+      maxTasksToComplete,
+      { ...options, workstream },
+      selectedIds,
+    );
+    return [];
+  }
+
   // Initialize progress.txt with Codebase Patterns section
   // Progress file is created in the project directory (tasks/progress.txt)
-  await fs.ensureFile(PROGRESS_PATH);
-  let progressContent = await fs.readFile(PROGRESS_PATH, "utf8");
+  await fs.ensureFile(progressPath);
+  let progressContent = await fs.readFile(progressPath, "utf8");
 
   // If progress.txt is empty or doesn't have Codebase Patterns section, initialize it
   if (!progressContent.includes("## Codebase Patterns")) {
@@ -213,7 +394,7 @@ export async function runTasksSequentially(
       codebasePatternsHeader +
       "(No patterns yet - will be populated as work progresses)\n\n";
 
-    await fs.writeFile(PROGRESS_PATH, initialContent, "utf8");
+    await fs.writeFile(progressPath, initialContent, "utf8");
     progressContent = initialContent;
   }
 
@@ -225,6 +406,7 @@ export async function runTasksSequentially(
   } catch {
     // Initialize git repository if it doesn't exist
     execSync("git init", { cwd: projectPath });
+    excludeLockFromGit(projectPath); // The run's project lock must not be committed
     console.log(format("git_ok", "Initialized new git repository"));
   }
 
@@ -235,6 +417,15 @@ export async function runTasksSequentially(
     );
   }
   const featureBranch = tasksData.branchName;
+  // --backend, then agentBackend in tasks.json (or --replay); throws for an
+  // unknown backend or an unusable --record/--replay directory
+  const agentBackend = createRunBackend(options, tasksData, {
+    projectPath,
+    tasksJsonPath,
+    trackedFiles: [workstream.nextTaskPath, progressPath].map((file) =>
+      path.relative(projectPath, file),
+    ),
+  });
 
   console.log(
     format("orchestrator", "\n=== Starting Sequential Task Execution ==="),
@@ -245,34 +436,33 @@ export async function runTasksSequentially(
       `Total user stories: ${tasksData.userStories.length}`,
     ),
   );
+  console.log(
+    format(
+      "orchestrator",
+      `Agent backend: ${agentBackend.label || agentBackend.name}`,
+    ),
+  );
   console.log(format("orchestrator", `Feature branch: ${featureBranch}\n`));
 
   // === GIT BRANCH MANAGEMENT ===
-  // Check if feature branch exists first; checkout existing or create from main (allows restarts without "branch already exists" error)
+  // Checkout existing feature branch or create it from the base branch (allows restarts without "branch already exists" error)
   try {
-    let branchExists = false;
-    try {
-      execSync(`git rev-parse --verify refs/heads/${featureBranch}`, {
-        cwd: projectPath,
-        stdio: "ignore",
-      });
-      branchExists = true;
-    } catch {
-      // Branch does not exist
-    }
-    if (branchExists) {
-      execSync(`git checkout ${featureBranch}`, {
-        cwd: projectPath,
-        stdio: "ignore",
-      });
+    const branch = prepareFeatureBranch(projectPath, featureBranch, options);
+    if (branch.created) {
       console.log(
-        format("git_ok", `✓ Switched to existing branch ${featureBranch}\n`),
+        format(
+          "git_ok",
+          `✓ Created and switched to ${featureBranch} (from ${branch.baseBranch || "current HEAD"})\n`,
+        ),
       );
     } else {
-      execSync("git checkout main", { cwd: projectPath, stdio: "ignore" });
-      execSync(`git checkout -b ${featureBranch}`, { cwd: projectPath });
       console.log(
-        format("git_ok", `✓ Created and switched to ${featureBranch}\n`),
+        format(
+          "git_ok",
+          branch.rebased
+            ? `✓ Switched to existing branch ${featureBranch} and rebased onto ${branch.baseBranch}\n`
+            : `✓ Switched to existing branch ${featureBranch}\n`,
+        ),
       );
     }
   } catch (e) {
@@ -285,418 +475,1910 @@ export async function runTasksSequentially(
     return []; // Return empty results on git failure
   }
 
-  // === SEQUENTIAL TASK EXECUTION ===
-  // Process each task in order, allowing for proper dependency management
-  const results = [];
-  let completedThisRun = 0;
-
-  for (const task of tasksData.userStories) {
-    // Skip already completed tasks (resumability feature)
-    if (task.completed) {
-      continue;
-    }
-
-    // Determine agent role for this task (defaults to generic developer)
-    const role = task.suggested_role || "developer";
+  // === EXECUTION PLAN ===
+  // Order stories by dependency graph, breaking ties by priority
+  const plan = buildExecutionPlan(tasksData.userStories);
+  const storiesById = new Map(tasksData.userStories.map((t) => [t.id, t]));
+  if (selectedIds) {
+    plan.ordered = plan.ordered.filter((t) => selectedIds.has(t.id));
+  }
 
-    // Display task information for user awareness
+  for (const { id, dependency } of plan.unknownDependencies) {
     console.log(
       format(
-        "task",
-        `\n--- User Story ${task.id}/${tasksData.userStories.length} ---`,
+        "warning",
+        `⚠ Warning: Task ${id} depends on unknown task ${dependency} (ignored)`,
       ),
     );
-    console.log(format("task", `Role: ${role}`));
+  }
+  if (plan.cyclic.size > 0) {
     console.log(
-      format("task", `Description: ${task.description.substring(0, 80)}...`),
+      format(
+        "warning",
+        `⚠ Warning: Dependency cycle detected involving ${[...plan.cyclic].join(", ")}. These tasks will be blocked.`,
+      ),
     );
+  }
+  console.log(
+    format(
+      "orchestrator",
+      `Execution order: ${plan.ordered.map((t) => t.id).join(" → ")}\n`,
+    ),
+  );
 
-    // Check if this is a sequential iteration (restart scenario)
-    // A task that has started_at but is not completed indicates a previous iteration was interrupted
-    const isSequentialIteration = task.started_at && !task.completed;
-    const previousStartedAt = task.started_at; // Save original value before overwriting
-
-    // Mark task as started and persist to disk
-    task.started_at = new Date().toISOString();
-    await fs.writeFile(tasksJsonPath, JSON.stringify(tasksData, null, 2));
-
-    // === TASK PREPARATION ===
-    // Create next_task.md file with task details for agent to read
-    // Format success criteria as checkboxes for progress tracking
-    const criteriaWithCheckboxes = (task.acceptanceCriteria || [])
-      .map((c) => `[ ] ${c}`) // Unchecked checkboxes for each criterion
-      .join("\n");
+  // === TASK EXECUTION ===
+  // Run stories one at a time, or several at once in isolated worktrees
+  const context = {
+    tasksData,
+    storiesById,
+    plan,
+    selectedIds,
+    projectPath,
+    featureBranch,
+    workstream,
+    mcpConfig,
+    agentBackend,
+    verificationCommands: getVerificationCommands(tasksData, options),
+    rollbackPolicy: options.rollback || DEFAULT_ROLLBACK_POLICY,
+    retryPolicy: {
+      maxRetries: options.retries ?? MAX_STORY_RETRIES,
+      models: options.retryModels || RETRY_MODEL_LADDER,
+    },
+    onFailure: options.onFailure || DEFAULT_ON_FAILURE_POLICY,
+    review: Boolean(options.review),
+    resumeSessions: Boolean(options.resumeSessions),
+    budget: createRunBudget(options),
+    interrupt: null, // Ctrl+C / SIGTERM handler, installed while stories run
+    stopReason: null, // Set when a run budget or an interruption stops the run
+    runUsage: null, // This run's token usage (in tasksData.usage.runs)
+    saveTasks: createTasksSaver(tasksJsonPath, tasksData),
+  };
+  let concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+
+  // Recorded agent calls are replayed in order, so stories must run in order too
+  if (options.replay && concurrency > 1) {
+    console.log(
+      format(
+        "warning",
+        "Replay runs one story at a time - ignoring --concurrency",
+      ),
+    );
+    concurrency = 1;
+  }
 
-    const taskPrompt = `# Task ${task.id} (Role: ${task.suggested_role})
+  if (context.review) {
+    // Direct commands set NON_INTERACTIVE, but --review asks for a terminal
+    if (!process.stdin.isTTY) {
+      console.error(
+        format(
+          "error",
+          "✗ --review needs an interactive terminal to approve stories",
+        ),
+      );
+      return [];
+    }
+    if (concurrency > 1) {
+      console.log(
+        format(
+          "warning",
+          "Review mode reviews one story at a time - ignoring --concurrency",
+        ),
+      );
+      concurrency = 1;
+    }
+    console.log(
+      format(
+        "orchestrator",
+        "Review mode: each story waits for your approval before it is committed",
+      ),
+    );
+  }
 
-Description: ${task.description}
+  if (context.verificationCommands.length > 0) {
+    console.log(
+      format(
+        "orchestrator",
+        `Verification commands: ${context.verificationCommands.join(" && ")}`,
+      ),
+    );
+  } else {
+    console.log(
+      format(
+        "warning",
+        "No verification commands configured - stories are marked complete without running checks",
+      ),
+    );
+  }
 
-Success Criteria:
-${criteriaWithCheckboxes}
+  if (concurrency > 1) {
+    console.log(
+      format(
+        "orchestrator",
+        `Running up to ${concurrency} independent user stories in parallel (git worktrees)\n`,
+      ),
+    );
+  }
 
-Dependencies: ${task.dependencies.join(", ")}${
-      isSequentialIteration
-        ? `
+  // Ctrl+C / SIGTERM: abort the running agents and checkpoint their stories
+  context.interrupt = createInterruptHandler();
+  let results;
+  try {
+    results =
+      concurrency > 1
+        ? await runStoriesInParallel(context, concurrency, maxTasksToComplete)
+        : await runStoriesSequentially(context, maxTasksToComplete);
+  } finally {
+    context.interrupt.dispose();
+  }
 
-## Sequential Iteration Notice
+  console.log(format("orchestrator", "\n=== Execution Complete ==="));
+  console.log(format("orchestrator", `Feature branch: ${featureBranch}`));
+  console.log(
+    format(
+      "orchestrator",
+      `User stories completed: ${results.length}/${tasksData.userStories.length}`,
+    ),
+  );
+  const failedStories = tasksData.userStories.filter(
+    (t) => getStoryStatus(t) === STORY_STATUS.FAILED,
+  );
+  if (failedStories.length > 0) {
+    console.log(
+      format(
+        "error",
+        `User stories failed: ${failedStories.map((t) => t.id).join(", ")}`,
+      ),
+    );
+  }
+  const blockedStories = tasksData.userStories.filter(
+    (t) => !t.completed && t.blocked_by?.length,
+  );
+  if (blockedStories.length > 0) {
+    console.log(
+      format(
+        "warning",
+        `User stories blocked by dependencies: ${blockedStories.map((t) => t.id).join(", ")}`,
+      ),
+    );
+  }
+  if (context.runUsage) {
+    console.log(
+      format(
+        "orchestrator",
+        `Token usage this run: ${describeUsage(context.runUsage)}`,
+      ),
+    );
+  }
+  if (context.stopReason) {
+    printStopSummary(context);
+  } else if (context.budget.limited) {
+    console.log(
+      format("orchestrator", `Run budget: ${context.budget.describe()}`),
+    );
+  }
+  const baseBranch = detectBaseBranch(projectPath, options.base) || "main";
+  console.log(
+    format(
+      "git",
+      `\nTo merge to ${baseBranch}: git checkout ${baseBranch} && git merge ${featureBranch}`,
+    ),
+  );
 
-**This is a sequential iteration of this task.** A previous iteration was started but did not complete (started: ${new Date(previousStartedAt).toLocaleString()}).
+  return results;
+}
 
-**Important:**
-- Files from the previous iteration may already exist in the codebase
-- Review existing files before creating new ones to avoid duplicates
-- Check \`tasks/progress.txt\` for details about what was attempted in previous iterations
-- Build upon or fix existing work rather than starting completely from scratch
-- Verify what files were created/modified in the previous iteration before proceeding`
-        : ""
-    }`;
-
-    // Write task prompt to file for agent to read
-    await fs.writeFile(NEXT_TASK_PATH, taskPrompt);
-
-    // === STATISTICS TRACKING ===
-    // Initialize comprehensive tracking for performance analysis and debugging
-    const taskStats = {
-      startTime: Date.now(), // Execution start timestamp
-      iterations: 0, // Number of Ralph Loop iterations
-      toolCalls: 0, // Total tool calls made
-      filesModified: new Set(), // Unique files modified (placeholder)
-      commandsRun: [], // Shell commands executed (placeholder)
-      errors: [], // Error messages encountered
-    };
+/**
+ * Print the Execution Plan without Running It
+ *
+ * Shows what a real run would do: the feature branch it would create or check
+ * out, the execution order, and for every story its model, dependency state and
+ * the exact next_task.md prompt. Git is only queried, never modified.
+ *
+ * @param {Object} tasksData - Merged tasks data (not persisted)
+ * @param {string} projectPath - Absolute path to the project directory
+ * @param {number|null} maxTasksToComplete - Max tasks to complete this run (null = all)
+ * @param {Object} options - Execution options (see runTasksSequentially()) with the
+ *        resolved workstream
+ * @param {Set<string>|null} selectedIds - Stories selected with run-task (null = all)
+ */
+function previewExecution(
+  tasksData,
+  projectPath,
+  maxTasksToComplete,
+  options,
+  selectedIds,
+) {
+  console.log(format("orchestrator", "\n=== DRY RUN: Execution Plan ==="));
+  console.log(
+    format(
+      "orchestrator",
+      "No agents will be started and no files or git state will be changed.\n",
+    ),
+  );
 
-    // === ACTIVITY LOGGING ===
-    // Create structured logger for this specific task execution
-    const activityLogger = await createActivityLogger(task.id, role);
+  // === WORKSTREAM ===
+  const { workstream } = options;
+  if (workstream.name !== "tasks") {
+    console.log(
+      format(
+        "orchestrator",
+        `Workstream: ${workstream.name} (${[
+          workstream.tasksJsonPath,
+          workstream.progressPath,
+          workstream.nextTaskPath,
+        ]
+          .map((file) => path.relative(projectPath, file))
+          .join(", ")})`,
+      ),
+    );
+  }
 
-    // Log task start with metadata
-    activityLogger.log("info", "Task started", {
-      taskId: task.id,
-      description: task.description,
-      role: role,
-    });
+  // === BRANCH ===
+  const featureBranch = tasksData.branchName;
+  if (!featureBranch) {
+    console.log(
+      format(
+        "error",
+        "✗ tasks.json is missing required 'branchName' field - a real run would stop here.",
+      ),
+    );
+  } else {
+    const branchAction = describeBranchSetup(
+      projectPath,
+      featureBranch,
+      options,
+    );
+    console.log(
+      format("git", `Feature branch: ${featureBranch} (${branchAction})`),
+    );
+  }
 
-    console.log(format("task", `\nStarting work on task ${task.id}...`));
+  // === RUN SETTINGS ===
+  const verificationCommands = getVerificationCommands(tasksData, options);
+  try {
+    console.log(
+      format(
+        "orchestrator",
+        `Agent backend: ${
+          options.replay
+            ? `replay of ${options.replay}`
+            : resolveAgentBackend(options, tasksData)
+        }${options.record ? ` (recording to ${options.record})` : ""}`,
+      ),
+    );
+  } catch (error) {
+    console.log(
+      format("error", `✗ ${error.message} - a real run would stop here.`),
+    );
+  }
+  console.log(
+    format(
+      "orchestrator",
+      `Concurrency: ${Math.max(1, options.concurrency || DEFAULT_CONCURRENCY)}`,
+    ),
+  );
+  console.log(
+    format(
+      "orchestrator",
+      `Verification: ${verificationCommands.join(" && ") || "none"}`,
+    ),
+  );
+  console.log(
+    format(
+      "orchestrator",
+      `Rollback policy: ${options.rollback || DEFAULT_ROLLBACK_POLICY}`,
+    ),
+  );
+  console.log(
+    format(
+      "orchestrator",
+      `Retries: ${options.retries ?? MAX_STORY_RETRIES} (ladder: ${(options.retryModels || RETRY_MODEL_LADDER).join(" → ")})`,
+    ),
+  );
+  console.log(
+    format(
+      "orchestrator",
+      `On failure: ${options.onFailure || DEFAULT_ON_FAILURE_POLICY}`,
+    ),
+  );
+  if (options.review) {
+    console.log(
+      format(
+        "orchestrator",
+        "Review: each story waits for approval before commit",
+      ),
+    );
+  }
+  if (maxTasksToComplete != null) {
+    console.log(
+      format("orchestrator", `Task limit: ${maxTasksToComplete} this run`),
+    );
+  }
+  const budget = createRunBudget(options);
+  if (budget.deadline) {
+    console.log(
+      format(
+        "orchestrator",
+        `Stop by: ${new Date(budget.deadline).toLocaleString()} (in ${formatDuration(budget.deadline - Date.now())})`,
+      ),
+    );
+  }
+  if (budget.maxIterationsTotal != null) {
+    console.log(
+      format(
+        "orchestrator",
+        `Iteration budget: ${budget.maxIterationsTotal} across all stories`,
+      ),
+    );
+  }
 
-    // === ENHANCED LOGGING WITH STATISTICS TRACKING ===
-    // Create logging callback that provides both console output and statistics tracking
-    const enhancedLogCallback = (text, kind) => {
-      // Display log message with indentation and formatting by kind
-      console.log(format(kind || "agent", `  ${text}`));
+  // === EXECUTION ORDER ===
+  const plan = buildExecutionPlan(tasksData.userStories);
+  const storiesById = new Map(tasksData.userStories.map((t) => [t.id, t]));
+  if (selectedIds) {
+    plan.ordered = plan.ordered.filter((t) => selectedIds.has(t.id));
+  }
 
-      // === STATISTICS EXTRACTION FROM LOGS ===
-      // Parse log messages to extract performance and debugging metrics
+  for (const { id, dependency } of plan.unknownDependencies) {
+    console.log(
+      format(
+        "warning",
+        `⚠ Warning: Task ${id} depends on unknown task ${dependency} (ignored)`,
+      ),
+    );
+  }
+  if (plan.cyclic.size > 0) {
+    console.log(
+      format(
+        "warning",
+        `⚠ Warning: Dependency cycle detected involving ${[...plan.cyclic].join(", ")}. These tasks will be blocked.`,
+      ),
+    );
+  }
+  console.log(
+    format(
+      "orchestrator",
+      `\nExecution order: ${plan.ordered.map((t) => t.id).join(" → ")}`,
+    ),
+  );
 
-      if (text.includes("Iteration") && text.includes("complete")) {
-        taskStats.iterations++; // Count completed Ralph Loop iterations
-      }
-
-      if (text.includes("TOOL:")) {
-        taskStats.toolCalls++; // Count tool calls made by agent
-      }
-
-      if (
-        text.includes("FAILED") ||
-        text.includes("ERROR") ||
-        text.includes("❌")
-      ) {
-        taskStats.errors.push(text); // Track error conditions
-      }
+  // === PER-STORY PREVIEW ===
+  // Stories run in plan order, so a dependency only blocks if it is caught in a
+  // cycle or will not be completed itself during this run
+  const notRun = new Set();
+  let pendingCount = 0;
+  for (const task of plan.ordered) {
+    console.log(
+      format("task", `\n--- User Story ${task.id}: ${task.title || ""} ---`),
+    );
+    if (task.completed) {
+      console.log(format("git_ok", "Already completed - would be skipped"));
+      continue;
+    }
 
-      // === STRUCTURED LOGGING ===
-      // Log to JSONL file with appropriate event type classification
-      if (text.startsWith("[")) {
-        // Extract event type from bracketed prefixes (e.g., [SYSTEM], [THINKING])
-        const eventType =
-          text.match(/\[([A-Z_]+)\]/)?.[1]?.toLowerCase() || "agent";
-        activityLogger.log(eventType, text);
-      } else {
-        // Default to agent event type for general messages
-        activityLogger.log("agent", text);
-      }
-    };
+    const blocking = getUnmetDependencies(
+      task,
+      storiesById,
+      plan.cyclic,
+    ).filter(
+      (dep) =>
+        (!selectedIds || selectedIds.has(dep.id)) &&
+        (dep.reason === "dependency cycle" || notRun.has(dep.id)),
+    );
+    if (blocking.length > 0) {
+      notRun.add(task.id);
+      console.log(
+        format(
+          "warning",
+          `Would be blocked: waiting on ${blocking.map((dep) => `${dep.id} (${dep.reason})`).join(", ")}`,
+        ),
+      );
+      continue;
+    }
 
-    // Attach activity logger reference for use by other components
-    enhancedLogCallback.activityLogger = activityLogger;
+    pendingCount += 1;
+    if (maxTasksToComplete != null && pendingCount > maxTasksToComplete) {
+      notRun.add(task.id);
+      console.log(
+        format("task", "Beyond this run's task limit - would not start"),
+      );
+      continue;
+    }
 
-    // === RALPH LOOP EXECUTION ===
-    // Execute the iterative development workflow for this task
-    // Agent reads from next_task.md file created above
-    // Wrapped in try-catch to handle connection errors and loop errors gracefully
-    let fullOutput = "";
-    try {
-      const result = await ralphLoop(
-        "grok", // model - using MODELS.devAgent (hardcoded for now)
-        "<ralph>COMPLETE</ralph>", // Special completion token
-        20, // maxIterations for development work
-        enhancedLogCallback, // Enhanced logging with statistics
-        mcpConfig, // MCP tool configuration
+    const previousStartedAt =
+      task.started_at && !task.completed ? task.started_at : null;
+    console.log(format("task", `Role: ${task.suggested_role || "developer"}`));
+    console.log(
+      format("task", `Model: ${resolveStoryModel(task, tasksData)}`),
+    );
+    const resumeSession = options.resumeSessions
+      ? getResumableSession(task)
+      : null;
+    if (resumeSession) {
+      console.log(
+        format("task", `Agent session: resume ${resumeSession.session_id}`),
       );
-      fullOutput = result.fullOutput;
-    } catch (error) {
-      // Handle loop errors at task level
-      if (error instanceof LoopError) {
-        console.log(
-          format(
-            "error",
-            `\n✗ Task ${task.id} failed due to loop error: ${error.message}`,
-          ),
-        );
-        console.log(
-          format(
-            "error",
-            `  Stopping execution (tasks must be done in order).`,
-          ),
-        );
+    }
+    console.log(
+      format(
+        "task",
+        `Prompt (${path.relative(projectPath, workstream.nextTaskPath)}):\n`,
+      ),
+    );
+    console.log(
+      buildTaskPrompt(task, previousStartedAt, {
+        interruption:
+          getStoryStatus(task) === STORY_STATUS.INTERRUPTED
+            ? task.interruption
+            : null,
+        session: previousStartedAt ? task.session : null,
+        resumed: Boolean(resumeSession),
+        progressFile: path.relative(projectPath, workstream.progressPath),
+      }),
+    );
+  }
 
-        // Log error to activity logger
-        activityLogger.log("error", "Task failed due to loop error", {
-          taskId: task.id,
-          error: error.message,
-          iteration: error.iteration,
-          retryCount: error.retryCount,
-          runtimeMs: error.runtimeMs,
-          originalError: error.originalError?.message,
-        });
+  console.log(format("orchestrator", "\n=== DRY RUN complete ==="));
+}
 
-        // Mark task with error state
-        task.completed = false;
-        task.notes = `Loop error: ${error.message}`;
-        task.completed_at = new Date().toISOString();
+/**
+ * Create Serialized tasks.json Writer
+ *
+ * Parallel stories update the shared tasksData object concurrently. Chaining the
+ * writes guarantees they never overlap on disk and that the last write wins.
+ * Each write is journaled and atomic (see tasks-store.mjs).
+ *
+ * @param {string} tasksJsonPath - Path to tasks.json
+ * @param {Object} tasksData - Shared in-memory tasks data
+ * @returns {Function} save() - Persists the current tasksData, resolves when written
+ */
+function createTasksSaver(tasksJsonPath, tasksData) {
+  let pending = Promise.resolve();
+  return () => {
+    pending = pending
+      .catch(() => {})
+      .then(() => writeTasksFile(tasksJsonPath, tasksData));
+    return pending;
+  };
+}
 
-        // Save updated task data
-        await fs.writeFile(tasksJsonPath, JSON.stringify(tasksData, null, 2));
+/**
+ * Select Stories for a run-task Run
+ *
+ * Validates the requested IDs, re-opens completed stories when forced, and warns
+ * about dependencies that are not done. Dependencies outside the selection never
+ * block the selected stories; the user asked for them explicitly.
+ *
+ * @param {Object} tasksData - Merged tasks data
+ * @param {Array<string|number>} storyIds - Requested story IDs ("US-004" or 4)
+ * @param {boolean} force - Re-run stories that are already completed
+ * @returns {Set<string>} IDs of the stories to run
+ */
+function selectStories(tasksData, storyIds, force) {
+  const storiesById = new Map(tasksData.userStories.map((t) => [t.id, t]));
+  const selected = new Set();
+
+  for (const rawId of storyIds) {
+    const id = normalizeStoryId(rawId);
+    const task = storiesById.get(id);
+    if (!task) {
+      console.log(format("error", `✗ Unknown story ${rawId} - skipping`));
+      continue;
+    }
 
-        // Stop execution - do not continue to next task (tasks must be done in order)
-        console.log(format("error", `\n=== Execution Stopped ===`));
-        console.log(
-          format("error", `Task ${task.id} failed due to loop detection.`),
-        );
-        console.log(
-          format(
-            "error",
-            `Tasks must be completed in order, so execution has been stopped.`,
-          ),
-        );
+    if (task.completed) {
+      if (!force) {
         console.log(
           format(
-            "error",
-            `Please review the error and restart development when ready.`,
+            "warning",
+            `⊘ ${id} is already completed - use --force to run it again`,
           ),
         );
-        return results; // Return current results and exit
+        continue;
       }
+      // Re-open the story so it runs like a fresh one
+      console.log(format("orchestrator", `↻ Re-running completed story ${id}`));
+      transitionStory(task, STORY_STATUS.PENDING, {
+        reason: "Re-run requested (run-task --force)",
+      });
+    }
+    selected.add(id);
+  }
 
-      // Handle connection errors at task level
-      // Connection errors should be caught here if they weren't retried successfully
-      // in ralphLoop() (e.g., after max retries exceeded)
-      if (
-        error instanceof ConnectionError ||
-        isRetryableConnectionError(error)
-      ) {
-        console.log(
-          format(
-            "error",
-            `\n✗ Task ${task.id} failed due to connection error: ${error.message}`,
-          ),
-        );
+  for (const id of selected) {
+    const unmet = getUnmetDependencies(
+      storiesById.get(id),
+      storiesById,
+    ).filter((dep) => !selected.has(dep.id));
+    if (unmet.length > 0) {
+      console.log(
+        format(
+          "warning",
+          `⚠ Warning: ${id} depends on stories that are not done: ${unmet.map((dep) => `${dep.id} (${dep.reason})`).join(", ")}`,
+        ),
+      );
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Valid --on-failure policies
+ *
+ * - stop: Stop the run after the first story that fails (after retries)
+ * - skip-dependents: Block the failed story's dependents, run everything else
+ * - continue: Run every remaining story, including dependents of failed ones
+ */
+export const ON_FAILURE_POLICIES = ["stop", "skip-dependents", "continue"];
+
+/**
+ * Get the Dependencies that Block a Story from Starting
+ *
+ * In a run-task run only dependencies inside the selection block (they are
+ * scheduled first); the rest were already reported by selectStories(). With the
+ * "continue" on-failure policy, dependencies that already failed in this run do
+ * not block.
+ *
+ * @param {Object} task - User story to check
+ * @param {Object} context - Shared run context (storiesById, plan, selectedIds, onFailure)
+ * @param {Set<string>} finished - Stories that finished (or were blocked) this run
+ * @returns {Array<{id: string, reason: string}>} Blocking dependencies (empty if ready)
+ */
+function getBlockingDependencies(task, context, finished) {
+  const { storiesById, plan, selectedIds, onFailure } = context;
+  return getUnmetDependencies(task, storiesById, plan.cyclic).filter(
+    (dep) =>
+      (!selectedIds || selectedIds.has(dep.id)) &&
+      !(
+        onFailure === "continue" &&
+        dep.reason === "failed" &&
+        finished.has(dep.id)
+      ),
+  );
+}
+
+/**
+ * Mark a Story as Blocked by Unmet Dependencies
+ *
+ * @param {Object} task - User story to mark
+ * @param {Array<{id: string, reason: string}>} unmetDependencies - Blocking dependencies
+ * @param {Function} saveTasks - Persists tasks.json
+ */
+async function markStoryBlocked(task, unmetDependencies, saveTasks) {
+  const reasons = unmetDependencies
+    .map((dep) => `${dep.id} (${dep.reason})`)
+    .join(", ");
+  console.log(
+    format("warning", `\n⊘ Task ${task.id} blocked: waiting on ${reasons}`),
+  );
+  task.blocked_by = unmetDependencies.map((dep) => dep.id);
+  transitionStory(task, STORY_STATUS.BLOCKED, {
+    reason: `Blocked: waiting on ${reasons}`,
+  });
+  await saveTasks();
+}
+
+/**
+ * Mark the Stories a Run Left Out as Skipped
+ *
+ * Only pending stories are marked; stories that already have a status of
+ * their own (failed, blocked, interrupted...) keep it.
+ *
+ * @param {Object[]} stories - Stories of the run's plan
+ * @param {string} reason - Why the run left them out
+ * @param {Function} saveTasks - Persists tasks.json
+ */
+async function markStoriesSkipped(stories, reason, saveTasks) {
+  const pending = stories.filter(
+    (task) => getStoryStatus(task) === STORY_STATUS.PENDING,
+  );
+  if (pending.length === 0) {
+    return;
+  }
+  for (const task of pending) {
+    transitionStory(task, STORY_STATUS.SKIPPED, { reason });
+  }
+  await saveTasks();
+}
+
+/**
+ * Resolve the Dev Loop Model for a Story
+ *
+ * Precedence: story `model` → tasks.json `roleModels[role]` → DEV_ROLE_MODELS[role]
+ * → MODELS.devAgent.
+ *
+ * @param {Object} task - User story
+ * @param {Object} tasksData - Parsed tasks.json (for roleModels)
+ * @returns {string} Model name to pass to ralphLoop()
+ */
+function resolveStoryModel(task, tasksData) {
+  const role = task.suggested_role;
+  return (
+    task.model ||
+    tasksData.roleModels?.[role] ||
+    DEV_ROLE_MODELS[role] ||
+    MODELS.devAgent
+  );
+}
+
+/**
+ * Build the next_task.md Prompt for a Story
+ *
+ * @param {Object} task - User story to describe
+ * @param {string|null} previousStartedAt - Start time of an interrupted previous iteration
+ * @param {Object} [restart] - How the previous iteration ended
+ * @param {Object|null} [restart.interruption] - task.interruption of a story stopped by Ctrl+C/SIGTERM
+ * @param {Object|null} [restart.session] - task.session saved by the previous iteration
+ * @param {boolean} [restart.resumed] - The previous agent conversation is resumed
+ * @param {string} [restart.progressFile] - Workstream progress log, relative to the
+ *        agent's working directory
+ * @returns {string} Markdown task description for the agent
+ */
+function buildTaskPrompt(
+  task,
+  previousStartedAt,
+  {
+    interruption = null,
+    session = null,
+    resumed = false,
+    progressFile = "tasks/progress.txt",
+  } = {},
+) {
+  // Format success criteria as checkboxes for progress tracking
+  const criteriaWithCheckboxes = (task.acceptanceCriteria || [])
+    .map((c) => `[ ] ${c}`) // Unchecked checkboxes for each criterion
+    .join("\n");
+
+  // A failed previous attempt may have been rolled back to its start commit
+  const rolledBack = task.rollback?.patch && task.rollback.policy !== "keep";
+
+  // In a new conversation, the end of the previous one helps the agent re-orient.
+  // Checkboxes are neutralized so they don't count as task criteria.
+  const lastOutput =
+    !resumed && session?.output_tail
+      ? session.output_tail.replace(/\[([x ])\]/gi, "($1)")
+      : "";
+
+  return `# Task ${task.id} (Role: ${task.suggested_role})
+
+Description: ${task.description}
+
+Success Criteria:
+${criteriaWithCheckboxes}
+
+Dependencies: ${getDependencyIds(task).join(", ") || "None"}${
+    previousStartedAt
+      ? `
+
+## Sequential Iteration Notice
+
+**This is a sequential iteration of this task.** A previous iteration was started but did not complete (started: ${new Date(previousStartedAt).toLocaleString()}).
+
+**Important:**
+${
+        rolledBack
+          ? `- Changes from the previous iteration were rolled back (${task.rollback.policy}); the codebase is back at the state before that attempt
+- The discarded diff is saved in \`${task.rollback.patch}\` if you need to look at what was tried
+- Check \`${progressFile}\` for details about what was attempted in previous iterations
+- Avoid repeating the approach that failed`
+          : `${
+              interruption
+                ? `- The previous iteration was interrupted (${interruption.signal}) during Ralph Loop iteration ${interruption.iteration}; pick up where it stopped
+`
+                : ""
+            }${
+              resumed
+                ? `- This conversation continues the previous iteration's agent session; you already have its context
+`
+                : ""
+            }- Files from the previous iteration may already exist in the codebase
+- Review existing files before creating new ones to avoid duplicates
+- Check \`${progressFile}\` for details about what was attempted in previous iterations
+- Build upon or fix existing work rather than starting completely from scratch
+- Verify what files were created/modified in the previous iteration before proceeding`
+      }${
+        lastOutput
+          ? `
+
+## Last Agent Output (previous iteration)
+
+\`\`\`
+${lastOutput}
+\`\`\``
+          : ""
+      }`
+      : ""
+  }`;
+}
+
+/**
+ * Get a Story's Saved Agent Session if It Can Be Resumed
+ *
+ * Only stories that were stopped mid-work (in progress or interrupted) are
+ * resumed, and only while their conversation is under the context limit. Failed
+ * stories are retried in a fresh session.
+ *
+ * @param {Object} task - User story from tasks.json
+ * @returns {Object|null} task.session, or null if it should not be resumed
+ */
+function getResumableSession(task) {
+  const session = task.session;
+  if (
+    !session?.session_id ||
+    ![STORY_STATUS.IN_PROGRESS, STORY_STATUS.INTERRUPTED].includes(
+      getStoryStatus(task),
+    )
+  ) {
+    return null;
+  }
+  return (session.context_tokens || 0) < MAX_CONTEXT_TOKENS
+    ? session
+    : null;
+}
+
+/**
+ * Save a Story's Agent Session after a Ralph Loop Iteration
+ *
+ * @param {Object} task - User story being executed (mutated)
+ * @param {Object} update - Session state from ralphLoop()
+ *        ({ sessionId, iteration, contextTokens, output })
+ * @param {number} iteration - Ralph Loop iterations run on the story so far
+ * @param {Object} context - Shared run context (saveTasks)
+ * @returns {Promise<void>}
+ */
+async function recordStorySession(task, update, iteration, context) {
+  task.session = {
+    session_id: update.sessionId,
+    iteration,
+    context_tokens: update.contextTokens,
+    output_tail: update.output.slice(-SESSION_OUTPUT_TAIL_CHARS),
+    updated_at: new Date().toISOString(),
+  };
+  await context.saveTasks();
+}
+
+/**
+ * Account for the Token Usage of a Ralph Loop Iteration
+ *
+ * Usage is kept at three levels in tasks.json (saved with the story's session):
+ * - task.usage: the story's total over all attempts and runs, with every
+ *   iteration in task.usage.iterations (attempt, model, usage, context size)
+ * - task.history entries and task.stats: each attempt's total (attemptUsage())
+ * - tasksData.usage: the task file's total, with each run in
+ *   tasksData.usage.runs (context.runUsage is the current run)
+ * The iteration is also written to the story's activity log. Iterations an
+ * error cut short are recorded too, with the tokens they used until then.
+ *
+ * @param {Object} task - User story being executed (mutated)
+ * @param {Object} update - Session state from ralphLoop() ({ usage, contextTokens }),
+ *        or the usage an error carried (contextTokens may be null)
+ * @param {Object} details - Iteration details
+ * @param {number} details.iteration - Ralph Loop iterations run on the story so far
+ * @param {string} details.model - Model of the attempt
+ * @param {Object} context - Shared run context (tasksData, runUsage)
+ * @param {Object} activityLogger - Story activity logger
+ */
+function recordIterationUsage(
+  task,
+  update,
+  { iteration, model },
+  context,
+  activityLogger,
+) {
+  const entry = {
+    iteration,
+    attempt: (task.history?.length || 0) + 1,
+    model,
+    ...addUsage(null, update.usage),
+    context_tokens: update.contextTokens,
+    recorded_at: new Date().toISOString(),
+  };
+  task.usage = addUsage(task.usage, update.usage);
+  task.usage.iterations = [...(task.usage.iterations || []), entry];
+
+  const { tasksData } = context;
+  if (!context.runUsage) {
+    context.runUsage = addUsage({ started_at: new Date().toISOString() }, null);
+    tasksData.usage = addUsage(tasksData.usage, null);
+    tasksData.usage.runs = [...(tasksData.usage.runs || []), context.runUsage];
+  }
+  Object.assign(context.runUsage, addUsage(context.runUsage, update.usage));
+  Object.assign(tasksData.usage, addUsage(tasksData.usage, update.usage));
+
+  activityLogger.log("usage", `Iteration ${iteration} token usage`, {
+    taskId: task.id,
+    ...entry,
+    story_total: addUsage(null, task.usage),
+    run_total: addUsage(null, context.runUsage),
+  });
+}
+
+/**
+ * Sum the Token Usage of a Story Attempt
+ *
+ * @param {Object} task - User story
+ * @param {number} attempt - Attempt number (task.history length + 1 while it runs)
+ * @returns {Object} Usage total (see token-usage.mjs)
+ */
+function attemptUsage(task, attempt) {
+  return (task.usage?.iterations || [])
+    .filter((entry) => entry.attempt === attempt)
+    .reduce(addUsage, addUsage(null, null));
+}
+
+/**
+ * Execute a Single Story through the Ralph Loop
+ *
+ * Prepares the task file, runs the Ralph Loop, and records the outcome on the
+ * story. Used by both the sequential and parallel runners; the workspace decides
+ * where the agent works (project directory or a story worktree).
+ *
+ * Outcomes:
+ * - completed: loop finished and verification passed, story marked completed
+ *   (caller commits, unless workspace.integrate already merged it)
+ * - failed: loop or connection error, or verification still failing after
+ *   MAX_VERIFICATION_ATTEMPTS rounds; story marked with error state (the
+ *   run's on-failure policy decides what happens next)
+ * - failed with rejected: true: the reviewer rejected the story (--review);
+ *   its changes are rolled back and it is not retried
+ * - failed with unmerged: true: workspace.integrate could not merge the story;
+ *   its branch is kept for manual resolution and it is not retried
+ * - interrupted: the run budget was used up between iterations (story stays
+ *   in progress), or the run was interrupted by Ctrl+C/SIGTERM or at the review
+ *   prompt (story marked interrupted with its agent session and iteration);
+ *   edits stay in place so the next run resumes it
+ * - Resource exhaustion is re-thrown as ResourceExhaustionError so the menu
+ *   system can restart with fresh conversations
+ *
+ * @param {Object} task - User story to execute
+ * @param {Object} context - Shared run context (tasksData, saveTasks, mcpConfig, ...)
+ * @param {Object} workspace - Where the agent runs
+ * @param {string} workspace.cwd - Agent working directory
+ * @param {string} workspace.nextTaskPath - Path to write next_task.md
+ * @param {string} workspace.progressPath - Progress log the agent appends to
+ * @param {Object} workspace.artifacts - The attempt's artifacts directory (see createStoryArtifacts())
+ * @param {string} workspace.logPrefix - Console prefix (used to tell parallel stories apart)
+ * @param {Function} [workspace.integrate] - Commits and merges the story before
+ *        it is marked completed; resolves to { merged, reason? }
+ * @param {string} model - Model for this attempt
+ * @returns {Promise<{status: "completed"|"failed"|"interrupted", output?: string}>} Story outcome
+ */
+async function executeStory(task, context, workspace, model) {
+  const { tasksData, saveTasks, mcpConfig, verificationCommands } = context;
+  const { cwd, nextTaskPath, progressPath, artifacts, logPrefix = "" } =
+    workspace;
+
+  // Determine agent role for this task (defaults to generic developer)
+  const role = task.suggested_role || "developer";
+
+  // Display task information for user awareness
+  console.log(
+    format(
+      "task",
+      `\n--- User Story ${task.id}/${tasksData.userStories.length} ---`,
+    ),
+  );
+  console.log(format("task", `Role: ${role}`));
+  console.log(format("task", `Model: ${model}`));
+  console.log(
+    format("task", `Description: ${task.description.substring(0, 80)}...`),
+  );
+
+  // Check if this is a sequential iteration (restart scenario)
+  // A task that has started_at but is not completed indicates a previous iteration was interrupted
+  const isSequentialIteration = task.started_at && !task.completed;
+  const previousStartedAt = isSequentialIteration ? task.started_at : null; // Save original value before overwriting
+
+  // An interrupted story keeps its edits; restart-dev may resume its conversation
+  const interruption =
+    getStoryStatus(task) === STORY_STATUS.INTERRUPTED ? task.interruption : null;
+  const previousSession = isSequentialIteration ? task.session : null;
+  let resumeSession = context.resumeSessions ? getResumableSession(task) : null;
+  const iterationBase = previousSession?.iteration || 0; // Story-wide iteration count
+
+  // --rollback keep leaves a failed attempt's edits behind; a fresh attempt
+  // must not build on them (an in-progress or interrupted story's are its own)
+  if (
+    context.rollbackPolicy === "keep" &&
+    ![STORY_STATUS.IN_PROGRESS, STORY_STATUS.INTERRUPTED].includes(
+      getStoryStatus(task),
+    )
+  ) {
+    const stash = stashLeftoverChanges({ cwd, taskId: task.id });
+    if (stash) {
+      console.log(
+        format(
+          "warning",
+          `⚠ Uncommitted changes left in the working tree were stashed before ${task.id} ("${stash}" in git stash list)`,
+        ),
+      );
+    }
+  }
+
+  // Mark task as started and record the commit to roll back to on failure
+  transitionStory(task, STORY_STATUS.IN_PROGRESS, {
+    reason: isSequentialIteration
+      ? `Restarted with ${model}`
+      : `Started with ${model}`,
+  });
+  // Keep the start commit of an interrupted attempt: its edits are still here
+  task.start_commit = interruption
+    ? task.start_commit || getHeadCommit(cwd)
+    : getHeadCommit(cwd);
+  task.interruption = null;
+  task.session = resumeSession;
+  await saveTasks();
+
+  if (resumeSession) {
+    console.log(
+      format(
+        "orchestrator",
+        `Resuming agent session ${resumeSession.session_id} (iteration ${resumeSession.iteration}, ~${formatTokens(resumeSession.context_tokens || 0)} tokens of context)`,
+      ),
+    );
+  }
+
+  // === TASK PREPARATION ===
+  // Create next_task.md file with task details for agent to read
+  let taskPrompt = buildTaskPrompt(task, previousStartedAt, {
+    interruption,
+    session: previousSession,
+    resumed: Boolean(resumeSession),
+    progressFile: path.relative(cwd, progressPath),
+  });
+  await fs.outputFile(nextTaskPath, taskPrompt);
+
+  // === STATISTICS TRACKING ===
+  // Initialize comprehensive tracking for performance analysis and debugging
+  const taskStats = {
+    startTime: Date.now(), // Execution start timestamp
+    iterations: 0, // Number of Ralph Loop iterations
+    toolUsage: createToolUsageTracker({ cwd }), // Tool calls, files, commands, MCP tools
+    errors: [], // Error messages encountered
+  };
+
+  // === ACTIVITY LOGGING ===
+  // Create structured logger for this specific task execution
+  const activityLogger = await createActivityLogger(task.id, role);
+
+  // Log task start with metadata
+  activityLogger.log("info", "Task started", {
+    taskId: task.id,
+    description: task.description,
+    role: role,
+    model,
+    cwd,
+  });
+
+  console.log(format("task", `\nStarting work on task ${task.id}...`));
+
+  // === ENHANCED LOGGING WITH STATISTICS TRACKING ===
+  // Create logging callback that provides both console output and statistics tracking
+  const enhancedLogCallback = (text, kind) => {
+    // Display log message with indentation and formatting by kind
+    console.log(format(kind || "agent", `  ${logPrefix}${text}`));
+
+    // === STATISTICS EXTRACTION FROM LOGS ===
+    // Parse log messages to extract performance and debugging metrics
+
+    if (text.includes("Iteration") && text.includes("complete")) {
+      taskStats.iterations++; // Count completed Ralph Loop iterations
+    }
+
+    if (
+      text.includes("FAILED") ||
+      text.includes("ERROR") ||
+      text.includes("❌")
+    ) {
+      taskStats.errors.push(text); // Track error conditions
+    }
+
+    // === STRUCTURED LOGGING ===
+    // Log to JSONL file with appropriate event type classification
+    if (text.startsWith("[")) {
+      // Extract event type from bracketed prefixes (e.g., [SYSTEM], [THINKING])
+      const eventType =
+        text.match(/\[([A-Z_]+)\]/)?.[1]?.toLowerCase() || "agent";
+      activityLogger.log(eventType, text);
+    } else {
+      // Default to agent event type for general messages
+      activityLogger.log("agent", text);
+    }
+  };
+
+  // Attach activity logger reference for use by other components
+  enhancedLogCallback.activityLogger = activityLogger;
+  // runAgent() passes every tool event to the tracker
+  enhancedLogCallback.toolUsage = taskStats.toolUsage;
+
+  // === RALPH LOOP EXECUTION ===
+  // Execute the iterative development workflow for this task
+  // Agent reads from next_task.md file created above
+  // Wrapped in try-catch to handle connection errors and loop errors gracefully
+  // After each loop, the verification gate runs; failures are appended to
+  // next_task.md and the loop runs again. With --review, a human then approves,
+  // rejects, or sends the story back with feedback
+  let fullOutput = "";
+  let reviewRound = 0;
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const result = await ralphLoop(
+        model, // Resolved from story, role map, or MODELS.devAgent
+        "<ralph>COMPLETE</ralph>", // Special completion token
+        20, // maxIterations for development work
+        enhancedLogCallback, // Enhanced logging with statistics
+        mcpConfig, // MCP tool configuration
+        {
+          cwd, // Project directory or story worktree
+          nextTaskPath,
+          progressPath,
+          backend: context.agentBackend, // Coding-agent CLI
+          budget: context.budget, // Run budget
+          signal: context.interrupt.signal, // Ctrl+C / SIGTERM
+          sessionId: resumeSession?.session_id, // Saved conversation to resume
+          contextTokens: resumeSession?.context_tokens,
+          onSessionUpdate: async (update) => {
+            const iteration = iterationBase + taskStats.iterations;
+            if (update.handoff) {
+              await artifacts.appendTranscript(
+                `Hand-off summary (new conversation from iteration ${iteration})`,
+                update.handoff,
+              );
+            }
+            await artifacts.appendTranscript(
+              `Iteration ${iteration} (${model})`,
+              update.output,
+            );
+            recordIterationUsage(
+              task,
+              update,
+              { iteration, model },
+              context,
+              activityLogger,
+            );
+            await recordStorySession(task, update, iteration, context);
+          },
+        },
+      );
+      fullOutput += result.fullOutput;
+      resumeSession = null;
+
+      // === VERIFICATION GATE ===
+      if (verificationCommands.length > 0) {
         console.log(
           format(
-            "error",
-            `  Error details: ${error.originalError?.message || error.message}`,
+            "orchestrator",
+            `  ${logPrefix}Verifying ${task.id} (attempt ${attempt}/${MAX_VERIFICATION_ATTEMPTS})...`,
           ),
         );
-        if (error.code || error.originalError?.code) {
+        const verification = await runVerification(verificationCommands, {
+          cwd,
+          taskId: task.id,
+          attempt,
+        });
+        await artifacts.appendVerification(verification, attempt);
+        // Ctrl+C also reaches the verification commands; don't count that run
+        if (context.interrupt.signal.aborted) {
+          throw new InterruptedError(context.interrupt.reason(), {
+            iteration: taskStats.iterations,
+          });
+        }
+        for (const check of verification.results) {
           console.log(
             format(
-              "error",
-              `  Error code: ${error.code || error.originalError?.code}`,
+              check.exitCode === 0 ? "git_ok" : "error",
+              `  ${logPrefix}${check.exitCode === 0 ? "✓" : "✗"} ${check.command} (${(check.durationMs / 1000).toFixed(1)}s)`,
             ),
           );
         }
-        console.log(format("orchestrator", `  Continuing to next task...`));
 
-        // Log error to activity logger with comprehensive details
-        activityLogger.log("error", "Task failed due to connection error", {
+        // Record verification result on the story
+        task.passes = verification.passed;
+        task.verification = {
+          passed: verification.passed,
+          attempts: attempt,
+          checked_at: new Date().toISOString(),
+          log: verification.logPath,
+          commands: verification.results.map((check) => ({
+            command: check.command,
+            exit_code: check.exitCode,
+            duration_ms: check.durationMs,
+          })),
+        };
+        activityLogger.log("info", "Verification finished", {
           taskId: task.id,
-          error: error.message,
-          errorCode: error.code || error.originalError?.code,
-          originalError: error.originalError?.message,
-          hasPartialResponse: !!(
-            error.partialResponse ||
-            (error instanceof ConnectionError && error.partialResponse)
-          ),
+          ...task.verification,
         });
+        await saveTasks();
+
+        if (!verification.passed) {
+          if (attempt >= MAX_VERIFICATION_ATTEMPTS) {
+            const failedCommands = verification.results
+              .filter((check) => check.exitCode !== 0)
+              .map((check) => check.command);
+            console.log(
+              format(
+                "error",
+                `\n✗ Task ${task.id} failed verification after ${attempt} attempt(s). See ${verification.logPath}`,
+              ),
+            );
+
+            // Mark task with error state - nothing is committed
+            transitionStory(task, STORY_STATUS.FAILED, {
+              reason: `Verification failed: ${failedCommands.join(", ")}`,
+            });
+            rollbackFailedStory(task, context, cwd, activityLogger);
+            await saveTasks();
+
+            return { status: "failed" };
+          }
 
-        // Mark task with error state
-        task.completed = false;
-        task.notes = `Connection error: ${error.message}`;
-        task.completed_at = new Date().toISOString();
+          // Feed failing output back into another Ralph Loop round
+          await fs.outputFile(
+            nextTaskPath,
+            taskPrompt + formatVerificationFeedback(verification, attempt),
+          );
+          continue;
+        }
 
-        // Save updated task data
-        await fs.writeFile(tasksJsonPath, JSON.stringify(tasksData, null, 2));
+        transitionStory(task, STORY_STATUS.VERIFIED, {
+          reason: `Verification passed (attempt ${attempt})`,
+        });
+      }
 
-        // Continue to next task instead of crashing
-        // Connection errors are transient and shouldn't stop the entire workflow
-        continue;
+      // === HUMAN REVIEW CHECKPOINT ===
+      if (!context.review) {
+        break;
       }
+      reviewRound += 1;
+      printStoryReview(task, { cwd, stats: taskStats, round: reviewRound });
+      let decision;
+      try {
+        decision = await promptStoryReview(task.id);
+      } catch (error) {
+        if (error.message !== "User cancelled the prompt") {
+          throw error;
+        }
+        decision = { action: "cancel" };
+      }
+      activityLogger.log("info", "Review decision", {
+        taskId: task.id,
+        round: reviewRound,
+        action: decision.action,
+        feedback: decision.feedback,
+      });
 
-      // Handle resource exhaustion errors - trigger automatic restart
-      if (isResourceExhaustionError(error)) {
-        console.log(
-          format(
-            "error",
-            `\n💥 Task ${task.id} failed due to resource exhaustion: ${error.message}`,
-          ),
-        );
+      // Ctrl+C at the prompt: stop the run and keep the changes for restart-dev
+      if (decision.action === "cancel") {
+        task.interruption = {
+          signal: "review cancelled",
+          session_id: task.session?.session_id ?? null,
+          iteration: iterationBase + taskStats.iterations,
+          model,
+          at: new Date().toISOString(),
+        };
+        transitionStory(task, STORY_STATUS.INTERRUPTED, {
+          reason: `Review cancelled (round ${reviewRound})`,
+        });
         console.log(
           format(
-            "error",
-            `  This usually indicates context window limits exceeded during task execution.`,
+            "warning",
+            `\n⏸ Review of ${task.id} cancelled. Its changes are kept - run '${formatWorkstreamCommand("restart-dev", context.workstream)}' to review it again.`,
           ),
         );
+        await saveTasks();
+        return { status: "interrupted", reason: "review cancelled" };
+      }
 
-        // Log error to activity logger
-        activityLogger.log("error", "Task failed due to resource exhaustion", {
-          taskId: task.id,
-          error: error.message,
-          errorCode: error.code || error.originalError?.code,
-          originalError: error.originalError?.message,
-          contextSizeBytes: contextSizeBytes || 'unknown',
-          iterations: taskStats.iterations,
+      if (decision.action === "approve") {
+        break;
+      }
+
+      if (decision.action === "reject") {
+        console.log(format("error", `\n✗ Task ${task.id} rejected in review`));
+        transitionStory(task, STORY_STATUS.FAILED, {
+          reason: `Rejected in review (round ${reviewRound})`,
         });
+        // A rejection always discards the changes, even with --rollback keep
+        rollbackFailedStory(
+          task,
+          context,
+          cwd,
+          activityLogger,
+          context.rollbackPolicy === "keep" ? "stash" : context.rollbackPolicy,
+        );
+        await saveTasks();
+        return { status: "failed", rejected: true };
+      }
 
-        // Mark task with error state and track resource exhaustion attempts
-        task.completed = false;
-        task.notes = `Resource exhaustion: ${error.message} (context likely too large)`;
-        task.completed_at = new Date().toISOString();
+      // Feedback: another Ralph Loop round on the same story, with a fresh
+      // verification budget
+      console.log(
+        format(
+          "orchestrator",
+          `  ${logPrefix}Running ${task.id} again with reviewer feedback...`,
+        ),
+      );
+      transitionStory(task, STORY_STATUS.IN_PROGRESS, {
+        reason: `Reviewer feedback (round ${reviewRound})`,
+      });
+      taskPrompt += formatReviewFeedback(decision.feedback, reviewRound);
+      await fs.outputFile(nextTaskPath, taskPrompt);
+      await saveTasks();
+      attempt = 0;
+    }
+  } catch (error) {
+    // Keep the output of the iteration the error cut short
+    if (error.partialResponse) {
+      await artifacts.appendTranscript(
+        `Iteration ${iterationBase + taskStats.iterations + 1} (${model}, cut short: ${error.name})`,
+        error.partialResponse,
+      );
+    }
+    // ... and the tokens it used (ralphLoop() only reports finished iterations)
+    if (error.usage) {
+      recordIterationUsage(
+        task,
+        { usage: error.usage, contextTokens: error.contextTokens ?? null },
+        { iteration: iterationBase + taskStats.iterations + 1, model },
+        context,
+        activityLogger,
+      );
+    }
 
-        // Track resource exhaustion failures for this task
-        task.resourceExhaustionCount = (task.resourceExhaustionCount || 0) + 1;
+    // Ctrl+C / SIGTERM: record where the story stopped so restart-dev resumes it
+    if (error instanceof InterruptedError) {
+      task.interruption = {
+        signal: error.signal,
+        session_id: error.sessionId,
+        iteration: error.iteration,
+        model,
+        at: new Date().toISOString(),
+      };
+      // The agent may have opened a new conversation during the cut-short iteration
+      if (error.sessionId && task.session) {
+        task.session.session_id = error.sessionId;
+      }
+      transitionStory(task, STORY_STATUS.INTERRUPTED, {
+        reason: `Interrupted by ${error.signal} during iteration ${error.iteration}`,
+        error,
+      });
+      console.log(
+        format(
+          "warning",
+          `\n⏸ Task ${task.id} interrupted during iteration ${error.iteration}. Run '${formatWorkstreamCommand("restart-dev", context.workstream)}' to resume it.`,
+        ),
+      );
+      activityLogger.log("info", "Task interrupted", {
+        taskId: task.id,
+        ...task.interruption,
+      });
+      await saveTasks();
+      return { status: "interrupted", reason: `interrupted by ${error.signal}` };
+    }
 
-        // Save updated task data
-        await fs.writeFile(tasksJsonPath, JSON.stringify(tasksData, null, 2));
+    // Run budget used up: leave the story in progress for the next run
+    if (error instanceof BudgetExceededError) {
+      console.log(
+        format(
+          "warning",
+          `\n⏸ Task ${task.id} paused: ${error.reason}. It resumes on the next run.`,
+        ),
+      );
+      activityLogger.log("info", "Task paused by run budget", {
+        taskId: task.id,
+        reason: error.reason,
+        iterations: taskStats.iterations,
+      });
+      await saveTasks();
+      return { status: "interrupted", reason: error.reason };
+    }
 
-        // Trigger automatic restart of the entire development workflow
-        console.log(
-          format(
-            "warning",
-            `\n🔄 Automatically restarting development workflow due to resource exhaustion...`,
-          ),
-        );
+    // Handle loop errors at task level
+    if (error instanceof LoopError) {
+      console.log(
+        format(
+          "error",
+          `\n✗ Task ${task.id} failed due to loop error: ${error.message}`,
+        ),
+      );
+
+      // Log error to activity logger
+      activityLogger.log("error", "Task failed due to loop error", {
+        taskId: task.id,
+        error: error.message,
+        iteration: error.iteration,
+        retryCount: error.retryCount,
+        runtimeMs: error.runtimeMs,
+        originalError: error.originalError?.message,
+      });
+
+      // Mark task with error state
+      transitionStory(task, STORY_STATUS.FAILED, {
+        reason: `Loop error: ${error.message}`,
+        error,
+      });
+      rollbackFailedStory(task, context, cwd, activityLogger);
+
+      // Save updated task data
+      await saveTasks();
+
+      return { status: "failed" };
+    }
+
+    // Handle connection errors at task level
+    // Connection errors should be caught here if they weren't retried successfully
+    // in ralphLoop() (e.g., after max retries exceeded)
+    if (
+      error instanceof ConnectionError ||
+      isRetryableConnectionError(error)
+    ) {
+      console.log(
+        format(
+          "error",
+          `\n✗ Task ${task.id} failed due to connection error: ${error.message}`,
+        ),
+      );
+      console.log(
+        format(
+          "error",
+          `  Error details: ${error.originalError?.message || error.message}`,
+        ),
+      );
+      if (error.code || error.originalError?.code) {
         console.log(
           format(
-            "orchestrator",
-            `This will start fresh conversations to avoid context accumulation.`,
+            "error",
+            `  Error code: ${error.code || error.originalError?.code}`,
           ),
         );
-
-        // Return current results and let the caller handle restart
-        // The restart should be handled at a higher level (menu system)
-        const resourceError = new ResourceExhaustionError(
-          `Resource exhaustion during task ${task.id}: ${error.message}`,
-          error,
-          fullOutput,
-          {
-            contextSizeBytes: contextSizeBytes,
-            iteration: iterations + 1,
-            runtimeMs: Date.now() - taskStats.startTime,
-            sessionId: currentSessionId,
-          }
-        );
-        throw resourceError;
-      } else {
-        // Re-throw non-connection, non-loop, non-resource-exhaustion errors
-        throw error;
       }
+      console.log(format("orchestrator", `  Continuing to next task...`));
+
+      // Log error to activity logger with comprehensive details
+      activityLogger.log("error", "Task failed due to connection error", {
+        taskId: task.id,
+        error: error.message,
+        errorCode: error.code || error.originalError?.code,
+        originalError: error.originalError?.message,
+        hasPartialResponse: !!(
+          error.partialResponse ||
+          (error instanceof ConnectionError && error.partialResponse)
+        ),
+      });
+
+      // Mark task with error state
+      transitionStory(task, STORY_STATUS.FAILED, {
+        reason: `Connection error: ${error.message}`,
+        error,
+      });
+      rollbackFailedStory(task, context, cwd, activityLogger);
+
+      // Save updated task data
+      await saveTasks();
+
+      // Continue to next task instead of crashing
+      // Connection errors are transient and shouldn't stop the entire workflow
+      return { status: "failed" };
     }
 
-    // === TASK COMPLETION PROCESSING ===
-    // Update progress tracking and mark task as completed
+    // Handle resource exhaustion errors - trigger automatic restart
+    if (isResourceExhaustionError(error)) {
+      console.log(
+        format(
+          "error",
+          `\n💥 Task ${task.id} failed due to resource exhaustion: ${error.message}`,
+        ),
+      );
+      console.log(
+        format(
+          "error",
+          `  This usually indicates context window limits exceeded during task execution.`,
+        ),
+      );
 
-    // Update human-readable progress file with completion details
-    await updateProgressWithTaskCompletion(
-      task.id,
-      task.description,
-      fullOutput,
-    );
+      // Log error to activity logger
+      activityLogger.log("error", "Task failed due to resource exhaustion", {
+        taskId: task.id,
+        error: error.message,
+        errorCode: error.code || error.originalError?.code,
+        originalError: error.originalError?.message,
+        contextTokens: error.contextTokens || "unknown",
+        iterations: taskStats.iterations,
+      });
 
-    // Mark task as completed with metadata
-    task.completed = true;
-    task.completed_at = new Date().toISOString();
-    task.output = fullOutput.substring(0, 500); // Store truncated output for reference
+      // Mark task with error state and track resource exhaustion attempts
+      transitionStory(task, STORY_STATUS.FAILED, {
+        reason: `Resource exhaustion: ${error.message} (context likely too large)`,
+        error,
+      });
 
-    // === STATISTICS REPORTING ===
-    // Calculate and display comprehensive task execution statistics
-    const duration = Date.now() - taskStats.startTime;
+      // Track resource exhaustion failures for this task
+      task.resourceExhaustionCount = (task.resourceExhaustionCount || 0) + 1;
+      rollbackFailedStory(task, context, cwd, activityLogger);
 
-    console.log(
-      format(
-        "git_ok",
-        `
+      // Save updated task data
+      await saveTasks();
+
+      // Trigger automatic restart of the entire development workflow
+      console.log(
+        format(
+          "warning",
+          `\n🔄 Automatically restarting development workflow due to resource exhaustion...`,
+        ),
+      );
+      console.log(
+        format(
+          "orchestrator",
+          `This will start fresh conversations to avoid context accumulation.`,
+        ),
+      );
+
+      // Return current results and let the caller handle restart
+      // The restart should be handled at a higher level (menu system)
+      throw new ResourceExhaustionError(
+        `Resource exhaustion during task ${task.id}: ${error.message}`,
+        error,
+        fullOutput,
+        {
+          contextTokens: error.contextTokens,
+          iteration: error.iteration ?? taskStats.iterations + 1,
+          runtimeMs: Date.now() - taskStats.startTime,
+          sessionId: error.sessionId,
+        },
+      );
+    }
+
+    // Re-throw non-connection, non-loop, non-resource-exhaustion errors
+    throw error;
+  }
+
+  // === STORY INTEGRATION ===
+  // Parallel stories only count as completed once merged into the feature branch
+  if (workspace.integrate) {
+    const integration = await workspace.integrate();
+    if (!integration.merged) {
+      transitionStory(task, STORY_STATUS.FAILED, {
+        reason: integration.reason,
+      });
+      await saveTasks();
+      return { status: "failed", unmerged: true };
+    }
+  }
+
+  // === TASK COMPLETION PROCESSING ===
+  // Update progress tracking and mark task as completed
+
+  // Update human-readable progress file with completion details
+  await updateProgressWithTaskCompletion(
+    task.id,
+    task.description,
+    fullOutput,
+    context.workstream.progressPath,
+  );
+
+  // Mark task as completed with metadata
+  transitionStory(task, STORY_STATUS.DONE, { reason: "Completed" });
+  task.output = fullOutput.substring(0, 500); // Store truncated output for reference
+
+  // === STATISTICS REPORTING ===
+  // Calculate and display comprehensive task execution statistics
+  const duration = Date.now() - taskStats.startTime;
+  const toolUsage = taskStats.toolUsage.summary();
+  const failedCommands = toolUsage.commands.filter(
+    (command) => command.success === false,
+  ).length;
+  const usage = attemptUsage(task, (task.history?.length || 0) + 1);
+
+  console.log(
+    format(
+      "git_ok",
+      `
 ✓ Task ${task.id} complete in ${(duration / 1000).toFixed(1)}s
   - Iterations: ${taskStats.iterations}
-  - Tool calls: ${taskStats.toolCalls}
+  - Tool calls: ${toolUsage.tool_calls}
+  - Files edited: ${toolUsage.files_edited.length}, deleted: ${toolUsage.files_deleted.length}
+  - Commands run: ${toolUsage.commands.length}${failedCommands ? ` (${failedCommands} failed)` : ""}
+  - Tokens: ${describeUsage(usage)}
   - Errors encountered: ${taskStats.errors.length}
 `,
+    ),
+  );
+
+  // Persist detailed statistics with task data (tool usage is the story's audit trail)
+  task.stats = {
+    model,
+    backend: context.agentBackend.name,
+    duration_ms: duration,
+    iterations: taskStats.iterations,
+    error_count: taskStats.errors.length,
+    usage,
+    ...toolUsage,
+  };
+
+  // Log completion event with statistics to activity log
+  activityLogger.log("info", "Task completed", {
+    taskId: task.id,
+    stats: task.stats,
+  });
+
+  // Save updated task data to disk
+  await saveTasks();
+
+  return { status: "completed", output: fullOutput };
+}
+
+/**
+ * Execute a Story with the Retry Policy
+ *
+ * Runs the story and, while it fails and retries remain, runs it again in a fresh
+ * agent session. The first attempt uses the story's resolved model; each retry
+ * moves one step up the model ladder (starting after the story's model when it is
+ * on the ladder, otherwise at the bottom). Every attempt is appended to
+ * task.history. Resource exhaustion is not retried here; it is re-thrown for the
+ * menu-level restart. Stories rejected in review, left unmerged or paused by
+ * the run budget are not retried either.
+ *
+ * Each attempt saves its diff, transcript, activity log, verification output
+ * and screenshots to its own artifacts directory, linked from its history entry
+ * and from task.artifacts (see createStoryArtifacts()).
+ *
+ * @param {Object} task - User story to execute
+ * @param {Object} context - Shared run context (retryPolicy, saveTasks, ...)
+ * @param {Object} workspace - Where the agent runs (see executeStory())
+ * @returns {Promise<{status: "completed"|"failed"|"interrupted", output?: string}>} Outcome of the last attempt
+ */
+async function executeStoryWithRetries(task, context, workspace) {
+  const { saveTasks, retryPolicy } = context;
+  const baseModel = resolveStoryModel(task, context.tasksData);
+  const ladder = retryPolicy.models.length ? retryPolicy.models : [baseModel];
+  const ladderStart = ladder.indexOf(baseModel);
+  task.history = task.history || [];
+
+  for (let retry = 0; ; retry++) {
+    const model =
+      retry === 0
+        ? baseModel
+        : ladder[Math.min(ladderStart + retry, ladder.length - 1)];
+    if (retry > 0) {
+      console.log(
+        format(
+          "warning",
+          `\n↻ Retrying task ${task.id} with ${model} (retry ${retry}/${retryPolicy.maxRetries})`,
+        ),
+      );
+    }
+
+    const entry = {
+      attempt: task.history.length + 1,
+      model,
+      started_at: new Date().toISOString(),
+    };
+    const rollbackBefore = task.rollback;
+    const artifacts = createStoryArtifacts({
+      projectPath: context.projectPath,
+      artifactsRoot: context.workstream.artifactsDir,
+      taskId: task.id,
+      attempt: entry.attempt,
+      activityLogPath: getActivityLogPath(
+        task.id,
+        task.suggested_role || "developer",
+      ),
+    });
+    const saveArtifacts = async (status) => {
+      task.artifacts = await artifacts.finalize({
+        cwd: workspace.cwd,
+        startCommit: task.start_commit,
+        // A rolled-back attempt's changes are only left in its rollback patch
+        rollback: task.rollback !== rollbackBefore ? task.rollback : null,
+        model,
+        outcome: status,
+      });
+      console.log(
+        format("task", `${task.id} artifacts saved to ${task.artifacts}`),
+      );
+      return task.artifacts;
+    };
+
+    let outcome;
+    try {
+      outcome = await executeStory(
+        task,
+        context,
+        { ...workspace, artifacts },
+        model,
+      );
+    } catch (error) {
+      task.history.push({
+        ...entry,
+        finished_at: new Date().toISOString(),
+        outcome: "error",
+        notes: task.notes || error.message,
+        usage: attemptUsage(task, entry.attempt),
+        artifacts: await saveArtifacts("error"),
+      });
+      await saveTasks();
+      throw error;
+    }
+
+    task.history.push({
+      ...entry,
+      finished_at: new Date().toISOString(),
+      outcome: outcome.status,
+      notes: outcome.status === "failed" ? task.notes : outcome.reason || "",
+      usage: attemptUsage(task, entry.attempt),
+      artifacts: await saveArtifacts(outcome.status),
+    });
+    await saveTasks();
+
+    if (
+      outcome.status !== "failed" ||
+      outcome.rejected ||
+      outcome.unmerged ||
+      retry >= retryPolicy.maxRetries
+    ) {
+      return outcome;
+    }
+  }
+}
+
+/**
+ * Roll Back a Failed Story According to the Run's Policy
+ *
+ * Records the outcome on task.rollback so restarts know the previous attempt's
+ * changes are gone. Rollback problems are reported but never mask the original
+ * story failure.
+ *
+ * @param {Object} task - Failed user story
+ * @param {Object} context - Shared run context (rollbackPolicy)
+ * @param {string} cwd - Working directory the story ran in
+ * @param {Object} activityLogger - Story activity logger
+ * @param {string} [policy] - Rollback policy (default: the run's context.rollbackPolicy)
+ */
+function rollbackFailedStory(
+  task,
+  context,
+  cwd,
+  activityLogger,
+  policy = context.rollbackPolicy,
+) {
+  try {
+    task.rollback = rollbackStory({
+      cwd,
+      taskId: task.id,
+      startCommit: task.start_commit,
+      policy,
+    });
+  } catch (error) {
+    console.log(
+      format(
+        "warning",
+        `⚠ Warning: Failed to roll back task ${task.id}: ${error.message}`,
+      ),
+    );
+    activityLogger.log("error", "Rollback failed", {
+      taskId: task.id,
+      policy,
+      error: error.message,
+    });
+    return;
+  }
+
+  activityLogger.log("info", "Rollback finished", {
+    taskId: task.id,
+    ...task.rollback,
+  });
+  if (task.rollback.patch) {
+    console.log(
+      format(
+        "git",
+        `↺ Rolled back ${task.id} to ${task.start_commit.slice(0, 7)} (${task.rollback.policy}). Changes saved to ${task.rollback.patch}`,
+      ),
+    );
+  }
+}
+
+/**
+ * Commit Story Changes in the Project Directory
+ *
+ * Orchestrator state (tasks/, logs/) stays out of the commit, so workstreams
+ * never commit each other's task files.
+ *
+ * @param {string} projectPath - Absolute path to the project directory
+ * @param {Object} task - Completed user story
+ */
+function commitTaskChanges(projectPath, task) {
+  try {
+    const pathspec = getProjectPathspec(projectPath);
+    const gitStatus = execSync(`git status --porcelain -- ${pathspec}`, {
+      cwd: projectPath,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+
+    if (gitStatus.trim()) {
+      execSync(`git add -A -- ${pathspec}`, {
+        cwd: projectPath,
+        stdio: "ignore",
+      });
+      const commitMessage = `feat: TASK-${task.id} - ${task.description}`;
+      // Use JSON.stringify to safely escape special characters in commit message
+      execSync(`git commit -m ${JSON.stringify(commitMessage)}`, {
+        cwd: projectPath,
+        stdio: "ignore",
+      });
+      console.log(format("git_ok", `✓ Committed changes for task ${task.id}`));
+    } else {
+      console.log(format("git", `⊘ No changes to commit for task ${task.id}`));
+    }
+  } catch (error) {
+    console.log(
+      format(
+        "warning",
+        `⚠ Warning: Failed to commit changes for task ${task.id}: ${error.message}`,
+      ),
+    );
+    // Continue execution - don't fail the task due to commit failure
+  }
+}
+
+/**
+ * Get the Reason the Run Must Stop Before Starting Another Story
+ *
+ * @param {Object} context - Shared run context (interrupt, budget)
+ * @returns {string|null} Stop reason, or null to keep going
+ */
+function getRunStopReason(context) {
+  const signal = context.interrupt.reason();
+  return signal ? `interrupted by ${signal}` : context.budget.exceeded();
+}
+
+/**
+ * Print the Resumable Summary after a Budget Stop or Interruption
+ *
+ * @param {Object} context - Shared run context (budget, interrupt, stopReason, plan)
+ */
+function printStopSummary(context) {
+  const { budget, interrupt, stopReason, plan, workstream } = context;
+  const paused = plan.ordered.filter((t) =>
+    [STORY_STATUS.IN_PROGRESS, STORY_STATUS.INTERRUPTED].includes(
+      getStoryStatus(t),
+    ),
+  );
+  const notStarted = plan.ordered.filter((t) =>
+    [STORY_STATUS.PENDING, STORY_STATUS.FAILED, STORY_STATUS.SKIPPED].includes(
+      getStoryStatus(t),
+    ),
+  );
+
+  console.log(
+    format(
+      "warning",
+      interrupt.reason() || !budget.exceeded()
+        ? `\n=== Run Interrupted ===`
+        : `\n=== Run Budget Reached ===`,
+    ),
+  );
+  console.log(format("warning", `Stopped: ${stopReason}`));
+  console.log(format("orchestrator", `Budget used: ${budget.describe()}`));
+  if (paused.length > 0) {
+    console.log(
+      format(
+        "orchestrator",
+        `Paused mid-story (resumes first): ${paused.map((t) => t.id).join(", ")}`,
+      ),
+    );
+  }
+  if (notStarted.length > 0) {
+    console.log(
+      format(
+        "orchestrator",
+        `Still to run: ${notStarted.map((t) => t.id).join(", ")}`,
       ),
     );
+  }
+  console.log(
+    format(
+      "orchestrator",
+      `State is saved in tasks/${workstream.fileName} - run '${formatWorkstreamCommand("restart-dev", workstream)}' to resume.`,
+    ),
+  );
+}
 
-    // Persist detailed statistics with task data
-    task.stats = {
-      duration_ms: duration,
-      iterations: taskStats.iterations,
-      tool_calls: taskStats.toolCalls,
-      error_count: taskStats.errors.length,
-    };
+/**
+ * Report a Run Stopped by the "stop" On-Failure Policy
+ *
+ * @param {Object} task - User story that failed
+ */
+function logRunStopped(task) {
+  console.log(format("error", `\n=== Execution Stopped ===`));
+  console.log(format("error", `Task ${task.id} failed: ${task.notes}`));
+  console.log(
+    format(
+      "error",
+      `--on-failure is "stop", so no further stories will be started.`,
+    ),
+  );
+  console.log(
+    format(
+      "error",
+      `Please review the error and restart development when ready.`,
+    ),
+  );
+}
 
-    // Log completion event with statistics to activity log
-    activityLogger.log("info", "Task completed", {
-      taskId: task.id,
-      stats: task.stats,
-    });
+/**
+ * Run Stories One at a Time in the Project Directory
+ *
+ * Walks the execution plan in order. Stories with unmet dependencies are marked
+ * as blocked. A failed story stops the run only with the "stop" on-failure
+ * policy; otherwise its dependents are blocked when their turn comes (or run
+ * anyway with "continue") and unrelated stories keep running. A used-up run
+ * budget stops the run before the next story (or mid-story, between iterations);
+ * an interruption stops it immediately.
+ *
+ * @param {Object} context - Shared run context
+ * @param {number|null} maxTasksToComplete - Max tasks to complete this run (null = all)
+ * @returns {Promise<Array>} Execution results for completed stories
+ */
+async function runStoriesSequentially(context, maxTasksToComplete) {
+  const { plan, projectPath, saveTasks, onFailure } = context;
+  const results = [];
+  const finished = new Set();
+  let completedThisRun = 0;
+
+  for (const task of plan.ordered) {
+    // Skip already completed tasks (resumability feature)
+    if (task.completed) {
+      continue;
+    }
 
-    // Save updated task data to disk
-    await fs.writeFile(tasksJsonPath, JSON.stringify(tasksData, null, 2));
+    // === RUN BUDGET / INTERRUPTION ===
+    context.stopReason = getRunStopReason(context);
+    if (context.stopReason) {
+      break;
+    }
 
-    // === GIT COMMIT AFTER TASK COMPLETION ===
-    try {
-      const gitStatus = execSync("git status --porcelain", {
-        cwd: projectPath,
-        encoding: "utf8",
-        stdio: ["ignore", "pipe", "ignore"],
-      });
+    // === DEPENDENCY CHECK ===
+    // Refuse to start a task whose dependencies are incomplete or failed
+    const unmetDependencies = getBlockingDependencies(task, context, finished);
+    finished.add(task.id);
+    if (unmetDependencies.length > 0) {
+      await markStoryBlocked(task, unmetDependencies, saveTasks);
+      continue;
+    }
+    if (task.blocked_by) {
+      // Dependencies are now satisfied - clear stale blocked marker
+      delete task.blocked_by;
+      task.notes = "";
+    }
 
-      if (gitStatus.trim()) {
-        execSync("git add -A", { cwd: projectPath, stdio: "ignore" });
-        const commitMessage = `feat: TASK-${task.id} - ${task.description}`;
-        // Use JSON.stringify to safely escape special characters in commit message
-        execSync(`git commit -m ${JSON.stringify(commitMessage)}`, {
-          cwd: projectPath,
-          stdio: "ignore",
-        });
-        console.log(
-          format("git_ok", `✓ Committed changes for task ${task.id}`),
-        );
-      } else {
-        console.log(
-          format("git", `⊘ No changes to commit for task ${task.id}`),
-        );
+    const outcome = await executeStoryWithRetries(task, context, {
+      cwd: projectPath,
+      nextTaskPath: context.workstream.nextTaskPath,
+      progressPath: context.workstream.progressPath,
+    });
+
+    if (outcome.status === "interrupted") {
+      context.stopReason = outcome.reason;
+      break;
+    }
+    if (outcome.status === "failed") {
+      if (onFailure === "stop") {
+        logRunStopped(task);
+        return results; // Return current results and exit
       }
-    } catch (error) {
-      console.log(
-        format(
-          "warning",
-          `⚠ Warning: Failed to commit changes for task ${task.id}: ${error.message}`,
-        ),
-      );
-      // Continue execution - don't fail the task due to commit failure
+      continue;
     }
 
+    // === GIT COMMIT AFTER TASK COMPLETION ===
+    commitTaskChanges(projectPath, task);
+
     results.push({
       task_id: task.id,
-      role: role,
-      result: fullOutput,
+      role: task.suggested_role || "developer",
+      result: outcome.output,
     });
 
     completedThisRun += 1;
@@ -710,41 +2392,318 @@ Dependencies: ${task.dependencies.join(", ")}${
           `\nReached limit of ${maxTasksToComplete} task(s) this run. Stopping.`,
         ),
       );
+      await markStoriesSkipped(
+        plan.ordered,
+        `Skipped: limit of ${maxTasksToComplete} task(s) this run reached`,
+        saveTasks,
+      );
       break;
     }
   }
 
-  console.log(format("orchestrator", "\n=== Execution Complete ==="));
-  console.log(format("orchestrator", `Feature branch: ${featureBranch}`));
-  console.log(
-    format(
-      "orchestrator",
-      `User stories completed: ${results.length}/${tasksData.userStories.length}`,
-    ),
+  return results;
+}
+
+/**
+ * Run a Story in Its Own Git Worktree
+ *
+ * Creates (or reuses) the story worktree, seeds it with the story's task file and
+ * the current progress log, runs the story, then commits on the story branch and
+ * merges it into the feature branch. Progress notes the agent appended inside the
+ * worktree are copied back to the main progress log.
+ *
+ * @param {Object} task - User story to execute
+ * @param {Object} context - Shared run context
+ * @returns {Promise<{status: "completed"|"failed"|"interrupted", output?: string}>} Story outcome
+ */
+async function runStoryInWorktree(task, context) {
+  const { projectPath, featureBranch, workstream } = context;
+  // The workstream's files at the same place inside the worktree
+  const progressFile = path.relative(projectPath, workstream.progressPath);
+  const nextTaskFile = path.relative(projectPath, workstream.nextTaskPath);
+
+  const { worktreePath, branch, reused } = createStoryWorktree(
+    projectPath,
+    featureBranch,
+    task.id,
   );
   console.log(
     format(
-      "git",
-      `\nTo merge to main: git checkout main && git merge ${featureBranch}`,
+      "git_ok",
+      `✓ ${reused ? "Reusing" : "Created"} worktree for ${task.id} on ${branch}`,
     ),
   );
 
+  // Seed the worktree with the shared progress log so the agent has full context
+  const worktreeProgressPath = path.join(worktreePath, progressFile);
+  let baseProgress = await fs.readFile(workstream.progressPath, "utf8");
+  await fs.outputFile(worktreeProgressPath, baseProgress);
+
+  // Copy progress notes the agent added in the worktree back to the main log
+  const copyProgressNotes = async () => {
+    try {
+      const progress = await fs.readFile(worktreeProgressPath, "utf8");
+      const baseLines = new Set(baseProgress.split("\n"));
+      const addedLines = progress
+        .split("\n")
+        .filter((line) => line.trim() && !baseLines.has(line));
+      baseProgress = progress;
+      if (addedLines.length > 0) {
+        await fs.appendFile(
+          workstream.progressPath,
+          `\n## Notes from ${task.id}\n${addedLines.join("\n")}\n`,
+          "utf8",
+        );
+      }
+    } catch {
+      // Agent removed the progress file - nothing to copy back
+    }
+  };
+
+  // === COMMIT AND MERGE STORY BRANCH ===
+  // Runs inside executeStory(), before the story is marked completed
+  const integrate = async () => {
+    await copyProgressNotes();
+    restoreOrchestratorFiles(worktreePath, [nextTaskFile, progressFile]);
+    const commitMessage = `feat: TASK-${task.id} - ${task.description}`;
+    const committed = commitStoryWorktree(worktreePath, commitMessage);
+    const merge = mergeStoryBranch(projectPath, branch, commitMessage);
+
+    if (!merge.merged) {
+      console.log(
+        format(
+          "git_fail",
+          `✗ Failed to merge ${branch} into ${featureBranch}: ${merge.error}`,
+        ),
+      );
+      console.log(
+        format(
+          "orchestrator",
+          `  Branch ${branch} was kept. Resolve manually with: git merge ${branch}`,
+        ),
+      );
+      return {
+        merged: false,
+        reason: `Merge conflict: ${branch} could not be merged into ${featureBranch}`,
+      };
+    }
+
+    console.log(
+      format(
+        committed ? "git_ok" : "git",
+        committed
+          ? `✓ Merged ${branch} into ${featureBranch}`
+          : `⊘ No changes to commit for task ${task.id}`,
+      ),
+    );
+    return { merged: true };
+  };
+
+  const outcome = await executeStoryWithRetries(task, context, {
+    cwd: worktreePath,
+    nextTaskPath: path.join(worktreePath, nextTaskFile),
+    progressPath: worktreeProgressPath,
+    logPrefix: `[${task.id}] `,
+    integrate,
+  });
+
+  if (outcome.status === "completed") {
+    removeStoryWorktree(projectPath, worktreePath, branch);
+  } else if (outcome.unmerged) {
+    removeStoryWorktree(projectPath, worktreePath);
+  } else {
+    // Keep the worktree and branch so partial work can be inspected or resumed
+    await copyProgressNotes();
+  }
+  return outcome;
+}
+
+/**
+ * Run Independent Stories in Parallel Worktrees
+ *
+ * Keeps up to `concurrency` stories running at once. A story is launched as soon
+ * as all of its dependencies have been merged into the feature branch. With a
+ * task limit, no more stories are launched than could still complete within
+ * it (a failed story frees its slot). After
+ * resource exhaustion, a failed story with the "stop" on-failure policy, or a
+ * used-up run budget, no new stories are launched; stories already running are
+ * allowed to finish (or pause at their next iteration once the budget is gone).
+ * An interruption aborts every running story at once.
+ *
+ * @param {Object} context - Shared run context
+ * @param {number} concurrency - Maximum number of stories running at once
+ * @param {number|null} maxTasksToComplete - Max tasks to complete this run (null = all)
+ * @returns {Promise<Array>} Execution results for completed stories
+ */
+async function runStoriesInParallel(context, concurrency, maxTasksToComplete) {
+  const { plan, saveTasks, onFailure } = context;
+  const results = [];
+  const running = new Map(); // story ID -> promise resolving when the story settles
+  const settled = new Set();
+  const merged = new Set(); // Stories merged into the feature branch this run
+  let stopLaunching = false;
+  let fatalError = null;
+
+  const launch = (task) => {
+    const promise = runStoryInWorktree(task, context)
+      .then((outcome) => {
+        if (outcome.status === "completed") {
+          merged.add(task.id);
+          results.push({
+            task_id: task.id,
+            role: task.suggested_role || "developer",
+            result: outcome.output,
+          });
+        } else if (outcome.status === "interrupted") {
+          context.stopReason = context.stopReason || outcome.reason;
+          stopLaunching = true;
+        } else if (onFailure === "stop" && !stopLaunching) {
+          logRunStopped(task);
+          stopLaunching = true;
+        }
+      })
+      .catch((error) => {
+        // Resource exhaustion or unexpected errors: drain, then re-throw
+        fatalError = fatalError || error;
+        stopLaunching = true;
+      })
+      .finally(() => {
+        running.delete(task.id);
+        settled.add(task.id);
+      });
+    running.set(task.id, promise);
+  };
+
+  while (true) {
+    const stopReason = getRunStopReason(context);
+    if (stopReason && !stopLaunching) {
+      context.stopReason = context.stopReason || stopReason;
+      stopLaunching = true;
+    }
+    if (!stopLaunching) {
+      for (const task of plan.ordered) {
+        if (running.size >= concurrency) break;
+        if (
+          maxTasksToComplete != null &&
+          merged.size + running.size >= maxTasksToComplete
+        ) {
+          break;
+        }
+        if (task.completed || running.has(task.id) || settled.has(task.id)) {
+          continue;
+        }
+
+        const unmetDependencies = getBlockingDependencies(
+          task,
+          context,
+          settled,
+        );
+        // A dependency running this run only counts once its branch is merged
+        const awaitingMerge = getDependencyIds(task).some(
+          (id) => running.has(id) && !merged.has(id),
+        );
+        if (awaitingMerge) {
+          continue;
+        }
+        if (unmetDependencies.length === 0) {
+          if (task.blocked_by) {
+            delete task.blocked_by;
+            task.notes = "";
+          }
+          launch(task);
+        } else if (
+          unmetDependencies.some(
+            (dep) => dep.reason === "dependency cycle" || settled.has(dep.id),
+          )
+        ) {
+          // Cyclic dependencies and ones that settled without completing will
+          // never complete this run (a dependency that failed in an earlier run
+          // is still waiting to be launched or retried)
+          settled.add(task.id);
+          await markStoryBlocked(task, unmetDependencies, saveTasks);
+        }
+        // Otherwise a dependency is still running or queued - check again later
+      }
+    }
+
+    if (running.size === 0) break;
+    await Promise.race(running.values());
+  }
+
+  if (maxTasksToComplete != null && merged.size >= maxTasksToComplete) {
+    console.log(
+      format(
+        "orchestrator",
+        `\nReached limit of ${maxTasksToComplete} task(s) this run. Stopping.`,
+      ),
+    );
+    await markStoriesSkipped(
+      plan.ordered,
+      `Skipped: limit of ${maxTasksToComplete} task(s) this run reached`,
+      saveTasks,
+    );
+  }
+
+  if (fatalError) {
+    throw fatalError;
+  }
   return results;
 }
 
-export async function actionRunDev(projectPath, mcpConfigForAgent) {
-  console.log(format("orchestrator", "\nSelecting a tasks file to run..."));
-  const selectedTasks = await selectExistingTasksFile();
+/**
+ * Run Development Action - Select a tasks file and execute it
+ *
+ * The selected file runs as its own workstream: its state, progress log and
+ * next_task file stay separate from tasks.json (see resolveWorkstream()).
+ *
+ * @param {string} projectPath - Absolute path to the project directory
+ * @param {Object|null} mcpConfigForAgent - MCP configuration for tool integrations
+ * @param {Object} [options] - Execution options passed to runTasksSequentially()
+ * @param {string} [options.tasksFile] - Run this task file instead of asking
+ * @returns {Promise<Array|null>} Execution results, or null if cancelled
+ */
+export async function actionRunDev(
+  projectPath,
+  mcpConfigForAgent,
+  options = {},
+) {
+  let selectedTasks;
+  if (options.tasksFile) {
+    const { tasksJsonPath } = resolveWorkstream(projectPath, options.tasksFile);
+    try {
+      selectedTasks = {
+        tasksPath: tasksJsonPath,
+        tasksData: JSON.parse(await fs.readFile(tasksJsonPath, "utf8")),
+      };
+    } catch (error) {
+      console.error(
+        format(
+          "error",
+          error.code === "ENOENT"
+            ? `\n✗ Error: tasks file not found at ${tasksJsonPath}`
+            : `\n✗ Error loading ${path.basename(tasksJsonPath)}: ${error.message}`,
+        ),
+      );
+      return null;
+    }
+  } else {
+    console.log(format("orchestrator", "\nSelecting a tasks file to run..."));
+    selectedTasks = await selectExistingTasksFile();
+  }
 
   if (!selectedTasks) {
     console.log(format("task", "No tasks file selected. Returning to menu."));
     return null;
   }
+  const workstream = resolveWorkstream(projectPath, selectedTasks.tasksPath);
 
   const incompleteCount = selectedTasks.tasksData.userStories.filter(
     (t) => !t.completed,
   ).length;
-  const choice = await promptTaskLimit(incompleteCount);
+  const choice =
+    options.dryRun || options.maxStories != null
+      ? { limit: null } // --max-stories is applied by runTasksSequentially()
+      : await promptTaskLimit(incompleteCount);
   if (choice.cancelled) {
     console.log(format("task", "Cancelled. Returning to menu."));
     return null;
@@ -755,10 +2714,13 @@ export async function actionRunDev(projectPath, mcpConfigForAgent) {
     projectPath,
     mcpConfigForAgent,
     choice.limit,
+    { ...options, workstream },
   );
 
   // All completion details are already logged by runTasksSequentially
-  console.log(format("git_ok", "\n✓ Development execution complete!"));
+  if (!options.dryRun) {
+    console.log(format("git_ok", "\n✓ Development execution complete!"));
+  }
   return devResults;
 }
 
@@ -771,19 +2733,20 @@ export async function actionRunDev(projectPath, mcpConfigForAgent) {
  *
  * @param {string} projectPath - Absolute path to the project directory
  * @param {Object|null} mcpConfig - MCP configuration for tool integrations
+ * @param {Object} [options] - Execution options passed to runTasksSequentially()
  * @returns {Promise<Array>} Array of execution results for completed tasks
  */
-export async function actionDev(projectPath, mcpConfig = null) {
+export async function actionDev(projectPath, mcpConfig = null, options = {}) {
+  // Auto-load tasks.json (or the --tasks workstream) from project root
+  const workstream = resolveWorkstream(projectPath, options.tasksFile);
+  const tasksPath = workstream.tasksJsonPath;
   console.log(
     format(
       "orchestrator",
-      "\nStarting streamlined development on tasks.json...",
+      `\nStarting streamlined development on ${workstream.fileName}...`,
     ),
   );
 
-  // Auto-load tasks.json from project root
-  const tasksPath = path.join(projectPath, "tasks", "tasks.json");
-
   try {
     // Check if tasks.json exists
     const tasksContent = await fs.readFile(tasksPath, "utf8");
@@ -794,7 +2757,7 @@ export async function actionDev(projectPath, mcpConfig = null) {
       console.error(
         format(
           "error",
-          "\n✗ Error: tasks.json is missing required 'branchName' field.",
+          `\n✗ Error: ${workstream.fileName} is missing required 'branchName' field.`,
         ),
       );
       console.log(
@@ -809,7 +2772,7 @@ export async function actionDev(projectPath, mcpConfig = null) {
     console.log(
       format(
         "git_ok",
-        `✓ Found tasks.json with ${tasksData.userStories?.length || 0} tasks`,
+        `✓ Found ${workstream.fileName} with ${tasksData.userStories?.length || 0} tasks`,
       ),
     );
 
@@ -823,7 +2786,10 @@ export async function actionDev(projectPath, mcpConfig = null) {
       ),
     );
 
-    const choice = await promptTaskLimit(incompleteTasks.length);
+    const choice =
+      options.dryRun || options.maxStories != null
+        ? { limit: null } // --max-stories is applied by runTasksSequentially()
+        : await promptTaskLimit(incompleteTasks.length);
     if (choice.cancelled) {
       console.log(format("task", "Cancelled. Returning to menu."));
       return [];
@@ -834,11 +2800,14 @@ export async function actionDev(projectPath, mcpConfig = null) {
       projectPath,
       mcpConfig,
       choice.limit,
+      { ...options, workstream },
     );
 
-    console.log(
-      format("git_ok", "\n✓ Streamlined development execution complete!"),
-    );
+    if (!options.dryRun) {
+      console.log(
+        format("git_ok", "\n✓ Streamlined development execution complete!"),
+      );
+    }
     return devResults;
   } catch (error) {
     if (error.message?.startsWith("RESOURCE_EXHAUSTION_RESTART:")) {
@@ -846,7 +2815,10 @@ export async function actionDev(projectPath, mcpConfig = null) {
     }
     if (error.code === "ENOENT") {
       console.error(
-        format("error", `\n✗ Error: tasks.json not found at ${tasksPath}`),
+        format(
+          "error",
+          `\n✗ Error: ${workstream.fileName} not found at ${tasksPath}`,
+        ),
       );
       console.log(
         format(
@@ -856,7 +2828,10 @@ export async function actionDev(projectPath, mcpConfig = null) {
       );
     } else {
       console.error(
-        format("error", "\n✗ Error loading tasks.json:", error.message),
+        format(
+          "error",
+          `\n✗ Error loading ${workstream.fileName}: ${error.message}`,
+        ),
       );
     }
     return [];
@@ -875,18 +2850,28 @@ export async function actionDev(projectPath, mcpConfig = null) {
  * - Provides detailed status information on resume
  * - Enhanced error handling for partial task states
  * - Recovery suggestions for common interruption scenarios
+ * - Offers to resume each paused story's saved agent conversation (chatId)
+ *   while it is under the context limit, instead of re-orienting from scratch
  *
  * @param {string} projectPath - Absolute path to the project directory
  * @param {Object|null} mcpConfig - MCP configuration for tool integrations
+ * @param {Object} [options] - Execution options passed to runTasksSequentially()
+ * @param {boolean} [options.freshSessions] - Start new agent conversations instead of
+ *        resuming saved ones
  * @returns {Promise<Array>} Array of execution results for completed tasks
  */
-export async function actionRestartDev(projectPath, mcpConfig = null) {
+export async function actionRestartDev(
+  projectPath,
+  mcpConfig = null,
+  options = {},
+) {
   console.log(
     format("orchestrator", "\nRestarting development after interruption..."),
   );
 
   // Auto-load tasks.json from project root
-  const tasksPath = path.join(projectPath, "tasks", "tasks.json");
+  const workstream = resolveWorkstream(projectPath, options.tasksFile);
+  const tasksPath = workstream.tasksJsonPath;
 
   try {
     // Check if tasks.json exists
@@ -898,7 +2883,7 @@ export async function actionRestartDev(projectPath, mcpConfig = null) {
       console.error(
         format(
           "error",
-          "\n✗ Error: tasks.json is missing required 'branchName' field.",
+          `\n✗ Error: ${workstream.fileName} is missing required 'branchName' field.`,
         ),
       );
       console.log(
@@ -913,7 +2898,7 @@ export async function actionRestartDev(projectPath, mcpConfig = null) {
     console.log(
       format(
         "git_ok",
-        `✓ Found tasks.json with ${tasksData.userStories?.length || 0} tasks`,
+        `✓ Found ${workstream.fileName} with ${tasksData.userStories?.length || 0} tasks`,
       ),
     );
 
@@ -923,16 +2908,33 @@ export async function actionRestartDev(projectPath, mcpConfig = null) {
       tasksData.userStories?.filter((task) => task.completed) || [];
     const incompleteTasks =
       tasksData.userStories?.filter((task) => !task.completed) || [];
-    const inProgressTasks =
+    const storiesWithStatus = (status) =>
       tasksData.userStories?.filter(
-        (task) => task.started_at && !task.completed,
+        (task) => getStoryStatus(task) === status,
       ) || [];
+    const inProgressTasks = storiesWithStatus(STORY_STATUS.IN_PROGRESS);
 
     console.log(format("task", `\n--- Development Status ---`));
     console.log(format("task", `Total tasks: ${totalTasks}`));
     console.log(format("task", `Completed: ${completedTasks.length}`));
     console.log(format("task", `Incomplete: ${incompleteTasks.length}`));
     console.log(format("task", `In progress: ${inProgressTasks.length}`));
+    for (const status of [
+      STORY_STATUS.INTERRUPTED,
+      STORY_STATUS.FAILED,
+      STORY_STATUS.BLOCKED,
+      STORY_STATUS.SKIPPED,
+    ]) {
+      const stories = storiesWithStatus(status);
+      if (stories.length > 0) {
+        console.log(
+          format(
+            "task",
+            `${status[0].toUpperCase()}${status.slice(1)}: ${stories.map((task) => task.id).join(", ")}`,
+          ),
+        );
+      }
+    }
 
     if (inProgressTasks.length > 0) {
       console.log(format("task", `\nTasks that were in progress:`));
@@ -957,10 +2959,29 @@ export async function actionRestartDev(projectPath, mcpConfig = null) {
       return [];
     }
 
+    // Saved agent conversations that can pick up where the stories stopped
+    const resumable = tasksData.userStories.filter(getResumableSession);
+    let resumeSessions = false;
+    if (resumable.length > 0) {
+      console.log(format("task", `\nSaved agent sessions:`));
+      for (const task of resumable) {
+        console.log(
+          format(
+            "task",
+            `  - ${task.id}: ${task.session.session_id} (iteration ${task.session.iteration}, ~${formatTokens(task.session.context_tokens || 0)} tokens of context)`,
+          ),
+        );
+      }
+      resumeSessions =
+        !options.freshSessions &&
+        (options.dryRun ||
+          (await promptResumeSessions(resumable.map((task) => task.id))));
+    }
+
     console.log(
       format(
         "orchestrator",
-        `\nResuming execution from first incomplete task...`,
+        `\nResuming execution from first incomplete task${resumeSessions ? " (continuing saved agent sessions)" : ""}...`,
       ),
     );
 
@@ -968,9 +2989,13 @@ export async function actionRestartDev(projectPath, mcpConfig = null) {
       tasksData.userStories,
       projectPath,
       mcpConfig,
+      null,
+      { ...options, workstream, resumeSessions },
     );
 
-    console.log(format("git_ok", "\n✓ Development restart complete!"));
+    if (!options.dryRun) {
+      console.log(format("git_ok", "\n✓ Development restart complete!"));
+    }
     return devResults;
   } catch (error) {
     if (error.message?.startsWith("RESOURCE_EXHAUSTION_RESTART:")) {
@@ -978,7 +3003,10 @@ export async function actionRestartDev(projectPath, mcpConfig = null) {
     }
     if (error.code === "ENOENT") {
       console.error(
-        format("error", `\n✗ Error: tasks.json not found at ${tasksPath}`),
+        format(
+          "error",
+          `\n✗ Error: ${workstream.fileName} not found at ${tasksPath}`,
+        ),
       );
       console.log(
         format(
@@ -988,12 +3016,103 @@ export async function actionRestartDev(projectPath, mcpConfig = null) {
       );
     } else {
       console.error(
-        format("error", "\n✗ Error loading tasks.json:", error.message),
+        format(
+          "error",
+          `\n✗ Error loading ${workstream.fileName}: ${error.message}`,
+        ),
+      );
+      console.log(
+        format(
+          "task",
+          `The tasks file may be corrupted. Run '${formatWorkstreamCommand("repair-tasks", workstream)}' to rebuild it from its journal, or regenerate tasks from your PRD.`,
+        ),
+      );
+    }
+    return [];
+  }
+}
+
+/**
+ * Run Task Action - Run specific stories by ID
+ *
+ * Runs only the requested stories from tasks.json (e.g. to redo a story that
+ * regressed) without resetting the others. Stories already completed are
+ * skipped unless options.force is set. Dependencies that are not done produce
+ * a warning but do not block the requested stories.
+ *
+ * @param {string} projectPath - Absolute path to the project directory
+ * @param {Object|null} mcpConfig - MCP configuration for tool integrations
+ * @param {string[]} storyIds - Story IDs to run ("US-004" or "4")
+ * @param {Object} [options] - Execution options passed to runTasksSequentially()
+ * @returns {Promise<Array>} Array of execution results for completed tasks
+ */
+export async function actionRunTask(
+  projectPath,
+  mcpConfig = null,
+  storyIds = [],
+  options = {},
+) {
+  if (storyIds.length === 0) {
+    console.error(format("error", "\n✗ Error: No story IDs given."));
+    console.log(format("task", "Usage: ralph run-task US-004 [US-007 ...]"));
+    return [];
+  }
+
+  console.log(
+    format("orchestrator", `\nRunning selected stories: ${storyIds.join(", ")}`),
+  );
+
+  const workstream = resolveWorkstream(projectPath, options.tasksFile);
+  const tasksPath = workstream.tasksJsonPath;
+
+  try {
+    const tasksData = JSON.parse(await fs.readFile(tasksPath, "utf8"));
+
+    // Validate branchName exists
+    if (!tasksData.branchName) {
+      console.error(
+        format(
+          "error",
+          `\n✗ Error: ${workstream.fileName} is missing required 'branchName' field.`,
+        ),
       );
       console.log(
         format(
           "task",
-          "The tasks file may be corrupted. Consider regenerating tasks from your PRD.",
+          "Please regenerate tasks from PRD to get a branchName field.",
+        ),
+      );
+      return [];
+    }
+
+    const devResults = await runTasksSequentially(
+      tasksData.userStories,
+      projectPath,
+      mcpConfig,
+      null,
+      { ...options, workstream, storyIds },
+    );
+
+    if (!options.dryRun) {
+      console.log(format("git_ok", "\n✓ Selected stories run complete!"));
+    }
+    return devResults;
+  } catch (error) {
+    if (error.message?.startsWith("RESOURCE_EXHAUSTION_RESTART:")) {
+      throw error;
+    }
+    if (error.code === "ENOENT") {
+      console.error(
+        format(
+          "error",
+          `\n✗ Error: ${workstream.fileName} not found at ${tasksPath}`,
+        ),
+      );
+    } else {
+      console.error(
+        format(
+          "error",
+          `\n✗ Error loading ${workstream.fileName}: ${error.message}`,
         ),
       );
     }
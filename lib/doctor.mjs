@@ -0,0 +1,481 @@
+/**
+ * Pre-Flight Environment Check (`ralph doctor`)
+ *
+ * Many failed runs die minutes in because of setup problems: a missing
+ * cursor-agent binary, an unset API key, a dirty working tree. This module
+ * checks everything a run needs in a couple of seconds and prints a fix-it hint
+ * for every problem.
+ *
+ * Checks:
+ * - the agent backend's binary on PATH and executable (cursor-agent unless
+ *   tasks.json's agentBackend or RALPH_AGENT_BACKEND selects another)
+ * - CURSOR_API_KEY (dev runs with cursor) and OPENAI_API_KEY (PRD/task
+ *   generation, skills)
+ * - .env next to the orchestrator installation loads
+ * - prompts/ templates used by loadPrompt() exist
+ * - git installed, working tree clean (tasks/ and logs/ are ignored)
+ * - tasks/tasks.json parses and its branchName is a valid branch name
+ * - .cursor/skills readable
+ * - no other Ralph run holds the project lock
+ *
+ * Results:
+ * Each check is "ok", "warning" (the run works, something is missing or
+ * unusual) or "error" (the run would fail). Errors set a non-zero exit code.
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { execSync } from "child_process";
+import { ENV_PATH, ENV_LOAD_ERROR, SKILLS_DIR } from "./config.mjs";
+import { PROMPT_FILES, getPromptPath } from "./file-ops.mjs";
+import { getProjectPathspec } from "./story-rollback.mjs";
+import {
+  readProjectLock,
+  isLockStale,
+  describeLockHolder,
+} from "./project-lock.mjs";
+import { getAgentBackend } from "./agent-backend.mjs";
+import { format } from "./log-format.mjs";
+
+/**
+ * Build a Check Result
+ *
+ * @param {string} name - What was checked
+ * @param {"ok"|"warning"|"error"} level - Outcome
+ * @param {string} [detail] - What was found
+ * @param {string} [hint] - How to fix it (warnings and errors)
+ * @returns {{name: string, level: string, detail: string, hint: string}} Check result
+ */
+function result(name, level, detail = "", hint = "") {
+  return { name, level, detail, hint };
+}
+
+/**
+ * Run a Command for a Check
+ *
+ * @param {string} command - Command to run
+ * @param {string} cwd - Working directory
+ * @returns {string|null} Trimmed output, or null if the command failed
+ */
+function run(command, cwd) {
+  try {
+    return execSync(command, {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find an Executable on PATH
+ *
+ * @param {string} binary - Executable name
+ * @returns {{found: string|null, notExecutable: string|null}} Path of the executable,
+ *          or of a match that lacks the execute permission
+ */
+function findOnPath(binary) {
+  let notExecutable = null;
+  for (const dir of (process.env.PATH || "").split(path.delimiter)) {
+    if (!dir) continue;
+    const candidate = path.join(dir, binary);
+    if (!fs.existsSync(candidate)) continue;
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return { found: candidate, notExecutable: null };
+    } catch {
+      notExecutable = notExecutable || candidate;
+    }
+  }
+  return { found: null, notExecutable };
+}
+
+/**
+ * Find the Agent Backend of the Next Run
+ *
+ * @param {string} projectPath - Project directory
+ * @returns {{backend: Object|null, error: string|null}} Backend selected by
+ *          tasks.json or the default, or why it could not be selected
+ */
+function findAgentBackend(projectPath) {
+  let tasksData = {};
+  try {
+    tasksData = fs.readJsonSync(path.join(projectPath, "tasks", "tasks.json"));
+  } catch {
+    // No readable tasks.json (reported by checkTasksBranch)
+  }
+  try {
+    return {
+      backend: getAgentBackend(tasksData.agentBackend || undefined),
+      error: null,
+    };
+  } catch (error) {
+    return { backend: null, error: error.message };
+  }
+}
+
+/**
+ * Check the Agent Backend's Binary
+ *
+ * @param {Object|null} backend - Selected backend
+ * @param {string|null} backendError - Why no backend could be selected
+ * @returns {Object} Check result
+ */
+function checkAgentBinary(backend, backendError) {
+  if (!backend) {
+    return result(
+      "agent backend",
+      "error",
+      backendError,
+      "Fix agentBackend in tasks/tasks.json or RALPH_AGENT_BACKEND",
+    );
+  }
+  const name = `${backend.binary} binary`;
+  const { found, notExecutable } = findOnPath(backend.binary);
+  if (found) {
+    return result(name, "ok", `${found} (${backend.name} backend)`);
+  }
+  if (notExecutable) {
+    return result(
+      name,
+      "error",
+      `${notExecutable} is not executable`,
+      `chmod +x ${notExecutable}`,
+    );
+  }
+  return result(
+    name,
+    "error",
+    "not found on PATH",
+    backend.name === "cursor"
+      ? "Install it with 'curl https://cursor.com/install -fsS | bash' and make sure its directory is on PATH"
+      : `Install the ${backend.name} CLI and make sure ${backend.binary} is on PATH, or select another backend (agentBackend in tasks.json, RALPH_AGENT_BACKEND)`,
+  );
+}
+
+/**
+ * Check the API Keys
+ *
+ * @param {Object|null} backend - Selected agent backend
+ * @returns {Object[]} Check results
+ */
+function checkApiKeys(backend) {
+  const agentKey = backend?.apiKeyEnv;
+  return [
+    ...(agentKey
+      ? [
+          process.env[agentKey]
+            ? result(agentKey, "ok", "set")
+            : result(
+                agentKey,
+                "error",
+                "not set - agents cannot start",
+                `Add ${agentKey}=... to ${ENV_PATH} or export it in your shell`,
+              ),
+        ]
+      : []),
+    process.env.OPENAI_API_KEY
+      ? result("OPENAI_API_KEY", "ok", "set")
+      : result(
+          "OPENAI_API_KEY",
+          "warning",
+          "not set - create-prd, create-tasks and learn-skills will fail",
+          `Add OPENAI_API_KEY=... to ${ENV_PATH} or export it in your shell`,
+        ),
+  ];
+}
+
+/**
+ * Check the Orchestrator's .env File
+ *
+ * @returns {Object} Check result
+ */
+function checkEnvFile() {
+  if (!ENV_LOAD_ERROR) {
+    return result(".env", "ok", ENV_PATH);
+  }
+  if (ENV_LOAD_ERROR.code === "ENOENT") {
+    return result(
+      ".env",
+      "warning",
+      `${ENV_PATH} not found (using the shell environment only)`,
+      `Create ${ENV_PATH} with CURSOR_API_KEY and OPENAI_API_KEY`,
+    );
+  }
+  return result(
+    ".env",
+    "error",
+    `${ENV_PATH} could not be loaded: ${ENV_LOAD_ERROR.message}`,
+    `Check the file's permissions and KEY=value syntax`,
+  );
+}
+
+/**
+ * Check the Prompt Templates
+ *
+ * @returns {Object} Check result
+ */
+function checkPrompts() {
+  const missing = PROMPT_FILES.filter(
+    (file) => !fs.existsSync(getPromptPath(file)),
+  );
+  if (missing.length === 0) {
+    return result(
+      "prompt templates",
+      "ok",
+      `${PROMPT_FILES.length} found in ${path.dirname(getPromptPath(PROMPT_FILES[0]))}`,
+    );
+  }
+  return result(
+    "prompt templates",
+    "error",
+    `missing: ${missing.join(", ")}`,
+    "Reinstall the orchestrator or restore the files in its prompts/ directory (git checkout -- prompts)",
+  );
+}
+
+/**
+ * Check git and the Working Tree
+ *
+ * @param {string} projectPath - Project directory
+ * @returns {Object[]} Check results
+ */
+function checkGit(projectPath) {
+  const version = run("git --version", projectPath);
+  if (!version) {
+    return [
+      result(
+        "git",
+        "error",
+        "not installed",
+        "Install git (https://git-scm.com/downloads)",
+      ),
+    ];
+  }
+
+  const checks = [result("git", "ok", version)];
+  if (run("git rev-parse --is-inside-work-tree", projectPath) !== "true") {
+    checks.push(
+      result(
+        "working tree",
+        "warning",
+        "not a git repository",
+        "Run 'git init' and commit your project, or let 'ralph dev' initialize it",
+      ),
+    );
+    return checks;
+  }
+
+  // Orchestrator state (tasks/, logs/) changes during every run
+  const changes = run(
+    `git status --porcelain -- ${getProjectPathspec(projectPath)}`,
+    projectPath,
+  );
+  if (changes === null) {
+    checks.push(
+      result(
+        "working tree",
+        "error",
+        "git status failed",
+        "Run 'git status' to see what is wrong with the repository",
+      ),
+    );
+  } else if (changes) {
+    const count = changes.split("\n").length;
+    checks.push(
+      result(
+        "working tree",
+        "error",
+        `${count} uncommitted change${count === 1 ? "" : "s"} (they would end up in the first story's commit)`,
+        "Commit or stash them: git stash --include-untracked",
+      ),
+    );
+  } else {
+    checks.push(result("working tree", "ok", "clean"));
+  }
+  return checks;
+}
+
+/**
+ * Check tasks.json and Its Feature Branch
+ *
+ * @param {string} projectPath - Project directory
+ * @returns {Object} Check result
+ */
+function checkTasksBranch(projectPath) {
+  const tasksPath = path.join(projectPath, "tasks", "tasks.json");
+  if (!fs.existsSync(tasksPath)) {
+    return result(
+      "tasks.json branch",
+      "warning",
+      "tasks/tasks.json not found",
+      "Run 'ralph create-tasks' (or 'ralph quick') to generate it",
+    );
+  }
+
+  let tasksData;
+  try {
+    tasksData = JSON.parse(fs.readFileSync(tasksPath, "utf8"));
+  } catch (error) {
+    return result(
+      "tasks.json branch",
+      "error",
+      `tasks/tasks.json is not valid JSON: ${error.message}`,
+      "Run 'ralph repair-tasks' to rebuild it from its journal, or regenerate it with 'ralph create-tasks'",
+    );
+  }
+
+  const branch = tasksData.branchName;
+  if (!branch) {
+    return result(
+      "tasks.json branch",
+      "error",
+      "branchName is missing",
+      'Add "branchName": "feature/<name>" to tasks/tasks.json or regenerate it',
+    );
+  }
+  const validBranch = run(
+    `git check-ref-format --branch ${JSON.stringify(branch)}`,
+    projectPath,
+  );
+  if (validBranch === null) {
+    return result(
+      "tasks.json branch",
+      "error",
+      `'${branch}' is not a valid branch name`,
+      "Use letters, digits, '-', '_' and '/' only (e.g. feature/user-auth)",
+    );
+  }
+  return result("tasks.json branch", "ok", branch);
+}
+
+/**
+ * Check the Skills Directory
+ *
+ * @returns {Object} Check result
+ */
+function checkSkills() {
+  if (!fs.existsSync(SKILLS_DIR)) {
+    return result(
+      ".cursor/skills",
+      "warning",
+      "not found - agents run without project skills",
+      "Run 'ralph learn-skills' after a run, or create .cursor/skills/",
+    );
+  }
+  try {
+    fs.accessSync(SKILLS_DIR, fs.constants.R_OK | fs.constants.X_OK);
+    const skills = fs.readdirSync(SKILLS_DIR);
+    return result(
+      ".cursor/skills",
+      "ok",
+      `${skills.length} entr${skills.length === 1 ? "y" : "ies"}`,
+    );
+  } catch (error) {
+    return result(
+      ".cursor/skills",
+      "error",
+      `not readable: ${error.message}`,
+      `chmod -R u+rX ${SKILLS_DIR}`,
+    );
+  }
+}
+
+/**
+ * Check the Project Lock
+ *
+ * @returns {Object} Check result
+ */
+function checkProjectLock() {
+  const holder = readProjectLock();
+  if (!holder) {
+    return result("project lock", "ok", "free");
+  }
+  if (isLockStale(holder)) {
+    return result(
+      "project lock",
+      "warning",
+      "stale lock from a run that is no longer running (replaced on the next run)",
+      "Run 'ralph unlock' to remove it now",
+    );
+  }
+  return result(
+    "project lock",
+    "error",
+    `held by ${describeLockHolder(holder)}`,
+    "Wait for that run to finish, or run 'ralph unlock' if it is no longer running",
+  );
+}
+
+/**
+ * Run All Pre-Flight Checks
+ *
+ * @param {string} projectPath - Project directory
+ * @returns {Object[]} Check results ({ name, level, detail, hint }) in display order
+ */
+export function runDoctorChecks(projectPath) {
+  const { backend, error } = findAgentBackend(projectPath);
+  return [
+    checkAgentBinary(backend, error),
+    ...checkApiKeys(backend),
+    checkEnvFile(),
+    checkPrompts(),
+    ...checkGit(projectPath),
+    checkTasksBranch(projectPath),
+    checkSkills(),
+    checkProjectLock(),
+  ];
+}
+
+/**
+ * Doctor Action - Check the environment before a run
+ *
+ * Prints every check with its fix-it hint and sets a non-zero exit code when a
+ * check fails.
+ *
+ * @param {string} projectPath - Project directory
+ * @returns {Promise<boolean>} True if no check failed (warnings allowed)
+ */
+export async function actionDoctor(projectPath) {
+  console.log(format("orchestrator", "Checking the environment...\n"));
+
+  const checks = runDoctorChecks(projectPath);
+  for (const check of checks) {
+    const icon = { ok: "✓", warning: "!", error: "✗" }[check.level];
+    const kind = { ok: "git_ok", warning: "warning", error: "error" }[
+      check.level
+    ];
+    console.log(
+      format(
+        kind,
+        `${icon} ${check.name}${check.detail ? `: ${check.detail}` : ""}`,
+      ),
+    );
+    if (check.hint) {
+      console.log(format("task", `    → ${check.hint}`));
+    }
+  }
+
+  const errors = checks.filter((check) => check.level === "error").length;
+  const warnings = checks.filter((check) => check.level === "warning").length;
+  console.log("");
+  if (errors > 0) {
+    console.log(
+      format(
+        "error",
+        `✗ ${errors} problem${errors === 1 ? "" : "s"} would stop a run${warnings ? `, ${warnings} warning${warnings === 1 ? "" : "s"}` : ""}`,
+      ),
+    );
+    process.exitCode = 1;
+    return false;
+  }
+  console.log(
+    format(
+      "git_ok",
+      `✓ Ready to run${warnings ? ` (${warnings} warning${warnings === 1 ? "" : "s"})` : ""}`,
+    ),
+  );
+  return true;
+}
@@ -24,6 +24,31 @@
 import fs from "fs-extra";
 import path from "path";
 import { SCRIPT_DIR } from "./config.mjs";
+import { writeTasksFile } from "./tasks-store.mjs";
+
+/**
+ * Prompt Templates Loaded via loadPrompt()
+ *
+ * Checked by `ralph doctor` so a broken installation is caught before a run.
+ */
+export const PROMPT_FILES = [
+  "clarification-system.md",
+  "context-handoff.md",
+  "log-analysis.md",
+  "prd-generation.md",
+  "ralph-loop.md",
+  "task-breakdown-system.md",
+];
+
+/**
+ * Get the Path of a Prompt Template
+ *
+ * @param {string} filename - Name of the prompt file (e.g., "prd-generation.md")
+ * @returns {string} Absolute path under the orchestrator's prompts/ directory
+ */
+export function getPromptPath(filename) {
+  return path.join(path.dirname(SCRIPT_DIR), "prompts", filename);
+}
 
 /**
  * Load System Prompt from Orchestrator Assets
@@ -43,8 +68,7 @@ import { SCRIPT_DIR } from "./config.mjs";
  * @throws {Error} If the prompt file cannot be read
  */
 export async function loadPrompt(filename) {
-  const promptPath = path.join(path.dirname(SCRIPT_DIR), "prompts", filename);
-  return await fs.readFile(promptPath, "utf8");
+  return await fs.readFile(getPromptPath(filename), "utf8");
 }
 
 /**
@@ -135,6 +159,8 @@ export async function selectExistingTasksFile() {
  *   - priority: Task priority level
  *   - dependencies: Array of dependent task IDs
  *   - suggested_role: Recommended agent type for execution
+ *   - status: Explicit story state ("pending", "in_progress", "done", ...)
+ *   - transitions: History of status changes
  *   - passes: Boolean completion status
  *   - notes: Additional task notes
  *   - completed: Boolean completion flag
@@ -170,6 +196,8 @@ export async function generateTaskFiles(tasks, branchName = null) {
       priority: task.priority,                    // Task priority level
       dependencies: task.dependencies,            // Dependent task IDs
       suggested_role: task.suggested_role,        // Recommended agent type
+      status: "pending",                          // Story state (see story-state.mjs)
+      transitions: [],                            // Status change history
       passes: false,                              // Completion status (initially false)
       notes: "",                                  // Additional notes (initially empty)
       completed: false,                           // Completion flag (initially false)
@@ -182,7 +210,7 @@ export async function generateTaskFiles(tasks, branchName = null) {
 
   // Write the structured tasks data to JSON file with pretty formatting
   const tasksJsonPath = path.join(tasksDir, "tasks.json");
-  await fs.writeFile(tasksJsonPath, JSON.stringify(tasksData, null, 2));  // 2-space indentation
+  await writeTasksFile(tasksJsonPath, tasksData);  // Journaled, atomic, 2-space indentation
 
   console.log(`✓ Generated tasks.json with ${tasks.length} tasks`);
 
@@ -0,0 +1,240 @@
+/**
+ * Feature Branch Setup
+ *
+ * This module decides where the feature branch from tasks.json comes from and
+ * checks it out before development starts. Repositories do not all use "main":
+ * the base branch is detected, and can be overridden per run.
+ *
+ * Base Branch Resolution (first match wins):
+ * 1. `--base <branch>` CLI option
+ * 2. BASE_BRANCH in config.mjs
+ * 3. Remote default: `git symbolic-ref refs/remotes/origin/HEAD`
+ * 4. Local default: `init.defaultBranch` if that branch exists
+ * 5. The first existing branch of main, master, develop
+ * 6. The currently checked out branch
+ *
+ * Branch Strategies:
+ * - New feature branch: created from the base branch (default) or from the
+ *   current HEAD (`--from-head`)
+ * - Existing feature branch: checked out as-is, or rebased onto the base branch
+ *   before resuming (`--rebase`)
+ */
+
+import { execSync } from "child_process";
+import fs from "fs-extra";
+import path from "path";
+import { BASE_BRANCH } from "./config.mjs";
+
+/**
+ * Run a Read-Only Git Query
+ *
+ * @param {string} command - Git command to run
+ * @param {string} cwd - Repository working directory
+ * @returns {string|null} Trimmed output, or null if the command failed
+ */
+function gitQuery(command, cwd) {
+  try {
+    return execSync(command, {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check if a Local Branch Exists
+ *
+ * @param {string} projectPath - Repository working directory
+ * @param {string} branch - Branch name
+ * @returns {boolean} True if refs/heads/<branch> exists
+ */
+export function branchExists(projectPath, branch) {
+  return (
+    gitQuery(`git rev-parse --verify refs/heads/${branch}`, projectPath) !==
+    null
+  );
+}
+
+/**
+ * Keep Orchestrator Files out of Commits
+ *
+ * Adds the files to .git/info/exclude, which (unlike .gitignore) changes no
+ * tracked file. Story commits leave tasks/ out, but users commit with
+ * `git add -A` too, so local state such as the project lock must be excluded
+ * before the first commit.
+ *
+ * @param {string} projectPath - Repository working directory
+ * @param {string[]} filePaths - Absolute paths inside the repository
+ * @returns {boolean} True if the files are excluded, false outside a repository
+ */
+export function excludeFromGit(projectPath, filePaths) {
+  const gitPath = gitQuery("git rev-parse --git-path info/exclude", projectPath);
+  if (!gitPath) {
+    return false;
+  }
+  const excludePath = path.resolve(projectPath, gitPath);
+  const existing = fs.existsSync(excludePath)
+    ? fs.readFileSync(excludePath, "utf8")
+    : "";
+  const lines = existing.split("\n");
+  const missing = filePaths
+    .map((file) => path.relative(projectPath, file).split(path.sep).join("/"))
+    .map((file) => `/${file}`)
+    .filter((entry) => !lines.includes(entry));
+  if (missing.length > 0) {
+    const separator = existing && !existing.endsWith("\n") ? "\n" : "";
+    fs.outputFileSync(
+      excludePath,
+      `${existing}${separator}${missing.join("\n")}\n`,
+    );
+  }
+  return true;
+}
+
+/**
+ * Detect the Repository's Base Branch
+ *
+ * @param {string} projectPath - Repository working directory
+ * @param {string|null} override - Explicit base branch (from --base)
+ * @returns {string|null} Base branch name, or null if it cannot be determined
+ */
+export function detectBaseBranch(projectPath, override = null) {
+  if (override || BASE_BRANCH) {
+    return override || BASE_BRANCH;
+  }
+
+  const remoteHead = gitQuery(
+    "git symbolic-ref --short refs/remotes/origin/HEAD",
+    projectPath,
+  );
+  if (remoteHead) {
+    return remoteHead.replace(/^origin\//, "");
+  }
+
+  const localDefault = gitQuery("git config init.defaultBranch", projectPath);
+  if (localDefault && branchExists(projectPath, localDefault)) {
+    return localDefault;
+  }
+
+  const common = ["main", "master", "develop"].find((branch) =>
+    branchExists(projectPath, branch),
+  );
+  if (common) {
+    return common;
+  }
+
+  return gitQuery("git symbolic-ref --short HEAD", projectPath);
+}
+
+/**
+ * Resolve the Ref to Branch From or Rebase Onto
+ *
+ * Prefers the local base branch and falls back to its remote-tracking branch
+ * (fresh clones often only have origin/<base> for non-default branches).
+ *
+ * @param {string} projectPath - Repository working directory
+ * @param {string} baseBranch - Base branch name
+ * @returns {string} Ref usable as a start point
+ */
+function resolveBaseRef(projectPath, baseBranch) {
+  if (branchExists(projectPath, baseBranch)) {
+    return baseBranch;
+  }
+  if (
+    gitQuery(
+      `git rev-parse --verify refs/remotes/origin/${baseBranch}`,
+      projectPath,
+    ) !== null
+  ) {
+    return `origin/${baseBranch}`;
+  }
+  throw new Error(`Base branch '${baseBranch}' does not exist`);
+}
+
+/**
+ * Describe the Branch Setup without Performing It
+ *
+ * Used by dry runs; only queries git.
+ *
+ * @param {string} projectPath - Repository working directory
+ * @param {string} featureBranch - Feature branch from tasks.json
+ * @param {Object} options - Branch options ({ base, fromHead, rebase })
+ * @returns {string} Human-readable description of what would happen
+ */
+export function describeBranchSetup(projectPath, featureBranch, options = {}) {
+  const baseBranch = detectBaseBranch(projectPath, options.base);
+  if (branchExists(projectPath, featureBranch)) {
+    return options.rebase
+      ? `check out existing, rebase onto ${baseBranch}`
+      : "check out existing";
+  }
+  return options.fromHead
+    ? "create from current HEAD"
+    : `create from ${baseBranch}`;
+}
+
+/**
+ * Check Out the Feature Branch
+ *
+ * Creates the feature branch if needed (from the base branch or the current
+ * HEAD), otherwise switches to it and optionally rebases it onto the base
+ * branch. A failed rebase is aborted so the branch is left as it was.
+ *
+ * @param {string} projectPath - Repository working directory
+ * @param {string} featureBranch - Feature branch from tasks.json
+ * @param {Object} options - Branch options
+ * @param {string} [options.base] - Base branch override
+ * @param {boolean} [options.fromHead] - Create the branch from the current HEAD
+ * @param {boolean} [options.rebase] - Rebase an existing branch onto the base
+ * @returns {{created: boolean, baseBranch: string|null, rebased: boolean}} What was done
+ * @throws {Error} When checkout, creation or rebase fails
+ */
+export function prepareFeatureBranch(projectPath, featureBranch, options = {}) {
+  const baseBranch = detectBaseBranch(projectPath, options.base);
+
+  if (branchExists(projectPath, featureBranch)) {
+    execSync(`git checkout ${featureBranch}`, {
+      cwd: projectPath,
+      stdio: "ignore",
+    });
+
+    if (!options.rebase) {
+      return { created: false, baseBranch, rebased: false };
+    }
+
+    const baseRef = resolveBaseRef(projectPath, baseBranch);
+    try {
+      // --autostash keeps orchestrator edits (tasks.json) across the rebase
+      execSync(`git rebase --autostash ${baseRef}`, {
+        cwd: projectPath,
+        stdio: "ignore",
+      });
+    } catch (error) {
+      try {
+        execSync("git rebase --abort", { cwd: projectPath, stdio: "ignore" });
+      } catch {
+        // Rebase never started
+      }
+      throw new Error(
+        `Rebase of ${featureBranch} onto ${baseRef} failed (aborted): ${error.message}`,
+      );
+    }
+    return { created: false, baseBranch, rebased: true };
+  }
+
+  // A repository without commits has nothing to branch from but HEAD
+  const hasCommits = gitQuery("git rev-parse --verify HEAD", projectPath);
+  if (options.fromHead || !baseBranch || !hasCommits) {
+    execSync(`git checkout -b ${featureBranch}`, { cwd: projectPath });
+    return { created: true, baseBranch: null, rebased: false };
+  }
+
+  const baseRef = resolveBaseRef(projectPath, baseBranch);
+  execSync(`git checkout --no-track -b ${featureBranch} ${baseRef}`, {
+    cwd: projectPath,
+  });
+  return { created: true, baseBranch, rebased: false };
+}
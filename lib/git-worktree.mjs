@@ -0,0 +1,270 @@
+/**
+ * Git Worktree Management for Parallel Story Execution
+ *
+ * This module isolates user stories that run in parallel. Each story gets its
+ * own `git worktree` checked out on a dedicated sub-branch of the feature branch,
+ * so agents working on independent stories never see each other's half-finished
+ * edits. When a story completes, its sub-branch is merged back into the feature
+ * branch and the worktree is removed.
+ *
+ * Worktree Layout:
+ * - Location: <git-common-dir>/ralph-worktrees/<story-id>
+ *   (inside .git so the main working tree never picks them up with `git add -A`)
+ * - Branch: <feature-branch>-<story-id> (e.g. "feature/auth-us-003")
+ *
+ * Orchestrator Files:
+ * The agent reads tasks/next_task.md and tasks/progress.txt relative to its
+ * working directory, so per-story copies are written into each worktree. They
+ * are restored before the story commit, and story commits and merges leave
+ * tasks/ and logs/ out (getProjectPathspec()), so sub-branches never carry
+ * orchestrator state back into the feature branch.
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { execSync } from "child_process";
+import { getProjectPathspec } from "./story-rollback.mjs";
+
+/**
+ * Get the Sub-Branch Name for a Story
+ *
+ * Uses a suffix rather than a nested ref ("feature/x/US-001") because git cannot
+ * create refs beneath an existing branch name.
+ *
+ * @param {string} featureBranch - Feature branch from tasks.json
+ * @param {string} storyId - User story ID (e.g. "US-003")
+ * @returns {string} Story branch name
+ */
+export function getStoryBranchName(featureBranch, storyId) {
+  return `${featureBranch}-${storyId.toLowerCase()}`;
+}
+
+/**
+ * Resolve the Worktree Directory for a Story
+ *
+ * @param {string} projectPath - Absolute path to the main working tree
+ * @param {string} storyId - User story ID
+ * @returns {string} Absolute worktree path
+ */
+function getStoryWorktreePath(projectPath, storyId) {
+  const commonDir = execSync("git rev-parse --git-common-dir", {
+    cwd: projectPath,
+    encoding: "utf8",
+  }).trim();
+  return path.join(
+    path.resolve(projectPath, commonDir),
+    "ralph-worktrees",
+    storyId,
+  );
+}
+
+/**
+ * Check whether a Path is a Registered Worktree
+ *
+ * @param {string} projectPath - Absolute path to the main working tree
+ * @param {string} worktreePath - Worktree path to look for
+ * @returns {boolean} True if git knows about the worktree
+ */
+function isRegisteredWorktree(projectPath, worktreePath) {
+  const list = execSync("git worktree list --porcelain", {
+    cwd: projectPath,
+    encoding: "utf8",
+  });
+  return list.split("\n").some((line) => line === `worktree ${worktreePath}`);
+}
+
+/**
+ * Create (or Reuse) a Worktree for a Story
+ *
+ * Reuses an existing worktree left behind by an interrupted run so partial work
+ * is not discarded. Otherwise checks out the story branch (creating it from the
+ * current feature branch tip if needed) into a fresh worktree.
+ *
+ * @param {string} projectPath - Absolute path to the main working tree
+ * @param {string} featureBranch - Feature branch the story branches from
+ * @param {string} storyId - User story ID
+ * @returns {{worktreePath: string, branch: string, reused: boolean}} Worktree details
+ */
+export function createStoryWorktree(projectPath, featureBranch, storyId) {
+  const branch = getStoryBranchName(featureBranch, storyId);
+  const worktreePath = getStoryWorktreePath(projectPath, storyId);
+
+  if (
+    fs.existsSync(worktreePath) &&
+    isRegisteredWorktree(projectPath, worktreePath)
+  ) {
+    return { worktreePath, branch, reused: true };
+  }
+
+  // Drop stale registrations whose directories were deleted by hand
+  execSync("git worktree prune", { cwd: projectPath, stdio: "ignore" });
+  fs.removeSync(worktreePath);
+  fs.ensureDirSync(path.dirname(worktreePath));
+
+  let branchExists = false;
+  try {
+    execSync(`git rev-parse --verify refs/heads/${branch}`, {
+      cwd: projectPath,
+      stdio: "ignore",
+    });
+    branchExists = true;
+  } catch {
+    // Branch does not exist
+  }
+
+  const command = branchExists
+    ? `git worktree add ${JSON.stringify(worktreePath)} ${branch}`
+    : `git worktree add -b ${branch} ${JSON.stringify(worktreePath)} ${featureBranch}`;
+  execSync(command, { cwd: projectPath, stdio: "ignore" });
+
+  return { worktreePath, branch, reused: false };
+}
+
+/**
+ * Restore Orchestrator Files in a Worktree
+ *
+ * Puts tracked files back to their committed version and deletes untracked ones,
+ * so the story commit only contains the agent's project changes.
+ *
+ * @param {string} worktreePath - Absolute worktree path
+ * @param {string[]} relativePaths - Paths relative to the worktree root
+ */
+export function restoreOrchestratorFiles(worktreePath, relativePaths) {
+  for (const relativePath of relativePaths) {
+    let tracked = false;
+    try {
+      execSync(`git ls-files --error-unmatch ${JSON.stringify(relativePath)}`, {
+        cwd: worktreePath,
+        stdio: "ignore",
+      });
+      tracked = true;
+    } catch {
+      // Not tracked in this branch
+    }
+
+    if (tracked) {
+      execSync(`git checkout HEAD -- ${JSON.stringify(relativePath)}`, {
+        cwd: worktreePath,
+        stdio: "ignore",
+      });
+    } else {
+      fs.removeSync(path.join(worktreePath, relativePath));
+    }
+  }
+}
+
+/**
+ * Commit the Story's Changes in a Story Worktree
+ *
+ * Everything but orchestrator state (tasks/, logs/) is committed.
+ *
+ * @param {string} worktreePath - Absolute worktree path
+ * @param {string} message - Commit message
+ * @returns {boolean} True if a commit was created, false if there was nothing to commit
+ */
+export function commitStoryWorktree(worktreePath, message) {
+  const pathspec = getProjectPathspec(worktreePath);
+  const status = execSync(`git status --porcelain -- ${pathspec}`, {
+    cwd: worktreePath,
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "ignore"],
+  });
+  if (!status.trim()) {
+    return false;
+  }
+
+  execSync(`git add -A -- ${pathspec}`, { cwd: worktreePath, stdio: "ignore" });
+  // Use JSON.stringify to safely escape special characters in commit message
+  execSync(`git commit -m ${JSON.stringify(message)}`, {
+    cwd: worktreePath,
+    stdio: "ignore",
+  });
+  return true;
+}
+
+/**
+ * Merge a Story Branch into the Feature Branch
+ *
+ * Runs in the main working tree, which must have the feature branch checked out.
+ * Other changes in the main working tree outside tasks/ and logs/ are included
+ * in the merge commit; orchestrator state (tasks.json, progress.txt) is not.
+ * All git calls are synchronous so merges from concurrently finishing stories
+ * never interleave.
+ *
+ * @param {string} projectPath - Absolute path to the main working tree
+ * @param {string} branch - Story branch to merge
+ * @param {string} message - Merge commit message
+ * @returns {{merged: boolean, error?: string}} Merge outcome; conflicts are aborted
+ */
+export function mergeStoryBranch(projectPath, branch, message) {
+  try {
+    execSync(`git merge --no-ff --no-commit ${branch}`, {
+      cwd: projectPath,
+      stdio: "ignore",
+    });
+    execSync(`git add -A -- ${getProjectPathspec(projectPath)}`, {
+      cwd: projectPath,
+      stdio: "ignore",
+    });
+
+    // "Already up to date" leaves no MERGE_HEAD; only commit if something is staged
+    const staged = execSync("git diff --cached --name-only", {
+      cwd: projectPath,
+      encoding: "utf8",
+    });
+    let mergeInProgress = true;
+    try {
+      execSync("git rev-parse -q --verify MERGE_HEAD", {
+        cwd: projectPath,
+        stdio: "ignore",
+      });
+    } catch {
+      mergeInProgress = false;
+    }
+
+    if (mergeInProgress || staged.trim()) {
+      execSync(`git commit -m ${JSON.stringify(message)}`, {
+        cwd: projectPath,
+        stdio: "ignore",
+      });
+    }
+    return { merged: true };
+  } catch (error) {
+    try {
+      execSync("git merge --abort", { cwd: projectPath, stdio: "ignore" });
+    } catch {
+      // No merge in progress (e.g. the merge itself refused to start)
+    }
+    return { merged: false, error: error.message };
+  }
+}
+
+/**
+ * Remove a Story Worktree
+ *
+ * @param {string} projectPath - Absolute path to the main working tree
+ * @param {string} worktreePath - Worktree to remove
+ * @param {string|null} branch - Story branch to delete (null keeps the branch for inspection)
+ */
+export function removeStoryWorktree(projectPath, worktreePath, branch = null) {
+  try {
+    execSync(`git worktree remove --force ${JSON.stringify(worktreePath)}`, {
+      cwd: projectPath,
+      stdio: "ignore",
+    });
+  } catch {
+    fs.removeSync(worktreePath);
+    execSync("git worktree prune", { cwd: projectPath, stdio: "ignore" });
+  }
+
+  if (branch) {
+    try {
+      execSync(`git branch -D ${branch}`, {
+        cwd: projectPath,
+        stdio: "ignore",
+      });
+    } catch {
+      // Branch already gone
+    }
+  }
+}
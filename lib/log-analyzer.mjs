@@ -335,9 +335,11 @@ function analyzeLogData(logEntries, fileName) {
     (e) => e.message?.includes("Iteration") && e.message?.includes("complete"),
   ).length;
 
-  const toolCalls = logEntries.filter(
-    (e) => e.message?.includes("TOOL:") || e.level === "tool_call",
-  ).length;
+  // Every tool call has a tool_call entry; older logs only have "TOOL:" lines
+  const toolCallEntries = logEntries.filter((e) => e.level === "tool_call");
+  const toolCalls = toolCallEntries.length
+    ? toolCallEntries.length
+    : logEntries.filter((e) => e.message?.includes("TOOL:")).length;
 
   const errors = logEntries.filter(
     (e) =>
@@ -19,6 +19,7 @@
  * - countUncheckedCheckboxes(): Parse task completion from markdown
  * - updateProgressWithTaskCompletion(): Update progress file on task completion
  * - createActivityLogger(): Create per-task loggers with structured output
+ * - getActivityLogPath(): Where a task's activity log is written this run
  *
  * This dual logging approach enables both human monitoring during execution
  * and detailed analysis of the development workflow afterward.
@@ -78,17 +79,18 @@ export function countUncheckedCheckboxes(text) {
  * @param {string|number} taskId - Unique identifier for the completed task
  * @param {string} description - Human-readable task description
  * @param {string} output - Full output/result of task execution
+ * @param {string} [progressPath] - Progress file of the run's workstream (default: PROGRESS_PATH)
  * @returns {Promise<void>} Resolves when progress file is updated
  */
-export async function updateProgressWithTaskCompletion(taskId, description, output) {
+export async function updateProgressWithTaskCompletion(taskId, description, output, progressPath = PROGRESS_PATH) {
   // Progress file is created in the project directory (tasks/progress.txt)
   // This keeps progress tracking with the project being developed
-  await fs.ensureFile(PROGRESS_PATH);
+  await fs.ensureFile(progressPath);
 
   // Read existing progress content, handle empty/non-existent files gracefully
   let progressContent = "";
   try {
-    progressContent = await fs.readFile(PROGRESS_PATH, "utf8");
+    progressContent = await fs.readFile(progressPath, "utf8");
   } catch (e) {
     // File doesn't exist or is empty - that's fine, we'll create new content
   }
@@ -112,7 +114,7 @@ export async function updateProgressWithTaskCompletion(taskId, description, outp
       taskEntryRegex,
       updatedEntry,
     );
-    await fs.writeFile(PROGRESS_PATH, updatedContent, "utf8");
+    await fs.writeFile(progressPath, updatedContent, "utf8");
 
   } else {
     // No existing entry found - create new completion entry
@@ -120,10 +122,21 @@ export async function updateProgressWithTaskCompletion(taskId, description, outp
     const timestamp = new Date().toISOString();
     const outputSummary = output.substring(0, 200).replace(/\n/g, " ");
     const newEntry = `\n## ${timestamp} - Task ${taskId}\n- ✅ Completed: ${description.substring(0, 80)}\n- Summary: ${outputSummary}...\n---\n`;
-    await fs.appendFile(PROGRESS_PATH, newEntry, "utf8");
+    await fs.appendFile(progressPath, newEntry, "utf8");
   }
 }
 
+/**
+ * Get the Activity Log Path for a Task
+ *
+ * @param {string|number} taskId - Unique identifier for the task being logged
+ * @param {string} role - Role/type of agent performing the task
+ * @returns {string} logs/task-{taskId}-{role}-{runId}.jsonl in the project directory
+ */
+export function getActivityLogPath(taskId, role) {
+  return path.join(LOG_DIR, `task-${taskId}-${role}-${RUN_ID}.jsonl`);
+}
+
 /**
  * Create Structured Activity Logger for Task Execution
  *
@@ -151,7 +164,7 @@ export async function updateProgressWithTaskCompletion(taskId, description, outp
 export async function createActivityLogger(taskId, role) {
   // Logs are created in the project directory (logs/), not the orchestrator directory
   // This keeps detailed execution logs with the project for debugging and analysis
-  const logFile = path.join(LOG_DIR, `task-${taskId}-${role}-${RUN_ID}.jsonl`);
+  const logFile = getActivityLogPath(taskId, role);
 
   // Check if logs directory exists, create informative message if creating
   try {
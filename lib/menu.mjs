@@ -113,6 +113,13 @@ export async function showMainMenu() {
         description: "Generate combined recommendations from log-analysis files",
       },
 
+      // Doctor Option - Pre-flight environment check before a run
+      {
+        title: "Doctor (check environment)",
+        value: "doctor",
+        description: "Check cursor-agent, API keys, git and tasks.json before a run",
+      },
+
       // Exit option - Gracefully terminate the orchestrator session
       {
         title: "Exit",
@@ -0,0 +1,271 @@
+/**
+ * Project Lock
+ *
+ * Nothing else stops two terminals from running `ralph dev` in the same
+ * project, after which both rewrite tasks/tasks.json, next_task.md and
+ * progress.txt and fight over git checkouts. Every state-mutating command takes
+ * this lock first.
+ *
+ * Lock File (tasks/ralph.lock):
+ * { pid, host, command, started_at }
+ *
+ * Behavior:
+ * - The lock is created atomically (written to a temporary file, then linked
+ *   into place, so it is never seen empty); a second run fails with
+ *   ProjectLockedError naming the holder
+ * - A stale lock (holder process no longer running on this host, or an
+ *   unreadable lock file) is replaced with a warning, after checking that no
+ *   other run replaced it in the meantime
+ * - The lock is removed when the command finishes, and on process exit
+ *   (including a forced second Ctrl+C)
+ * - `ralph unlock` removes a lock left behind, e.g. by a run on another host
+ *   whose liveness cannot be checked from here
+ * - The lock file is added to .git/info/exclude so `git add -A` never commits it
+ */
+
+import fs from "fs-extra";
+import os from "os";
+import path from "path";
+import { LOCK_PATH } from "./config.mjs";
+import { excludeFromGit } from "./git-branch.mjs";
+import { format } from "./log-format.mjs";
+
+/**
+ * Project Locked Error Class
+ *
+ * Thrown by acquireProjectLock() when another live Ralph process holds the lock.
+ */
+export class ProjectLockedError extends Error {
+  constructor(holder) {
+    super(
+      `Another Ralph run holds the project lock: ${describeLockHolder(holder)}. ` +
+        `Wait for it to finish, or run 'ralph unlock' if it is no longer running.`,
+    );
+    this.name = "ProjectLockedError";
+    this.holder = holder;
+  }
+}
+
+/**
+ * Describe a Lock Holder for Messages
+ *
+ * @param {Object} holder - Lock file contents
+ * @returns {string} e.g. "'ralph dev' (PID 1234 on build-box, since 10:02:11 PM)"
+ */
+export function describeLockHolder(holder) {
+  const since = holder.started_at
+    ? new Date(holder.started_at).toLocaleString()
+    : "unknown time";
+  return `'${holder.command || "unknown command"}' (PID ${holder.pid} on ${holder.host}, since ${since})`;
+}
+
+/**
+ * Read the Lock File
+ *
+ * @returns {Object|null} Lock contents, { unreadable: true } for a corrupt lock,
+ *          or null if there is no lock
+ */
+export function readProjectLock() {
+  let content;
+  try {
+    content = fs.readFileSync(LOCK_PATH, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+  try {
+    return JSON.parse(content);
+  } catch {
+    return { unreadable: true };
+  }
+}
+
+/**
+ * Check if a Lock Is Stale
+ *
+ * Liveness can only be checked for processes on this host; locks held on other
+ * hosts (shared network directories) count as live.
+ *
+ * @param {Object} holder - Lock file contents
+ * @returns {boolean} True if the holding process is gone
+ */
+export function isLockStale(holder) {
+  if (holder.unreadable || !Number.isInteger(holder.pid)) {
+    return true;
+  }
+  if (holder.host !== os.hostname()) {
+    return false;
+  }
+  try {
+    process.kill(holder.pid, 0); // Signal 0: existence check only
+    return false;
+  } catch (error) {
+    return error.code === "ESRCH"; // EPERM: alive, owned by another user
+  }
+}
+
+/**
+ * Check if a Lock File Still Holds the Same Lock
+ *
+ * @param {Object|null} current - Lock contents read now
+ * @param {Object} holder - Lock contents read earlier
+ * @returns {boolean} True if the lock was not released or replaced in between
+ */
+function isSameLock(current, holder) {
+  if (!current || Boolean(current.unreadable) !== Boolean(holder.unreadable)) {
+    return false;
+  }
+  return (
+    current.unreadable ||
+    (current.pid === holder.pid &&
+      current.host === holder.host &&
+      current.started_at === holder.started_at)
+  );
+}
+
+/**
+ * Keep the Lock File out of Commits
+ *
+ * Adds the lock file to .git/info/exclude (no tracked files change). Call again
+ * after `git init` in a project that was not a repository yet.
+ *
+ * @param {string} projectPath - Project directory
+ */
+export function excludeLockFromGit(projectPath) {
+  excludeFromGit(projectPath, [LOCK_PATH]);
+}
+
+/**
+ * Acquire the Project Lock
+ *
+ * @param {string} projectPath - Project directory
+ * @param {string} command - Command taking the lock (recorded for other runs)
+ * @returns {{release: Function}} Handle; release() removes the lock if it is still ours
+ * @throws {ProjectLockedError} If another live Ralph process holds the lock
+ */
+export function acquireProjectLock(projectPath, command) {
+  const lock = {
+    pid: process.pid,
+    host: os.hostname(),
+    command,
+    started_at: new Date().toISOString(),
+  };
+  fs.ensureDirSync(path.dirname(LOCK_PATH));
+
+  // Written in full under a temporary name and then linked into place, so
+  // another run never reads a lock that is created but still empty
+  const tempPath = `${LOCK_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(lock, null, 2));
+  try {
+    for (;;) {
+      try {
+        fs.linkSync(tempPath, LOCK_PATH); // Fails if the lock exists
+        break;
+      } catch (error) {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+      }
+
+      const holder = readProjectLock();
+      if (!holder) {
+        continue; // Released in the meantime
+      }
+      if (!isLockStale(holder)) {
+        throw new ProjectLockedError(holder);
+      }
+      if (!isSameLock(readProjectLock(), holder)) {
+        continue; // Replaced in the meantime by another run
+      }
+      console.log(
+        format(
+          "warning",
+          holder.unreadable
+            ? "Replacing unreadable project lock"
+            : `Replacing stale project lock from ${describeLockHolder(holder)}`,
+        ),
+      );
+      fs.removeSync(LOCK_PATH);
+    }
+  } finally {
+    fs.removeSync(tempPath);
+  }
+  excludeLockFromGit(projectPath);
+
+  const release = () => {
+    process.off("exit", release);
+    const holder = readProjectLock();
+    if (holder?.pid === lock.pid && holder.host === lock.host) {
+      fs.removeSync(LOCK_PATH);
+    }
+  };
+  // process.exit() (e.g. a forced second Ctrl+C) skips finally blocks
+  process.on("exit", release);
+
+  return { release };
+}
+
+/**
+ * Run a Command while Holding the Project Lock
+ *
+ * @param {string} projectPath - Project directory
+ * @param {string} command - Command taking the lock (recorded for other runs)
+ * @param {Function} fn - Async work to run under the lock
+ * @returns {Promise<*>} Result of fn
+ * @throws {ProjectLockedError} If another live Ralph process holds the lock
+ */
+export async function withProjectLock(projectPath, command, fn) {
+  const lock = acquireProjectLock(projectPath, command);
+  try {
+    return await fn();
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * Unlock Action - Remove a lock left behind by a crashed or remote run
+ *
+ * Refuses to remove a lock whose holder is still running on this host unless
+ * forced.
+ *
+ * @param {Object} [options] - Unlock options
+ * @param {boolean} [options.force] - Remove the lock even if its holder is running
+ * @returns {Promise<boolean>} True if no lock remains
+ */
+export async function actionUnlock(options = {}) {
+  const holder = readProjectLock();
+  if (!holder) {
+    console.log(format("git_ok", "✓ No project lock - nothing to do"));
+    return true;
+  }
+
+  if (!holder.unreadable) {
+    console.log(format("task", `Lock held by ${describeLockHolder(holder)}`));
+  }
+  const live = !isLockStale(holder);
+  if (live && holder.host === os.hostname() && !options.force) {
+    console.error(
+      format(
+        "error",
+        `✗ PID ${holder.pid} is still running - stop it first, or use 'ralph unlock --force'`,
+      ),
+    );
+    process.exitCode = 1;
+    return false;
+  }
+  if (live && holder.host !== os.hostname()) {
+    console.log(
+      format(
+        "warning",
+        `Lock was taken on ${holder.host}; make sure that run has ended`,
+      ),
+    );
+  }
+
+  fs.removeSync(LOCK_PATH);
+  console.log(format("git_ok", `✓ Removed ${LOCK_PATH}`));
+  return true;
+}
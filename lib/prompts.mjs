@@ -8,6 +8,7 @@
  * Key Functions:
  * - getMultiLineInput(): Collects user messages with multi-line support
  * - interactiveLoop(): Manages approve/regenerate/edit cycles for AI outputs
+ * - promptStoryReview(): Approve/reject/feedback checkpoint before a story commit
  *
  * Interactive Loop Pattern:
  * 1. AI generates content based on current prompt
@@ -29,11 +30,9 @@ import path from "path";
  * Check if running in non-interactive mode
  * @returns {boolean} True if non-interactive (no TTY or CI environment)
  */
-function isNonInteractive() {
+export function isNonInteractive() {
   return !process.stdin.isTTY || process.env.CI === 'true' || process.env.NON_INTERACTIVE === 'true';
 }
-import fs from "fs-extra";
-import path from "path";
 
 /**
  * Collect Multi-Line User Input
@@ -357,6 +356,88 @@ export async function promptTaskLimit(incompleteCount) {
   return { limit: n, cancelled: false };
 }
 
+/**
+ * Prompt for a Story Review Decision
+ *
+ * Used by the `--review` checkpoint after a story's Ralph Loop has finished and
+ * before its changes are committed.
+ *
+ * @param {string} taskId - User story being reviewed
+ * @returns {Promise<{action: "approve"|"reject"|"feedback", feedback?: string}>} Reviewer's decision
+ * @throws {Error} Without a terminal or if the user cancels the prompt
+ */
+export async function promptStoryReview(taskId) {
+  // Asked for with --review, so NON_INTERACTIVE (set by direct commands) is ignored
+  if (!process.stdin.isTTY) {
+    throw new Error(`No terminal: cannot review ${taskId}`);
+  }
+
+  const response = await prompts({
+  type: "select",
+  name: "action",
+  message: `Review ${taskId}:`,
+  choices: [
+  { title: "Approve (commit)", value: "approve" }, // Commit the story
+  { title: "Reject (roll back)", value: "reject" }, // Discard the story's changes
+  { title: "Give feedback (run the loop again)", value: "feedback" }, // Another Ralph Loop round
+  ],
+  });
+
+  // Handle user cancellation (Ctrl+C) with consistent error message
+  if (!response.action) {
+  throw new Error("User cancelled the prompt");
+  }
+
+  if (response.action !== "feedback") {
+  return { action: response.action };
+  }
+
+  const feedbackResponse = await prompts({
+  type: "text",
+  name: "feedback",
+  message: "Feedback for the agent:",
+  });
+
+  if (feedbackResponse.feedback === undefined) {
+  throw new Error("User cancelled the prompt");
+  }
+  if (!feedbackResponse.feedback.trim()) {
+  return promptStoryReview(taskId); // Empty feedback: choose again
+  }
+
+  return { action: "feedback", feedback: feedbackResponse.feedback };
+}
+
+/**
+ * Prompt Whether to Resume Prior Agent Conversations
+ *
+ * Used by `ralph restart-dev` when stories have a saved agent session that is
+ * still under the context limit.
+ *
+ * @param {string[]} taskIds - Stories with a resumable session
+ * @returns {Promise<boolean>} True to resume the saved conversations
+ * @throws {Error} If the user cancels the prompt
+ */
+export async function promptResumeSessions(taskIds) {
+  if (isNonInteractive()) {
+    console.log(`Non-interactive mode: resuming agent sessions for ${taskIds.join(", ")}`);
+    return true;
+  }
+
+  const response = await prompts({
+  type: "confirm",
+  name: "resume",
+  message: `Resume the previous agent conversation for ${taskIds.join(", ")}?`,
+  initial: true,
+  });
+
+  // Handle user cancellation (Ctrl+C) with consistent error message
+  if (response.resume === undefined) {
+  throw new Error("User cancelled the prompt");
+  }
+  return response.resume;
+}
+
 /**
  * Interactive Approval and Refinement Loop
  *
@@ -387,10 +468,6 @@ export async function promptTaskLimit(incompleteCount) {
  * @throws {Error} If max iterations reached without approval or user cancels
  */
 export async function interactiveLoop(
-  if (isNonInteractive()) {
-    throw new Error(`Non-interactive mode: cannot run interactive approval loop for ${stepName}`);
-  }
-
   initialPrompt,
   model,
   stepName,
@@ -0,0 +1,183 @@
+/**
+ * Run-Level Budgets
+ *
+ * Limits for a whole `ralph dev` run, on top of the per-iteration runtime and
+ * per-story iteration limits. Runs started in the evening can be told to stop
+ * before CI and reviewers come online.
+ *
+ * Budgets:
+ * - --max-duration <duration>: Wall-clock time for the run (e.g. "3h", "90m", "1h30m")
+ * - --until <HH:MM>: Local clock time to stop at (the next occurrence)
+ * - --max-iterations-total <n>: Ralph Loop iterations across all stories
+ * - --max-stories <n>: Stories to complete this run (same as the interactive task limit)
+ *
+ * Stopping:
+ * Budgets are checked between Ralph Loop iterations and before a story starts.
+ * The iteration that is running when a budget runs out finishes normally; the
+ * story then stays in progress with its edits in the working tree (or its
+ * worktree), tasks.json is saved, and the next `ralph dev` resumes it.
+ */
+
+/**
+ * Budget Exceeded Error
+ *
+ * Thrown by ralphLoop() before starting an iteration once the run budget is used
+ * up. The story is left in progress so the next run resumes it.
+ */
+export class BudgetExceededError extends Error {
+  constructor(reason) {
+    super(`Run budget exhausted: ${reason}`);
+    this.name = "BudgetExceededError";
+    this.reason = reason;
+  }
+}
+
+const DURATION_UNITS_MS = { h: 3600000, m: 60000, s: 1000 };
+
+/**
+ * Parse a Duration such as "3h", "45m", "1h30m" or "90s"
+ *
+ * @param {string} value - Duration text (units: h, m, s)
+ * @returns {number|null} Duration in milliseconds, or null if invalid or zero
+ */
+export function parseDuration(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!/^(\d+(\.\d+)?[hms])+$/.test(text)) {
+    return null;
+  }
+  let ms = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)([hms])/g)) {
+    ms += Number(amount) * DURATION_UNITS_MS[unit];
+  }
+  return ms > 0 ? Math.round(ms) : null;
+}
+
+/**
+ * Parse a Clock Time ("07:00") into the Next Matching Date
+ *
+ * A time that has already passed today refers to tomorrow.
+ *
+ * @param {string} value - Local time as HH:MM (24-hour)
+ * @param {Date} [now] - Reference time (default: now)
+ * @returns {Date|null} Next occurrence of the time, or null if invalid
+ */
+export function parseClockTime(value, now = new Date()) {
+  const match = String(value ?? "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  const target = new Date(now);
+  target.setHours(hours, minutes, 0, 0);
+  if (target <= now) {
+    target.setDate(target.getDate() + 1);
+  }
+  return target;
+}
+
+/**
+ * Format a Duration for Display
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "2h 05m", "12m 30s"
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+  }
+  return `${minutes}m ${String(seconds).padStart(2, "0")}s`;
+}
+
+/**
+ * Create the Budget for a Run
+ *
+ * The wall-clock deadline is the earlier of --max-duration (counted from now)
+ * and --until.
+ *
+ * @param {Object} options - Execution options
+ * @param {number} [options.maxDurationMs] - Wall-clock limit in milliseconds
+ * @param {Date} [options.until] - Time to stop at
+ * @param {number} [options.maxIterationsTotal] - Ralph Loop iterations across all stories
+ * @returns {{startedAt: number, deadline: number|null, maxIterationsTotal: number|null,
+ *           limited: boolean, iterations: number, recordIteration: Function,
+ *           exceeded: Function, describe: Function}} Run budget
+ */
+export function createRunBudget(options = {}) {
+  const startedAt = Date.now();
+  const limits = [];
+  if (options.maxDurationMs) {
+    limits.push({
+      at: startedAt + options.maxDurationMs,
+      label: `max duration of ${formatDuration(options.maxDurationMs)}`,
+    });
+  }
+  if (options.until) {
+    limits.push({
+      at: options.until.getTime(),
+      label: `deadline ${options.until.toLocaleString()}`,
+    });
+  }
+  const deadline = limits.sort((a, b) => a.at - b.at)[0] || null;
+  const maxIterationsTotal = options.maxIterationsTotal ?? null;
+  let iterations = 0;
+
+  return {
+    startedAt,
+    deadline: deadline?.at ?? null,
+    maxIterationsTotal,
+    limited: Boolean(deadline) || maxIterationsTotal != null,
+
+    get iterations() {
+      return iterations;
+    },
+
+    /**
+     * Count a finished Ralph Loop iteration
+     */
+    recordIteration() {
+      iterations += 1;
+    },
+
+    /**
+     * Check whether the budget is used up
+     *
+     * @returns {string|null} Why the run must stop, or null to keep going
+     */
+    exceeded() {
+      if (deadline && Date.now() >= deadline.at) {
+        return `${deadline.label} reached`;
+      }
+      if (maxIterationsTotal != null && iterations >= maxIterationsTotal) {
+        return `${maxIterationsTotal} total iterations used`;
+      }
+      return null;
+    },
+
+    /**
+     * Describe the budget and how much of it is used
+     *
+     * @returns {string} e.g. "1h 12m elapsed (deadline ...), 48/150 iterations"
+     */
+    describe() {
+      const parts = [`${formatDuration(Date.now() - startedAt)} elapsed`];
+      if (deadline) {
+        parts[0] += ` (${deadline.label})`;
+      }
+      parts.push(
+        maxIterationsTotal != null
+          ? `${iterations}/${maxIterationsTotal} iterations`
+          : `${iterations} iterations`,
+      );
+      return parts.join(", ");
+    },
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * Graceful Run Interruption (Ctrl+C / SIGTERM)
+ *
+ * Without a handler, Ctrl+C kills the orchestrator mid-story: the cursor-agent
+ * child may keep running and tasks.json is left with `started_at` set and no
+ * record of what happened. During development runs this module installs
+ * SIGINT/SIGTERM handlers instead.
+ *
+ * Behavior:
+ * - First signal: abort the shared AbortSignal. The in-flight agent process is
+ *   killed (CursorAgent.stream honors the signal), the running story is marked
+ *   "interrupted" with its agent session ID and iteration, tasks.json is saved
+ *   and no further stories start. `ralph restart-dev` resumes the story in the
+ *   same agent conversation.
+ * - Second signal: exit immediately.
+ */
+
+import { format } from "./log-format.mjs";
+
+/**
+ * Interrupted Error Class
+ *
+ * Thrown by runAgent()/ralphLoop() when the run's AbortSignal fires. Carries
+ * what is needed to resume the story later.
+ */
+export class InterruptedError extends Error {
+  constructor(signal, metadata = {}) {
+    super(`Interrupted by ${signal}`);
+    this.name = "InterruptedError";
+    this.signal = signal;
+    this.sessionId = metadata.sessionId || null;
+    this.iteration = metadata.iteration || null;
+    this.partialResponse = metadata.partialResponse || null;
+  }
+}
+
+/**
+ * Install Interrupt Handlers for a Run
+ *
+ * @returns {{signal: AbortSignal, reason: Function, dispose: Function}}
+ *          signal: aborted on the first SIGINT/SIGTERM;
+ *          reason(): name of the received signal, or null;
+ *          dispose(): removes the handlers (call when the run ends)
+ */
+export function createInterruptHandler() {
+  const controller = new AbortController();
+  let received = null;
+
+  const onSignal = (signal) => {
+    if (received) {
+      console.error(format("error", `\n${signal} received again - exiting now`));
+      process.exit(128 + (signal === "SIGINT" ? 2 : 15));
+    }
+
+    received = signal;
+    process.exitCode = 128 + (signal === "SIGINT" ? 2 : 15);
+    console.log(
+      format(
+        "warning",
+        `\n${signal} received - stopping the agent and saving state (press Ctrl+C again to force exit)`,
+      ),
+    );
+    controller.abort(new InterruptedError(signal));
+  };
+
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  return {
+    signal: controller.signal,
+    reason: () => received,
+    dispose: () => {
+      process.off("SIGINT", onSignal);
+      process.off("SIGTERM", onSignal);
+    },
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * Per-Story Artifacts
+ *
+ * The evidence of what an agent did for a story used to be spread over logs/
+ * (activity log, verification log, rollback patch), wherever the agent saved
+ * its screenshots, and the first 500 characters of its output in tasks.json.
+ * Every attempt at a story now gets one directory with all of it.
+ *
+ * Layout (other workstreams use tasks/<name>-artifacts/):
+ * tasks/artifacts/<US-ID>/<attempt>/
+ * - changes.patch: diff from the story's start commit to the end of the
+ *   attempt, including new files and commits the agent made (tasks/ and logs/
+ *   excluded; re-apply with `git apply`)
+ * - transcript.md: the agent's full output, iteration by iteration
+ * - activity.jsonl: this attempt's part of the story's activity log
+ * - verification.log: output of every verification round
+ * - screenshots/: files the agent saved to screenshots/ during the attempt
+ * - summary.json: { id, attempt, model, outcome, started_at, finished_at,
+ *   start_commit, files }
+ *
+ * The story's `artifacts` field links the latest attempt's directory, and each
+ * task.history entry links its own. The directories are kept out of commits
+ * via .git/info/exclude and are not removed by reset-tasks; a new attempt never
+ * overwrites an existing directory.
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { execSync } from "child_process";
+import { excludeFromGit } from "./git-branch.mjs";
+import { format } from "./log-format.mjs";
+import { getProjectPathspec } from "./story-rollback.mjs";
+
+const SCREENSHOTS_DIR = "screenshots";
+
+/**
+ * Pick the Directory for an Attempt
+ *
+ * Uses the attempt number unless that directory exists already (e.g. after
+ * reset-tasks cleared the story's history), then the next free number.
+ *
+ * @param {string} artifactsRoot - Workstream artifacts directory
+ * @param {string} taskId - User story ID
+ * @param {number} attempt - Attempt number (task.history length + 1)
+ * @returns {{dir: string, number: number}} Attempt directory and its number
+ */
+function pickAttemptDir(artifactsRoot, taskId, attempt) {
+  let number = attempt;
+  while (fs.existsSync(path.join(artifactsRoot, taskId, String(number)))) {
+    number++;
+  }
+  return { dir: path.join(artifactsRoot, taskId, String(number)), number };
+}
+
+/**
+ * Write the Diff of an Attempt
+ *
+ * Stages everything in a temporary copy of the index, so new files are part of
+ * the diff while the real index (and what the story commit picks up) stays
+ * untouched.
+ *
+ * @param {string} cwd - Repository working directory the story ran in
+ * @param {string} startCommit - HEAD recorded when the story started
+ * @param {string} patchPath - Where to write the patch
+ */
+function writeAttemptDiff(cwd, startCommit, patchPath) {
+  const indexPath = path.resolve(
+    cwd,
+    execSync("git rev-parse --git-path index", {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim(),
+  );
+  const tempIndex = `${patchPath}.index`;
+  const env = { ...process.env, GIT_INDEX_FILE: tempIndex };
+  try {
+    if (fs.existsSync(indexPath)) {
+      fs.copySync(indexPath, tempIndex);
+    }
+    const pathspec = getProjectPathspec(cwd);
+    execSync(`git add -A -- ${pathspec}`, { cwd, env, stdio: "ignore" });
+    const diff = execSync(
+      `git diff --cached --binary ${startCommit} -- ${pathspec}`,
+      { cwd, env, encoding: "utf8", maxBuffer: 100 * 1024 * 1024 },
+    );
+    fs.outputFileSync(patchPath, diff);
+  } finally {
+    fs.removeSync(tempIndex);
+  }
+}
+
+/**
+ * Copy Screenshots Saved during an Attempt
+ *
+ * @param {string} cwd - Working directory the story ran in
+ * @param {string} targetDir - Artifacts screenshots/ directory
+ * @param {number} sinceMs - Attempt start time; older files are skipped
+ */
+async function copyScreenshots(cwd, targetDir, sinceMs) {
+  const sourceDir = path.join(cwd, SCREENSHOTS_DIR);
+  if (!(await fs.pathExists(sourceDir))) {
+    return;
+  }
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const source = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(source);
+      } else if (
+        entry.isFile() &&
+        (await fs.stat(source)).mtimeMs >= sinceMs
+      ) {
+        await fs.copy(
+          source,
+          path.join(targetDir, path.relative(sourceDir, source)),
+        );
+      }
+    }
+  };
+  await walk(sourceDir);
+}
+
+/**
+ * Create the Artifacts Directory for a Story Attempt
+ *
+ * @param {Object} params - Attempt details
+ * @param {string} params.projectPath - Project directory (links are relative to it)
+ * @param {string} params.artifactsRoot - Workstream artifacts directory
+ * @param {string} params.taskId - User story ID
+ * @param {number} params.attempt - Attempt number (task.history length + 1)
+ * @param {string} params.activityLogPath - The story's activity log this run
+ * @returns {{dir: string, link: string, appendTranscript: Function, appendVerification: Function, finalize: Function}}
+ *          dir/link: absolute and project-relative directory;
+ *          appendTranscript(heading, output) and appendVerification(verification, round)
+ *          record output as it happens; finalize({ cwd, startCommit, rollback, model, outcome })
+ *          saves the rest at the end of the attempt and returns link
+ */
+export function createStoryArtifacts({
+  projectPath,
+  artifactsRoot,
+  taskId,
+  attempt,
+  activityLogPath,
+}) {
+  const { dir, number } = pickAttemptDir(artifactsRoot, taskId, attempt);
+  const link = path.relative(projectPath, dir);
+  const startedAt = new Date();
+  // The activity log is shared by all attempts in this run - keep only ours
+  const activityLogOffset = fs.existsSync(activityLogPath)
+    ? fs.statSync(activityLogPath).size
+    : 0;
+
+  fs.ensureDirSync(dir);
+  excludeFromGit(projectPath, [artifactsRoot]);
+
+  return {
+    dir,
+    link,
+
+    appendTranscript: (heading, output) =>
+      fs.appendFile(
+        path.join(dir, "transcript.md"),
+        `## ${heading}\n\n${output}\n\n`,
+      ),
+
+    appendVerification: (verification, round) =>
+      fs.appendFile(
+        path.join(dir, "verification.log"),
+        `=== Verification round ${round} (${new Date().toISOString()}) ===\n\n` +
+          verification.results
+            .map(
+              (check) =>
+                `$ ${check.command}\nexit code: ${check.exitCode} (${(check.durationMs / 1000).toFixed(1)}s)\n${check.output}\n\n`,
+            )
+            .join(""),
+      ),
+
+    /**
+     * Save the Rest of the Attempt's Artifacts
+     *
+     * Problems are reported as warnings; they never fail the story.
+     *
+     * @param {Object} result - How the attempt ended
+     * @param {string} result.cwd - Working directory the story ran in
+     * @param {string|null} result.startCommit - HEAD recorded when the story started
+     * @param {Object|null} result.rollback - task.rollback if this attempt was rolled
+     *        back (its patch is the attempt's diff)
+     * @param {string} result.model - Model used for the attempt
+     * @param {string} result.outcome - Attempt outcome (completed, failed, interrupted, error)
+     * @returns {Promise<string>} Project-relative artifacts directory
+     */
+    finalize: async ({ cwd, startCommit, rollback, model, outcome }) => {
+      const patchPath = path.join(dir, "changes.patch");
+      try {
+        if (rollback?.patch) {
+          await fs.copy(rollback.patch, patchPath);
+        } else if (startCommit) {
+          writeAttemptDiff(cwd, startCommit, patchPath);
+        }
+      } catch (error) {
+        console.log(
+          format(
+            "warning",
+            `⚠ Warning: Could not save the diff of ${taskId}: ${error.message}`,
+          ),
+        );
+      }
+
+      try {
+        const activityLog = await fs.readFile(activityLogPath);
+        await fs.writeFile(
+          path.join(dir, "activity.jsonl"),
+          activityLog.subarray(activityLogOffset),
+        );
+      } catch {
+        // No activity logged (the attempt ended before its logger was created)
+      }
+
+      try {
+        await copyScreenshots(
+          cwd,
+          path.join(dir, SCREENSHOTS_DIR),
+          startedAt.getTime() - 1000, // File times can be coarser than Date.now()
+        );
+      } catch (error) {
+        console.log(
+          format(
+            "warning",
+            `⚠ Warning: Could not copy screenshots of ${taskId}: ${error.message}`,
+          ),
+        );
+      }
+
+      await fs.writeJson(
+        path.join(dir, "summary.json"),
+        {
+          id: taskId,
+          attempt: number,
+          model,
+          outcome,
+          started_at: startedAt.toISOString(),
+          finished_at: new Date().toISOString(),
+          start_commit: startCommit,
+          files: (await fs.readdir(dir)).sort(),
+        },
+        { spaces: 2 },
+      );
+      return link;
+    },
+  };
+}
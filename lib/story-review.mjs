@@ -0,0 +1,136 @@
+/**
+ * Human Review Checkpoint
+ *
+ * With `--review`, every story pauses after the Ralph Loop (and a passing
+ * verification gate) and before its commit. The reviewer sees what changed, the
+ * loop statistics and the acceptance criteria, then decides:
+ * - approve: commit the story as usual
+ * - reject: roll the story's changes back and mark it failed (not retried)
+ * - feedback: append the feedback to next_task.md and run another Ralph Loop on
+ *   the same story, followed by verification and another review
+ * Cancelling the prompt (Ctrl+C) stops the run: the story is marked interrupted
+ * with its changes kept, and restart-dev takes it up to the review again.
+ *
+ * The agent's inner iterations run unattended; only the commit is gated.
+ * Reviews need a terminal and run one story at a time (sequential runs only).
+ */
+
+import { execSync } from "child_process";
+import { format } from "./log-format.mjs";
+import { getProjectPathspec } from "./story-rollback.mjs";
+
+/**
+ * Summarize a Story's Changes since Its Start Commit
+ *
+ * Orchestrator state (tasks/ and logs/) is left out, like in rollbacks.
+ *
+ * @param {string} cwd - Repository working directory the story ran in
+ * @param {string|null} startCommit - HEAD recorded when the story started
+ * @returns {{diffStat: string, untracked: string[]}} `git diff --stat` output for
+ *          tracked files and the list of new untracked files
+ */
+export function getStoryChangeSummary(cwd, startCommit) {
+  const pathspec = getProjectPathspec(cwd);
+  const run = (command) => {
+    try {
+      return execSync(command, {
+        cwd,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }).trimEnd();
+    } catch {
+      return "";
+    }
+  };
+
+  return {
+    // Without a start commit (empty repository) only new files can be listed
+    diffStat: startCommit
+      ? run(`git diff --stat ${startCommit} -- ${pathspec}`)
+      : "",
+    untracked: run(`git ls-files --others --exclude-standard -- ${pathspec}`)
+      .split("\n")
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Print the Review Summary for a Story
+ *
+ * @param {Object} task - User story awaiting review
+ * @param {Object} params - Review details
+ * @param {string} params.cwd - Repository working directory the story ran in
+ * @param {Object} params.stats - Loop statistics so far ({ iterations, toolUsage, errors, startTime })
+ * @param {number} params.round - Review round (1 for the first review of this attempt)
+ */
+export function printStoryReview(task, { cwd, stats, round }) {
+  const { diffStat, untracked } = getStoryChangeSummary(cwd, task.start_commit);
+  const duration = ((Date.now() - stats.startTime) / 1000).toFixed(1);
+
+  console.log(
+    format(
+      "orchestrator",
+      `\n=== Review: ${task.id}${round > 1 ? ` (round ${round})` : ""} ===`,
+    ),
+  );
+  console.log(format("task", `${task.title || task.description}`));
+
+  console.log(format("orchestrator", "\nChanges:"));
+  if (!diffStat && untracked.length === 0) {
+    console.log(format("warning", "  (no changes)"));
+  }
+  if (diffStat) {
+    console.log(diffStat);
+  }
+  for (const file of untracked) {
+    console.log(` ${file} (new)`);
+  }
+
+  console.log(format("orchestrator", "\nStats:"));
+  console.log(format("task", `  - Duration: ${duration}s`));
+  console.log(format("task", `  - Iterations: ${stats.iterations}`));
+  const toolUsage = stats.toolUsage.summary();
+  console.log(format("task", `  - Tool calls: ${toolUsage.tool_calls}`));
+  console.log(format("task", `  - Commands run: ${toolUsage.commands.length}`));
+  console.log(format("task", `  - Errors encountered: ${stats.errors.length}`));
+  console.log(
+    format(
+      "task",
+      `  - Verification: ${task.verification ? (task.verification.passed ? "passed" : "failed") : "not configured"}`,
+    ),
+  );
+
+  console.log(format("orchestrator", "\nAcceptance criteria:"));
+  const criteria = task.acceptanceCriteria || [];
+  if (criteria.length === 0) {
+    console.log(format("task", "  (none)"));
+  }
+  for (const criterion of criteria) {
+    console.log(format("task", `  - ${criterion}`));
+  }
+  console.log("");
+}
+
+/**
+ * Format Reviewer Feedback for next_task.md
+ *
+ * Contains an unchecked checkbox so the Ralph Loop does not treat the task as
+ * complete until the agent has addressed the feedback.
+ *
+ * @param {string} feedback - Reviewer's feedback
+ * @param {number} round - Review round the feedback was given in
+ * @returns {string} Markdown feedback section
+ */
+export function formatReviewFeedback(feedback, round) {
+  // Neutralize checkboxes in the feedback so they don't count as task criteria
+  const safeFeedback = feedback.trim().replace(/\[([x ])\]/gi, "($1)");
+  return `
+
+## Reviewer Feedback (round ${round})
+
+A human reviewer looked at your changes before they were committed and asked for the following:
+
+${safeFeedback}
+
+[ ] Reviewer feedback addressed`;
+}
@@ -0,0 +1,174 @@
+/**
+ * Failed Story Rollback
+ *
+ * When a story fails (loop error, connection error, resource exhaustion or a
+ * failed verification gate), the agent's half-finished edits are still in the
+ * working tree. Left alone, the next story or a restart builds on top of them.
+ * This module puts the repository back to the commit recorded when the story
+ * started.
+ *
+ * Rollback Policies:
+ * - keep: Leave the working tree untouched (previous behavior); the next
+ *   attempt or story stashes the edits before it starts (stashLeftoverChanges())
+ * - stash: Move the changes into a git stash entry (`git stash list` to find it)
+ * - reset: Discard the changes and any commits made since the story started
+ *
+ * Safety:
+ * - Before stash/reset, the complete diff since the start commit (including new
+ *   files and commits made by the agent) is saved to
+ *   logs/rollback-<id>-<timestamp>.patch and can be re-applied with `git apply`
+ * - Orchestrator state (tasks/ and logs/) is never rolled back
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { execSync } from "child_process";
+import { LOG_DIR, RUN_ID } from "./config.mjs";
+
+/**
+ * Valid rollback policies, in increasing order of strictness
+ */
+export const ROLLBACK_POLICIES = ["keep", "stash", "reset"];
+
+/**
+ * Get the Current HEAD Commit
+ *
+ * @param {string} cwd - Repository working directory
+ * @returns {string|null} Commit SHA, or null if the repository has no commits yet
+ */
+export function getHeadCommit(cwd) {
+  try {
+    return execSync("git rev-parse HEAD", {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build Pathspec Excluding Orchestrator State
+ *
+ * Also used by the review checkpoint to summarize a story's changes.
+ *
+ * @param {string} cwd - Repository working directory
+ * @returns {string} Quoted pathspec arguments covering everything but tasks/ and logs/
+ */
+export function getProjectPathspec(cwd) {
+  const excluded = ["tasks"];
+  const relativeLogDir = path.relative(cwd, LOG_DIR);
+  if (relativeLogDir && !relativeLogDir.startsWith("..")) {
+    excluded.push(relativeLogDir);
+  }
+  return [".", ...excluded.map((dir) => `:(exclude)${dir}`)]
+    .map((spec) => JSON.stringify(spec))
+    .join(" ");
+}
+
+/**
+ * Stash Changes Left in the Working Tree before a Story Starts
+ *
+ * With the keep policy a failed attempt leaves its edits in place. A retry or
+ * the next story started on top of them would record HEAD as its start
+ * commit, commit the edits as its own work, or discard them with its own
+ * rollback.
+ *
+ * @param {Object} params - Stash parameters
+ * @param {string} params.cwd - Repository working directory
+ * @param {string} params.taskId - User story about to start (used for the
+ *        stash name)
+ * @returns {string|null} Stash message, or null if there was nothing to stash
+ */
+export function stashLeftoverChanges({ cwd, taskId }) {
+  if (!getHeadCommit(cwd)) {
+    return null; // git stash needs a commit to stash against
+  }
+  const pathspec = getProjectPathspec(cwd);
+  execSync(`git add -A -- ${pathspec}`, { cwd, stdio: "ignore" });
+  const staged = execSync(`git diff --cached --name-only -- ${pathspec}`, {
+    cwd,
+    encoding: "utf8",
+  });
+  if (!staged.trim()) {
+    return null;
+  }
+
+  const message = `ralph: changes left before ${taskId} (${RUN_ID})`;
+  execSync(`git stash push -m ${JSON.stringify(message)} -- ${pathspec}`, {
+    cwd,
+    stdio: "ignore",
+  });
+  return message;
+}
+
+/**
+ * Roll Back a Failed Story
+ *
+ * Saves the story's changes as a patch, then applies the policy. All changes
+ * since `startCommit` are staged first so new files are included in the patch
+ * and handled by stash/reset like any other change.
+ *
+ * @param {Object} params - Rollback parameters
+ * @param {string} params.cwd - Repository working directory the story ran in
+ * @param {string} params.taskId - User story ID (used for patch and stash names)
+ * @param {string|null} params.startCommit - HEAD recorded when the story started
+ * @param {string} params.policy - One of ROLLBACK_POLICIES
+ * @returns {{policy: string, start_commit: string|null, patch: string|null, stash: string|null, skipped?: string}}
+ *          Rollback record to persist on the story
+ */
+export function rollbackStory({ cwd, taskId, startCommit, policy }) {
+  const record = {
+    policy,
+    start_commit: startCommit,
+    patch: null,
+    stash: null,
+  };
+
+  if (policy === "keep") {
+    return record;
+  }
+  if (!startCommit) {
+    return { ...record, skipped: "no start commit recorded" };
+  }
+
+  const pathspec = getProjectPathspec(cwd);
+  execSync(`git add -A -- ${pathspec}`, { cwd, stdio: "ignore" });
+
+  const diff = execSync(
+    `git diff --cached --binary ${startCommit} -- ${pathspec}`,
+    { cwd, encoding: "utf8", maxBuffer: 100 * 1024 * 1024 },
+  );
+  if (!diff.trim()) {
+    return { ...record, skipped: "no changes since start commit" };
+  }
+
+  const patchPath = path.join(
+    LOG_DIR,
+    `rollback-${taskId}-${Date.now()}.patch`,
+  );
+  fs.outputFileSync(patchPath, diff);
+  record.patch = patchPath;
+
+  // Turn commits the agent made during the story back into staged changes
+  if (getHeadCommit(cwd) !== startCommit) {
+    execSync(`git reset --soft ${startCommit}`, { cwd, stdio: "ignore" });
+  }
+
+  if (policy === "stash") {
+    const message = `ralph: rollback of failed ${taskId} (${RUN_ID})`;
+    execSync(`git stash push -m ${JSON.stringify(message)} -- ${pathspec}`, {
+      cwd,
+      stdio: "ignore",
+    });
+    record.stash = message;
+  } else {
+    execSync(
+      `git restore --source=${startCommit} --staged --worktree -- ${pathspec}`,
+      { cwd, stdio: "ignore" },
+    );
+  }
+
+  return record;
+}
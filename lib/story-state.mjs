@@ -0,0 +1,195 @@
+/**
+ * User Story State Machine
+ *
+ * Every story in tasks.json carries an explicit `status` and a `transitions`
+ * list recording each status change. Tools reading tasks.json can rely on
+ * `status` instead of reconstructing it from `completed`, `passes`,
+ * `started_at`, `completed_at` and `notes`.
+ *
+ * States:
+ * - pending: Not started yet (or reset)
+ * - in_progress: An agent is working on the story
+ * - interrupted: The run was stopped (Ctrl+C/SIGTERM) mid-story; details in
+ *   `interruption` ({ signal, session_id, iteration, at }) for resuming
+ * - blocked: Waiting on dependencies that failed, are blocked, or form a cycle
+ * - failed: The last attempt failed (loop, connection, verification, merge...)
+ * - verified: Verification commands passed; not committed yet
+ * - done: Completed and committed
+ * - skipped: Left out of a run (e.g. beyond --max-stories); the next run
+ *   starts it like a pending story
+ *
+ * Transition Record:
+ * { from, to, at, reason, error } where `error` is the error class name
+ * (e.g. "LoopError") when the transition was caused by an error, else null.
+ *
+ * Legacy Fields:
+ * `completed`, `passes`, `started_at`, `completed_at` and `notes` are still
+ * maintained by transitionStory() so existing readers keep working. A failed
+ * story no longer gets `completed_at`; use `status` instead.
+ */
+
+/**
+ * Story Status Values
+ */
+export const STORY_STATUS = {
+  PENDING: "pending",
+  IN_PROGRESS: "in_progress",
+  INTERRUPTED: "interrupted",
+  BLOCKED: "blocked",
+  FAILED: "failed",
+  VERIFIED: "verified",
+  DONE: "done",
+  SKIPPED: "skipped",
+};
+
+const {
+  PENDING,
+  IN_PROGRESS,
+  INTERRUPTED,
+  BLOCKED,
+  FAILED,
+  VERIFIED,
+  DONE,
+  SKIPPED,
+} = STORY_STATUS;
+
+/**
+ * Allowed Transitions per Status
+ *
+ * in_progress → in_progress records a restart after an interrupted run.
+ * verified → failed covers stories whose merge fails (parallel runs), and
+ * verified → blocked a verified story left behind by a crashed run whose
+ * dependency has failed since.
+ * pending → skipped marks stories a run left out (--max-stories); they are
+ * started (or blocked) like pending ones later.
+ * Any status may return to pending (reset-tasks, run-task --force).
+ */
+const ALLOWED_TRANSITIONS = {
+  [PENDING]: [IN_PROGRESS, BLOCKED, SKIPPED],
+  [IN_PROGRESS]: [IN_PROGRESS, INTERRUPTED, VERIFIED, DONE, FAILED, BLOCKED],
+  [INTERRUPTED]: [IN_PROGRESS, FAILED, BLOCKED],
+  [BLOCKED]: [IN_PROGRESS],
+  [FAILED]: [IN_PROGRESS, BLOCKED],
+  [VERIFIED]: [IN_PROGRESS, INTERRUPTED, DONE, FAILED, BLOCKED],
+  [DONE]: [],
+  [SKIPPED]: [IN_PROGRESS, BLOCKED],
+};
+
+/**
+ * Get a Story's Status
+ *
+ * Uses the explicit `status` when present. Stories written before the state
+ * machine existed are classified from their legacy fields.
+ *
+ * @param {Object} story - User story from tasks.json
+ * @returns {string} One of STORY_STATUS
+ */
+export function getStoryStatus(story) {
+  if (story.status) {
+    return story.status;
+  }
+  if (story.completed) {
+    return DONE;
+  }
+  if (story.completed_at) {
+    return FAILED; // Legacy failures: completed_at set, completed false
+  }
+  if (story.blocked_by?.length) {
+    return BLOCKED;
+  }
+  if (story.started_at) {
+    return IN_PROGRESS;
+  }
+  return PENDING;
+}
+
+/**
+ * Check if a Status Transition is Allowed
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True if the state machine allows the transition
+ */
+export function canTransition(from, to) {
+  return to === PENDING || (ALLOWED_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Transition a Story to a New Status
+ *
+ * Validates the transition, appends it to `story.transitions`, and keeps the
+ * legacy fields in sync. Transitions to the current status are ignored, except
+ * in_progress → in_progress (a restart worth recording).
+ *
+ * @param {Object} story - User story to update (mutated)
+ * @param {string} to - Target status (one of STORY_STATUS)
+ * @param {Object} [details] - Transition details
+ * @param {string} [details.reason] - Why the transition happened (also stored in notes,
+ *        except for pending which clears them)
+ * @param {Error} [details.error] - Error that caused the transition
+ * @returns {boolean} True if a transition was recorded
+ * @throws {Error} If the state machine does not allow the transition
+ */
+export function transitionStory(story, to, { reason = "", error = null } = {}) {
+  const from = getStoryStatus(story);
+  if (from === to && to !== IN_PROGRESS) {
+    story.status = to;
+    if (reason) story.notes = reason;
+    return false;
+  }
+  if (!canTransition(from, to)) {
+    throw new Error(
+      `Invalid status transition for ${story.id}: ${from} → ${to}`,
+    );
+  }
+
+  const at = new Date().toISOString();
+  story.status = to;
+  story.transitions = [
+    ...(story.transitions || []),
+    {
+      from,
+      to,
+      at,
+      reason,
+      error: error ? error.name || error.constructor?.name || "Error" : null,
+    },
+  ];
+
+  // === LEGACY FIELD SYNC ===
+  switch (to) {
+    case PENDING:
+      story.completed = false;
+      story.passes = false;
+      story.started_at = null;
+      story.completed_at = null;
+      story.notes = "";
+      break;
+    case IN_PROGRESS:
+      story.completed = false;
+      story.started_at = at;
+      story.completed_at = null;
+      break;
+    case VERIFIED:
+      story.passes = true;
+      break;
+    case DONE:
+      story.completed = true;
+      story.completed_at = at;
+      break;
+    case INTERRUPTED:
+      // started_at is kept: the next run treats the story as a continuation
+      story.completed = false;
+      story.notes = reason;
+      break;
+    case FAILED:
+    case BLOCKED:
+    case SKIPPED:
+      story.completed = false;
+      story.completed_at = null;
+      story.notes = reason;
+      break;
+  }
+
+  return true;
+}
@@ -8,20 +8,35 @@
  * Reset Operation:
  * - Loads tasks.json from project tasks/tasks.json directory
  * - Resets completion fields for all user stories:
+ *   - status: "pending" (recorded as a transition in the story's history)
  *   - passes: false (completion status)
  *   - completed: false (completion flag)
  *   - notes: "" (clears any notes)
  *   - started_at: null (removes start timestamp)
  *   - completed_at: null (removes completion timestamp)
  *   - output: null (removes execution results)
+ *   - verification: null (removes verification results)
+ *   - start_commit/rollback: null (removes rollback state)
+ *   - history: [] (removes attempt history)
+ *   - interruption: null (removes the interrupted session to resume)
+ *   - session: null (removes the saved agent session)
+ *   - artifacts: null (unlinks the artifacts directory; its files are kept)
+ *   - usage: null (removes the story's token usage; the task file's run
+ *     totals in usage.runs are kept)
+ *   - blocked_by: null (removes the dependencies the story waited on)
+ *   - resourceExhaustionCount: null (restarts the resource exhaustion count)
  * - Preserves all other task data (id, title, description, acceptanceCriteria, etc.)
  * - Saves modified tasks back to file
  * - Provides user feedback on the reset operation
+ * - Other workstreams (<name>-tasks.json) are reset with their own
+ *   <name>-next_task.md and <name>-progress.txt; the rest are left alone
  */
 
 import fs from "fs-extra";
 import path from "path";
-import { NEXT_TASK_PATH, PROGRESS_PATH } from "./config.mjs";
+import { STORY_STATUS, transitionStory } from "./story-state.mjs";
+import { writeTasksFile } from "./tasks-store.mjs";
+import { resolveWorkstream } from "./workstream.mjs";
 
 /**
  * Reset Task Completion Status
@@ -31,24 +46,40 @@ import { NEXT_TASK_PATH, PROGRESS_PATH } from "./config.mjs";
  * while resetting execution state.
  *
  * Reset Fields:
+ * - status: "pending" - Transition recorded in transitions (kept for audit)
  * - passes: false - Reset completion status
  * - completed: false - Reset completion flag
  * - notes: "" - Clear any notes added during execution
  * - started_at: null - Remove execution start timestamp
  * - completed_at: null - Remove execution completion timestamp
  * - output: null - Remove execution results/output
+ * - verification: null - Remove verification results
+ * - start_commit, rollback: null - Remove rollback state of failed attempts
+ * - history: [] - Remove attempt history
+ * - interruption: null - Remove the interrupted session to resume
+ * - session: null - Remove the saved agent session
+ * - artifacts: null - Unlink the story's artifacts (the directories are kept)
+ * - usage: null - Remove the story's token usage (run totals are kept)
+ * - blocked_by: null - Remove the dependencies the story was blocked on
+ * - resourceExhaustionCount: null - Restart the resource exhaustion count
  *
  * Preserved Fields:
  * - id, title, description, acceptanceCriteria, priority, dependencies, suggested_role
  * - created_at (file-level timestamp)
  *
+ * @param {Object} [options] - Reset options
+ * @param {string} [options.tasksFile] - Workstream task file to reset
+ *        (default: tasks/tasks.json; see resolveWorkstream())
  * @returns {Promise<{success: boolean, message: string, taskCount?: number}>}
  *         Success status, feedback message, and count of tasks reset
  */
-export async function actionResetTasks() {
+export async function actionResetTasks(options = {}) {
   try {
-    // Path to tasks.json in project directory
-    const tasksJsonPath = path.join(process.cwd(), "tasks", "tasks.json");
+    // Path to the workstream's task file in project directory
+    const { tasksJsonPath, progressPath, nextTaskPath } = resolveWorkstream(
+      process.cwd(),
+      options.tasksFile,
+    );
 
     // Check if tasks.json exists
     const exists = await fs.pathExists(tasksJsonPath);
@@ -73,24 +104,39 @@ export async function actionResetTasks() {
 
     const taskCount = tasksData.userStories.length;
 
-    // Reset completion fields for all user stories
-    tasksData.userStories = tasksData.userStories.map((task) => ({
-      ...task, // Preserve all existing fields
-      passes: false, // Reset completion status
-      completed: false, // Reset completion flag
-      notes: "", // Clear notes
-      started_at: null, // Remove start timestamp
-      completed_at: null, // Remove completion timestamp
-      output: null, // Clear execution output
-    }));
+    // Reset completion fields for all user stories (transitions are kept)
+    tasksData.userStories = tasksData.userStories.map((task) => {
+      transitionStory(task, STORY_STATUS.PENDING, {
+        reason: "Reset via reset-tasks",
+      });
+      return {
+        ...task, // Preserve all existing fields
+        passes: false, // Reset completion status
+        completed: false, // Reset completion flag
+        notes: "", // Clear notes
+        started_at: null, // Remove start timestamp
+        completed_at: null, // Remove completion timestamp
+        output: null, // Clear execution output
+        verification: null, // Clear verification results
+        start_commit: null, // Clear recorded start commit
+        rollback: null, // Clear rollback record
+        history: [], // Clear attempt history
+        interruption: null, // Clear interrupted session
+        session: null, // Clear saved agent session
+        artifacts: null, // Unlink artifacts directory
+        usage: null, // Clear story token usage
+        blocked_by: null, // Clear blocking dependencies
+        resourceExhaustionCount: null, // Clear resource exhaustion count
+      };
+    });
 
     // Save modified tasks back to file
-    await fs.writeFile(tasksJsonPath, JSON.stringify(tasksData, null, 2));
+    await writeTasksFile(tasksJsonPath, tasksData);
 
     // Delete next_task.md if it exists
     try {
-      if (await fs.pathExists(NEXT_TASK_PATH)) {
-        await fs.remove(NEXT_TASK_PATH);
+      if (await fs.pathExists(nextTaskPath)) {
+        await fs.remove(nextTaskPath);
       }
     } catch (error) {
       // Ignore errors if file doesn't exist or can't be deleted
@@ -99,8 +145,8 @@ export async function actionResetTasks() {
 
     // Delete progress.txt if it exists
     try {
-      if (await fs.pathExists(PROGRESS_PATH)) {
-        await fs.remove(PROGRESS_PATH);
+      if (await fs.pathExists(progressPath)) {
+        await fs.remove(progressPath);
       }
     } catch (error) {
       // Ignore errors if file doesn't exist or can't be deleted
@@ -109,7 +155,7 @@ export async function actionResetTasks() {
 
     return {
       success: true,
-      message: `Successfully reset completion status for ${taskCount} task${taskCount !== 1 ? 's' : ''} and deleted next_task.md and progress.txt files.`,
+      message: `Successfully reset completion status for ${taskCount} task${taskCount !== 1 ? 's' : ''} and deleted ${path.basename(nextTaskPath)} and ${path.basename(progressPath)} files.`,
       taskCount,
     };
 
@@ -123,7 +169,7 @@ export async function actionResetTasks() {
     } else if (error.name === "SyntaxError") {
       return {
         success: false,
-        message: "Invalid JSON in tasks.json file. File may be corrupted.",
+        message: "Invalid JSON in tasks.json file. File may be corrupted - run 'ralph repair-tasks' to rebuild it.",
       };
     } else {
       return {
@@ -0,0 +1,189 @@
+/**
+ * Dependency- and Priority-Aware Task Scheduling
+ *
+ * This module decides the order in which user stories are executed. Task
+ * breakdown produces a `dependencies` array and a `priority` (1-100, lower =
+ * higher priority) for every story, but the LLM does not always emit stories in
+ * a valid order. The scheduler turns the stories into a dependency graph and
+ * produces an execution order that never runs a story before the stories it
+ * builds on.
+ *
+ * Scheduling Rules:
+ * - Topological order: a story always comes after all of its dependencies
+ * - Priority tie-breaking: among stories that are ready at the same time, the
+ *   lowest priority number runs first, then original file order
+ * - Blocking: a story whose dependencies are incomplete or failed is not started
+ * - Cycles: stories that are part of (or depend on) a dependency cycle can never
+ *   become ready and are reported so they can be marked as blocked
+ *
+ * Dependency IDs:
+ * Task breakdown emits dependencies as integers (e.g. [1, 2]) while stories are
+ * stored with "US-001" style IDs, so both forms are normalized before matching.
+ */
+
+import { STORY_STATUS, getStoryStatus } from "./story-state.mjs";
+
+/**
+ * Normalize a Story ID to "US-XXX" Format
+ *
+ * Mirrors the ID conversion used when tasks.json is generated so that integer
+ * dependency references (1) match formatted story IDs ("US-001").
+ *
+ * @param {string|number} id - Raw story or dependency ID
+ * @returns {string} Normalized "US-XXX" story ID
+ */
+export function normalizeStoryId(id) {
+  return typeof id === "string" && id.startsWith("US-")
+    ? id
+    : `US-${String(id).padStart(3, "0")}`;
+}
+
+/**
+ * Get a Story's Dependency IDs
+ *
+ * @param {Object} story - User story from tasks.json
+ * @returns {string[]} Normalized dependency IDs (empty if none)
+ */
+export function getDependencyIds(story) {
+  if (!Array.isArray(story.dependencies)) {
+    return [];
+  }
+  return story.dependencies
+    .filter((dep) => dep !== null && dep !== undefined && dep !== "")
+    .map(normalizeStoryId);
+}
+
+/**
+ * Check if a Story Failed in a Previous Attempt
+ *
+ * @param {Object} story - User story from tasks.json
+ * @returns {boolean} True if the story's last attempt failed
+ */
+export function isStoryFailed(story) {
+  return getStoryStatus(story) === STORY_STATUS.FAILED;
+}
+
+/**
+ * Compare Stories by Priority
+ *
+ * Lower priority numbers run first. Stories without a numeric priority run
+ * after prioritized ones. Ties keep the original tasks.json order.
+ *
+ * @param {{story: Object, index: number}} a - First entry
+ * @param {{story: Object, index: number}} b - Second entry
+ * @returns {number} Sort comparison result
+ */
+function compareByPriority(a, b) {
+  const pa = typeof a.story.priority === "number" ? a.story.priority : Infinity;
+  const pb = typeof b.story.priority === "number" ? b.story.priority : Infinity;
+  if (pa !== pb) {
+    return pa < pb ? -1 : 1;
+  }
+  return a.index - b.index;
+}
+
+/**
+ * Build Execution Plan from User Stories
+ *
+ * Orders stories topologically (Kahn's algorithm) using priority to pick among
+ * stories that are ready at the same time. Dependencies that reference unknown
+ * story IDs are reported and ignored for ordering. Stories that can never become
+ * ready because of a cycle are appended at the end in priority order and listed
+ * in `cyclic` so the executor can mark them as blocked.
+ *
+ * @param {Array} stories - User stories from tasks.json
+ * @returns {{ordered: Array, cyclic: Set<string>, unknownDependencies: Array<{id: string, dependency: string}>}}
+ *          Ordered stories, IDs caught in dependency cycles, and unresolved references
+ */
+export function buildExecutionPlan(stories) {
+  const entries = stories.map((story, index) => ({ story, index }));
+  const byId = new Map(entries.map((entry) => [entry.story.id, entry]));
+
+  const unknownDependencies = [];
+  const indegree = new Map();
+  const dependents = new Map();
+
+  for (const entry of entries) {
+    const knownDeps = [];
+    for (const depId of getDependencyIds(entry.story)) {
+      if (depId === entry.story.id) {
+        // Self-dependency is a one-node cycle
+        knownDeps.push(depId);
+      } else if (byId.has(depId)) {
+        knownDeps.push(depId);
+      } else {
+        unknownDependencies.push({ id: entry.story.id, dependency: depId });
+      }
+    }
+
+    indegree.set(entry.story.id, knownDeps.length);
+    for (const depId of knownDeps) {
+      if (!dependents.has(depId)) {
+        dependents.set(depId, []);
+      }
+      dependents.get(depId).push(entry);
+    }
+  }
+
+  // Kahn's algorithm with a priority-ordered ready list
+  const ready = entries.filter((entry) => indegree.get(entry.story.id) === 0);
+  const ordered = [];
+
+  while (ready.length > 0) {
+    ready.sort(compareByPriority);
+    const next = ready.shift();
+    ordered.push(next.story);
+
+    for (const dependent of dependents.get(next.story.id) || []) {
+      const remaining = indegree.get(dependent.story.id) - 1;
+      indegree.set(dependent.story.id, remaining);
+      if (remaining === 0) {
+        ready.push(dependent);
+      }
+    }
+  }
+
+  // Anything left still has unresolved in-degree: it is in, or behind, a cycle
+  const leftover = entries
+    .filter((entry) => indegree.get(entry.story.id) > 0)
+    .sort(compareByPriority);
+  const cyclic = new Set(leftover.map((entry) => entry.story.id));
+  ordered.push(...leftover.map((entry) => entry.story));
+
+  return { ordered, cyclic, unknownDependencies };
+}
+
+/**
+ * Get Unmet Dependencies for a Story
+ *
+ * Returns every dependency that prevents the story from starting, together with
+ * the reason: the dependency failed, is itself blocked, is caught in a cycle, or
+ * simply has not been completed yet. Unknown dependency IDs are ignored (they are
+ * reported once by buildExecutionPlan()).
+ *
+ * @param {Object} story - User story to check
+ * @param {Map<string, Object>} storiesById - All stories keyed by ID
+ * @param {Set<string>} cyclic - Story IDs caught in dependency cycles
+ * @returns {Array<{id: string, reason: string}>} Blocking dependencies (empty if ready)
+ */
+export function getUnmetDependencies(story, storiesById, cyclic = new Set()) {
+  const unmet = [];
+
+  for (const depId of getDependencyIds(story)) {
+    const dep = storiesById.get(depId);
+    if (!dep) continue;
+    if (dep.completed) continue;
+
+    let reason = "incomplete";
+    if (cyclic.has(story.id) && cyclic.has(depId)) {
+      reason = "dependency cycle";
+    } else if (isStoryFailed(dep)) {
+      reason = "failed";
+    } else if (getStoryStatus(dep) === STORY_STATUS.BLOCKED) {
+      reason = "blocked";
+    }
+    unmet.push({ id: depId, reason });
+  }
+
+  return unmet;
+}
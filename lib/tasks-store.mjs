@@ -0,0 +1,385 @@
+/**
+ * Crash-Safe tasks.json Persistence
+ *
+ * tasks.json is rewritten several times per story. A plain in-place write that
+ * is cut short (crash, kill, full disk) leaves a truncated file and the run
+ * cannot resume. Every write of tasks.json goes through writeTasksFile():
+ *
+ * 1. Journal: the changes since the previous write are appended to
+ *    tasks.journal.jsonl (write-ahead, one JSON object per line)
+ * 2. Backup: the current tasks.json, if it is valid JSON, is kept as
+ *    tasks.json.bak
+ * 3. Atomic write: the new content goes to a temp file that is fsynced and
+ *    renamed over tasks.json
+ *
+ * Journal Entries:
+ * - { at, type: "snapshot", data }: the full tasks data (first write of a
+ *   process, changed story list, journal rotation)
+ * - { at, type: "meta", fields }: changed top-level fields (branchName, ...)
+ * - { at, type: "story", id, from, to, fields, removed }: changed story fields;
+ *   from/to are set when the story's status changed
+ *
+ * `ralph repair-tasks` replays the journal from its last snapshot to rebuild an
+ * unreadable tasks.json, falling back to tasks.json.bak. A truncated last
+ * journal line (crash mid-append) is skipped.
+ *
+ * Other workstreams' task files (<name>-tasks.json) get their own backup and
+ * journal (<name>-tasks.json.bak, <name>-tasks.journal.jsonl).
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { TASKS_JOURNAL_MAX_BYTES } from "./config.mjs";
+import { excludeFromGit } from "./git-branch.mjs";
+import { format } from "./log-format.mjs";
+import { getStoryStatus } from "./story-state.mjs";
+import { resolveWorkstream } from "./workstream.mjs";
+
+/**
+ * Last Written State per tasks.json Path
+ *
+ * Serialized top-level fields and stories, used to journal only what changed.
+ */
+const lastWritten = new Map();
+
+/**
+ * Get the Backup and Journal Paths for a tasks.json
+ *
+ * @param {string} tasksJsonPath - Path to tasks.json (or <name>-tasks.json)
+ * @returns {{backup: string, journal: string}} Paths next to tasks.json
+ */
+export function getTasksStorePaths(tasksJsonPath) {
+  const dir = path.dirname(tasksJsonPath);
+  return {
+    backup: `${tasksJsonPath}.bak`,
+    journal: path.join(
+      dir,
+      `${path.basename(tasksJsonPath, ".json")}.journal.jsonl`,
+    ),
+  };
+}
+
+/**
+ * Serialize Tasks Data for Change Detection
+ *
+ * @param {Object} tasksData - Tasks data
+ * @returns {{meta: Object<string, string>, ids: string[], stories: Map<string, Object<string, string>>}}
+ *          JSON of each top-level field and of each story field
+ */
+function serializeState(tasksData) {
+  const serializeFields = (object) =>
+    Object.fromEntries(
+      Object.entries(object)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, JSON.stringify(value)]),
+    );
+  const { userStories = [], ...meta } = tasksData;
+  return {
+    meta: serializeFields(meta),
+    ids: userStories.map((story) => story.id),
+    stories: new Map(
+      userStories.map((story) => [story.id, serializeFields(story)]),
+    ),
+  };
+}
+
+/**
+ * Diff Two Serialized Field Sets
+ *
+ * @param {Object<string, string>} before - Previous serialized fields
+ * @param {Object<string, string>} after - Current serialized fields
+ * @returns {{fields: Object, removed: string[]}} Changed/added values and removed keys
+ */
+function diffFields(before, after) {
+  const fields = {};
+  for (const [key, value] of Object.entries(after)) {
+    if (before[key] !== value) {
+      fields[key] = JSON.parse(value);
+    }
+  }
+  const removed = Object.keys(before).filter((key) => !(key in after));
+  return { fields, removed };
+}
+
+/**
+ * Build the Journal Entries for a Write
+ *
+ * @param {Object|null} previous - Serialized state of the previous write (null: none)
+ * @param {Object} current - Serialized state of this write
+ * @param {Object} tasksData - Tasks data being written
+ * @returns {Object[]} Journal entries (empty if nothing changed)
+ */
+function buildJournalEntries(previous, current, tasksData) {
+  const at = new Date().toISOString();
+  if (!previous || previous.ids.join("\n") !== current.ids.join("\n")) {
+    return [{ at, type: "snapshot", data: tasksData }];
+  }
+
+  const entries = [];
+  const meta = diffFields(previous.meta, current.meta);
+  if (Object.keys(meta.fields).length > 0 || meta.removed.length > 0) {
+    entries.push({ at, type: "meta", ...meta });
+  }
+  for (const id of current.ids) {
+    const before = previous.stories.get(id);
+    const after = current.stories.get(id);
+    const { fields, removed } = diffFields(before, after);
+    if (Object.keys(fields).length === 0 && removed.length === 0) {
+      continue;
+    }
+    const entry = { at, type: "story", id };
+    if ("status" in fields && before.status) {
+      entry.from = JSON.parse(before.status);
+      entry.to = fields.status;
+    }
+    entries.push({ ...entry, fields, removed });
+  }
+  return entries;
+}
+
+/**
+ * Append Entries to the Journal
+ *
+ * Rotates the journal once it exceeds TASKS_JOURNAL_MAX_BYTES; the new journal
+ * starts with a snapshot so it can be replayed on its own.
+ *
+ * @param {string} journalPath - Path to tasks.journal.jsonl
+ * @param {Object[]} entries - Journal entries
+ * @param {Object} tasksData - Tasks data being written (for the rotation snapshot)
+ * @returns {Promise<void>}
+ */
+async function appendJournal(journalPath, entries, tasksData) {
+  let toWrite = entries;
+  const stats = await fs.stat(journalPath).catch(() => null);
+  if (stats && stats.size > TASKS_JOURNAL_MAX_BYTES) {
+    await fs.move(journalPath, `${journalPath}.1`, { overwrite: true });
+    toWrite = [
+      { at: new Date().toISOString(), type: "snapshot", data: tasksData },
+    ];
+  }
+  // A crash mid-append leaves a line without its newline; start on a fresh line
+  const separator =
+    toWrite === entries &&
+    stats?.size > 0 &&
+    !(await endsWithNewline(journalPath))
+      ? "\n"
+      : "";
+  const lines = toWrite.map((entry) => JSON.stringify(entry)).join("\n");
+  await fs.appendFile(journalPath, `${separator}${lines}\n`);
+}
+
+/**
+ * Check if a File Ends with a Newline
+ *
+ * @param {string} filePath - Non-empty file
+ * @returns {Promise<boolean>} True if the last byte is "\n"
+ */
+async function endsWithNewline(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] === 0x0a;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Write a File Atomically
+ *
+ * @param {string} filePath - Destination
+ * @param {string} content - File content
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tempPath, "w");
+  try {
+    await handle.writeFile(content);
+    await handle.sync(); // On disk before the rename makes it visible
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Write tasks.json Safely
+ *
+ * Journals the changes, keeps the previous valid version as tasks.json.bak,
+ * then replaces tasks.json atomically. Callers writing concurrently must
+ * serialize their calls (see createTasksSaver() in dev-executor.mjs).
+ *
+ * @param {string} tasksJsonPath - Path to tasks.json
+ * @param {Object} tasksData - Tasks data to persist
+ * @returns {Promise<void>}
+ */
+export async function writeTasksFile(tasksJsonPath, tasksData) {
+  const { backup, journal } = getTasksStorePaths(tasksJsonPath);
+  const content = JSON.stringify(tasksData, null, 2);
+  await fs.ensureDir(path.dirname(tasksJsonPath));
+
+  // Journal and backup are local recovery state, not project history
+  const store = lastWritten.get(tasksJsonPath);
+  const excluded =
+    store?.excluded ||
+    excludeFromGit(path.dirname(path.dirname(tasksJsonPath)), [
+      backup,
+      `${journal}*`,
+    ]);
+
+  const current = serializeState(tasksData);
+  const entries = buildJournalEntries(store?.state ?? null, current, tasksData);
+  if (entries.length > 0) {
+    await appendJournal(journal, entries, tasksData);
+  }
+
+  // Only a readable previous version is worth keeping
+  const previousContent = await fs
+    .readFile(tasksJsonPath, "utf8")
+    .catch(() => null);
+  if (previousContent && previousContent !== content) {
+    try {
+      JSON.parse(previousContent);
+      await writeFileAtomic(backup, previousContent);
+    } catch {
+      // Corrupt current file: keep the last good backup
+    }
+  }
+
+  await writeFileAtomic(tasksJsonPath, content);
+  lastWritten.set(tasksJsonPath, { state: current, excluded });
+}
+
+/**
+ * Rebuild Tasks Data from the Journal
+ *
+ * @param {string} journalPath - Path to tasks.journal.jsonl
+ * @returns {Promise<{data: Object, entries: number, skipped: number}|null>}
+ *          Rebuilt data, entries applied after the last snapshot, unreadable
+ *          lines skipped; null if the journal has no snapshot
+ */
+export async function replayJournal(journalPath) {
+  const content = await fs.readFile(journalPath, "utf8").catch(() => "");
+  const entries = [];
+  let skipped = 0;
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      skipped += 1; // Truncated by a crash mid-append
+    }
+  }
+
+  const start = entries.findLastIndex((entry) => entry.type === "snapshot");
+  if (start === -1) {
+    return null;
+  }
+
+  const data = structuredClone(entries[start].data);
+  const storiesById = new Map(
+    data.userStories.map((story) => [story.id, story]),
+  );
+  const applyFields = (target, { fields = {}, removed = [] }) => {
+    Object.assign(target, fields);
+    for (const key of removed) delete target[key];
+  };
+  for (const entry of entries.slice(start + 1)) {
+    if (entry.type === "meta") {
+      applyFields(data, entry);
+    } else if (entry.type === "story" && storiesById.has(entry.id)) {
+      applyFields(storiesById.get(entry.id), entry);
+    }
+  }
+  return { data, entries: entries.length - start - 1, skipped };
+}
+
+/**
+ * Repair Tasks Action - Rebuild an unreadable tasks.json
+ *
+ * Uses the journal, or tasks.json.bak when there is no usable journal. The
+ * unreadable file is kept as tasks.json.corrupt-<timestamp>.
+ *
+ * @param {string} projectPath - Absolute path to the project directory
+ * @param {Object} [options] - Repair options
+ * @param {boolean} [options.force] - Rebuild even if tasks.json is readable
+ * @param {string} [options.tasksFile] - Workstream task file to repair
+ *        (default: tasks/tasks.json; see resolveWorkstream())
+ * @returns {Promise<boolean>} True if tasks.json is readable afterwards
+ */
+export async function actionRepairTasks(projectPath, options = {}) {
+  const { tasksJsonPath, fileName } = resolveWorkstream(
+    projectPath,
+    options.tasksFile,
+  );
+  const { backup, journal } = getTasksStorePaths(tasksJsonPath);
+
+  const currentContent = await fs
+    .readFile(tasksJsonPath, "utf8")
+    .catch(() => null);
+  if (currentContent !== null && !options.force) {
+    try {
+      JSON.parse(currentContent);
+      console.log(
+        format(
+          "git_ok",
+          `✓ ${fileName} is readable - nothing to repair (use --force to rebuild it from the journal anyway)`,
+        ),
+      );
+      return true;
+    } catch (error) {
+      console.log(
+        format("warning", `${fileName} is unreadable: ${error.message}`),
+      );
+    }
+  }
+
+  let rebuilt = null;
+  const replayed = await replayJournal(journal);
+  if (replayed) {
+    rebuilt = replayed.data;
+    console.log(
+      format(
+        "orchestrator",
+        `Rebuilt from ${path.basename(journal)}: last snapshot + ${replayed.entries} change${replayed.entries === 1 ? "" : "s"}${replayed.skipped ? ` (${replayed.skipped} unreadable line${replayed.skipped === 1 ? "" : "s"} skipped)` : ""}`,
+      ),
+    );
+  } else {
+    try {
+      rebuilt = JSON.parse(await fs.readFile(backup, "utf8"));
+      console.log(
+        format(
+          "warning",
+          `No usable journal - restored ${path.basename(backup)} (the last write may be missing)`,
+        ),
+      );
+    } catch {
+      console.error(
+        format(
+          "error",
+          `✗ Neither the journal nor ${path.basename(backup)} can rebuild ${fileName}. Regenerate it from your PRD with 'ralph create-tasks'.`,
+        ),
+      );
+      process.exitCode = 1;
+      return false;
+    }
+  }
+
+  if (currentContent !== null) {
+    const corruptPath = `${tasksJsonPath}.corrupt-${Date.now()}`;
+    await fs.writeFile(corruptPath, currentContent);
+    console.log(format("task", `Previous file kept as ${corruptPath}`));
+  }
+  await writeTasksFile(tasksJsonPath, rebuilt);
+
+  const stories = rebuilt.userStories || [];
+  console.log(
+    format("git_ok", `✓ Restored ${fileName} with ${stories.length} stories`),
+  );
+  for (const story of stories) {
+    console.log(format("task", `  - ${story.id}: ${getStoryStatus(story)}`));
+  }
+  return true;
+}
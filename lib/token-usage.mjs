@@ -0,0 +1,183 @@
+/**
+ * Token Usage Accounting
+ *
+ * Counts the tokens an agent call used, from the backend's own usage reports
+ * when it sends them (codex, gemini, cursor-agent result events) and from an
+ * estimate over the call's events otherwise. The loop used to call the byte
+ * length of the agent's final answers a "token count", which ignored prompts,
+ * file reads and tool output.
+ *
+ * Usage Fields (tasks.json and activity logs):
+ * - input_tokens, output_tokens, cached_input_tokens
+ * - estimated: true if any part of the total was estimated rather than reported
+ *
+ * Context Size:
+ * What a call adds to its conversation (prompt, messages, reasoning, tool calls
+ * and their output, answers) is always estimated: usage reports count every
+ * model request of a turn, not what the conversation holds. ralphLoop() sums it
+ * per conversation to decide when to rotate (MAX_CONTEXT_TOKENS).
+ *
+ * Estimate:
+ * Text is split the way BPE tokenizers pre-split it (words with their leading
+ * space, short digit runs, punctuation runs, whitespace), and each piece counts
+ * one token per 5 characters. That stays close to real tokenizers for code and
+ * English prose, where a byte count overstates tokens about 4x.
+ */
+
+const TOKEN_PIECES = /\s?[\p{L}\p{M}]+|\s?\p{N}{1,3}|\s?[^\s\p{L}\p{M}\p{N}]+|\s+/gu;
+const CHARS_PER_TOKEN = 5;
+
+/**
+ * Estimate the Tokens in a Text
+ *
+ * @param {string|null} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  let tokens = 0;
+  for (const [piece] of text.matchAll(TOKEN_PIECES)) {
+    tokens += Math.max(1, Math.ceil(piece.trim().length / CHARS_PER_TOKEN));
+  }
+  return tokens;
+}
+
+/**
+ * Create an Empty Usage Total
+ *
+ * @returns {{input_tokens: number, output_tokens: number, cached_input_tokens: number, estimated: boolean}}
+ */
+export function emptyUsage() {
+  return {
+    input_tokens: 0,
+    output_tokens: 0,
+    cached_input_tokens: 0,
+    estimated: false,
+  };
+}
+
+/**
+ * Add Usage to a Total
+ *
+ * @param {Object|null} total - Usage total (other fields such as runs or
+ *        iterations are kept)
+ * @param {Object|null} usage - Usage to add
+ * @returns {Object} New total
+ */
+export function addUsage(total, usage) {
+  const base = { ...emptyUsage(), ...total };
+  return {
+    ...base,
+    input_tokens: base.input_tokens + (usage?.input_tokens || 0),
+    output_tokens: base.output_tokens + (usage?.output_tokens || 0),
+    cached_input_tokens:
+      base.cached_input_tokens + (usage?.cached_input_tokens || 0),
+    estimated: base.estimated || Boolean(usage?.estimated),
+  };
+}
+
+/**
+ * Format a Token Count
+ *
+ * @param {number} tokens - Token count
+ * @returns {string} e.g. "850", "12.3k", "1.24M"
+ */
+export function formatTokens(tokens) {
+  if (tokens >= 1_000_000) {
+    return `${(tokens / 1_000_000).toFixed(2)}M`;
+  }
+  if (tokens >= 1000) {
+    return `${(tokens / 1000).toFixed(1)}k`;
+  }
+  return String(tokens);
+}
+
+/**
+ * Describe a Usage Total
+ *
+ * @param {Object} usage - Usage total
+ * @returns {string} e.g. "12.3k in (8.0k cached) / 1.2k out (estimated)"
+ */
+export function describeUsage(usage) {
+  const cached = usage.cached_input_tokens
+    ? ` (${formatTokens(usage.cached_input_tokens)} cached)`
+    : "";
+  return `${formatTokens(usage.input_tokens)} in${cached} / ${formatTokens(usage.output_tokens)} out${usage.estimated ? " (estimated)" : ""}`;
+}
+
+/**
+ * Split an Event's Text into What the Model Read and What It Wrote
+ *
+ * @param {Object} event - Normalized agent event (see agent-backend.mjs)
+ * @returns {{input: string, output: string}} Text on each side
+ */
+function eventText(event) {
+  const asText = (value) => {
+    if (value == null) {
+      return "";
+    }
+    return typeof value === "string" ? value : JSON.stringify(value);
+  };
+  switch (event.type) {
+    case "message":
+      return { input: event.text || "", output: "" };
+    case "tool_result":
+      return {
+        input: asText(event.output) + asText(event.error),
+        output: "",
+      };
+    case "thinking":
+    case "assistant":
+      return { input: "", output: event.text || "" };
+    case "tool_call":
+      return { input: "", output: asText(event.tool?.args) };
+    default:
+      return { input: "", output: "" };
+  }
+}
+
+/**
+ * Create a Usage Meter for One Agent Call
+ *
+ * @param {string} prompt - Prompt sent to the agent (echoed user messages
+ *        with the same text are not counted twice)
+ * @returns {{record: Function, usage: Function, contextTokens: Function, outputTokens: Function}}
+ *          record(event) takes every normalized event; usage() returns the
+ *          call's usage (reported if the backend sent any, else estimated);
+ *          contextTokens() the estimated tokens the call added to its
+ *          conversation; outputTokens() the output so far (for progress)
+ */
+export function createUsageMeter(prompt) {
+  let reported = null;
+  let inputTokens = estimateTokens(prompt);
+  let outputTokens = 0;
+
+  return {
+    record: (event) => {
+      if (event.type === "usage") {
+        reported = addUsage(reported, event.usage);
+        return;
+      }
+      if (event.type === "message" && event.text === prompt) {
+        return;
+      }
+      const { input, output } = eventText(event);
+      inputTokens += estimateTokens(input);
+      outputTokens += estimateTokens(output);
+    },
+
+    usage: () =>
+      reported || {
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        cached_input_tokens: 0,
+        estimated: true,
+      },
+
+    contextTokens: () => inputTokens + outputTokens,
+
+    outputTokens: () => reported?.output_tokens || outputTokens,
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Tool Usage Tracking
+ *
+ * Records what an agent touched while working on a story, from the structured
+ * tool events runAgent() streams (not from the log text). The summary is
+ * stored in task.stats as audit data.
+ *
+ * Events (normalized, see agent-backend.mjs):
+ * - tool_call: counts the call
+ * - tool_result: records the call with its outcome
+ * Calls that never complete (e.g. an interrupted iteration) are counted but
+ * not recorded.
+ *
+ * Summary (task.stats fields):
+ * - tool_calls: every tool call started
+ * - files_read, files_edited (write/edit), files_deleted: sorted paths of
+ *   successful calls, relative to the story's working directory
+ * - commands: [{ command, exit_code, success }] in call order; exit_code is null
+ *   when the tool does not report one (MCP execute_shell_command)
+ * - mcp_tools: { <tool name>: call count }
+ */
+
+import path from "path";
+
+const FILE_KINDS = {
+  read: "read",
+  write: "edited",
+  edit: "edited",
+  delete: "deleted",
+};
+
+/**
+ * Create a Tool Usage Tracker
+ *
+ * @param {Object} [options] - Tracker options
+ * @param {string} [options.cwd] - Working directory the story runs in (absolute
+ *        paths inside it are recorded relative to it)
+ * @returns {{record: Function, summary: Function}} record(event) takes every
+ *          agent event (non-tool events are ignored); summary() returns the
+ *          task.stats fields
+ */
+export function createToolUsageTracker({ cwd = process.cwd() } = {}) {
+  let toolCalls = 0;
+  const files = { read: new Set(), edited: new Set(), deleted: new Set() };
+  const commands = [];
+  const mcpTools = {};
+
+  const relativePath = (filePath) => {
+    const relative = path.relative(cwd, path.resolve(cwd, filePath));
+    return relative.startsWith("..") ? filePath : relative;
+  };
+
+  return {
+    record: (event) => {
+      if (event.type === "tool_call") {
+        toolCalls++;
+        return;
+      }
+      if (event.type !== "tool_result") {
+        return;
+      }
+
+      const { kind, name, path: filePath, command } = event.tool;
+      if (kind === "mcp") {
+        mcpTools[name] = (mcpTools[name] || 0) + 1;
+      }
+      if (command) {
+        commands.push({
+          command,
+          exit_code: event.exitCode ?? null,
+          success:
+            event.success && (event.exitCode == null || event.exitCode === 0),
+        });
+      }
+      if (FILE_KINDS[kind] && filePath && event.success) {
+        files[FILE_KINDS[kind]].add(relativePath(filePath));
+      }
+    },
+
+    summary: () => ({
+      tool_calls: toolCalls,
+      files_read: [...files.read].sort(),
+      files_edited: [...files.edited].sort(),
+      files_deleted: [...files.deleted].sort(),
+      commands: [...commands],
+      mcp_tools: { ...mcpTools },
+    }),
+  };
+}
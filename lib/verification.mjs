@@ -0,0 +1,166 @@
+/**
+ * Story Verification Gate
+ *
+ * This module runs the project's own checks (tests, type-check, lint, build)
+ * after the Ralph Loop reports a story as complete. A story is only marked
+ * completed and committed when every verification command exits successfully;
+ * otherwise the failing output is handed back to the agent for another round.
+ *
+ * Command Sources (first non-empty wins):
+ * 1. `--verify "<command>"` CLI options (repeatable)
+ * 2. `verificationCommands` array at the top level of tasks.json
+ * 3. VERIFICATION_COMMANDS in config.mjs
+ *
+ * Verification Log:
+ * Every run is appended to logs/verify-<story-id>-<run-id>.log with the command,
+ * exit code, duration and full output, so failures can be inspected after the
+ * console output has scrolled away.
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { exec } from "child_process";
+import { promisify } from "util";
+import {
+  LOG_DIR,
+  RUN_ID,
+  VERIFICATION_COMMANDS,
+  VERIFICATION_TIMEOUT_MS,
+} from "./config.mjs";
+
+const execAsync = promisify(exec);
+
+/**
+ * Maximum characters of failing output fed back to the agent per command.
+ * Test runners can print megabytes; the tail usually holds the failure summary.
+ */
+const MAX_FEEDBACK_OUTPUT_CHARS = 4000;
+
+/**
+ * Resolve the Verification Commands for a Run
+ *
+ * @param {Object} tasksData - Parsed tasks.json
+ * @param {Object} options - Execution options (options.verify: string[])
+ * @returns {string[]} Commands to run after each story (empty = gate disabled)
+ */
+export function getVerificationCommands(tasksData, options = {}) {
+  if (options.verify?.length) {
+    return options.verify;
+  }
+  if (Array.isArray(tasksData.verificationCommands)) {
+    return tasksData.verificationCommands.filter(
+      (command) => typeof command === "string" && command.trim(),
+    );
+  }
+  return VERIFICATION_COMMANDS;
+}
+
+/**
+ * Get the Verification Log Path for a Story
+ *
+ * @param {string} taskId - User story ID
+ * @returns {string} Absolute path of the story's verification log
+ */
+export function getVerificationLogPath(taskId) {
+  return path.join(LOG_DIR, `verify-${taskId}-${RUN_ID}.log`);
+}
+
+/**
+ * Run Verification Commands for a Story
+ *
+ * Runs every command (even after a failure) so the agent gets the full picture
+ * in one round. Commands run asynchronously so parallel stories keep streaming
+ * while another story is being verified.
+ *
+ * @param {string[]} commands - Shell commands to run
+ * @param {Object} params - Run parameters
+ * @param {string} params.cwd - Directory to run the commands in
+ * @param {string} params.taskId - User story ID (used for the log file)
+ * @param {number} params.attempt - Verification attempt number (1-based)
+ * @returns {Promise<{passed: boolean, logPath: string, results: Array<{command: string, exitCode: number, durationMs: number, output: string}>}>}
+ *          Overall outcome, log location and per-command results
+ */
+export async function runVerification(commands, { cwd, taskId, attempt }) {
+  const logPath = getVerificationLogPath(taskId);
+  await fs.ensureDir(LOG_DIR);
+  await fs.appendFile(
+    logPath,
+    `=== Verification attempt ${attempt} (${new Date().toISOString()}) ===\ncwd: ${cwd}\n\n`,
+  );
+
+  const results = [];
+  for (const command of commands) {
+    const startTime = Date.now();
+    let exitCode = 0;
+    let output = "";
+
+    try {
+      const { stdout, stderr } = await execAsync(command, {
+        cwd,
+        timeout: VERIFICATION_TIMEOUT_MS,
+        maxBuffer: 20 * 1024 * 1024,
+        env: { ...process.env, CI: "true" }, // Keep watch-mode runners from hanging
+      });
+      output = `${stdout}${stderr}`;
+    } catch (error) {
+      // exec rejects on non-zero exit, timeout (killed) or spawn failure
+      exitCode = typeof error.code === "number" ? error.code : 1;
+      output = `${error.stdout || ""}${error.stderr || ""}`;
+      if (error.killed) {
+        output += `\nTimed out after ${VERIFICATION_TIMEOUT_MS / 1000}s`;
+      } else if (!output) {
+        output = error.message;
+      }
+    }
+
+    const durationMs = Date.now() - startTime;
+    results.push({ command, exitCode, durationMs, output });
+    await fs.appendFile(
+      logPath,
+      `$ ${command}\nexit code: ${exitCode} (${(durationMs / 1000).toFixed(1)}s)\n${output}\n\n`,
+    );
+  }
+
+  return {
+    passed: results.every((result) => result.exitCode === 0),
+    logPath,
+    results,
+  };
+}
+
+/**
+ * Format Verification Failures as Agent Feedback
+ *
+ * Produces a markdown section appended to next_task.md for the next Ralph Loop
+ * round. It contains an unchecked checkbox so the loop does not treat the task
+ * as complete until the agent has addressed the failures.
+ *
+ * @param {Object} verification - Result of runVerification()
+ * @param {number} attempt - Verification attempt that failed (1-based)
+ * @returns {string} Markdown feedback section
+ */
+export function formatVerificationFeedback(verification, attempt) {
+  const failures = verification.results
+    .filter((result) => result.exitCode !== 0)
+    .map((result) => {
+      const output =
+        result.output.length > MAX_FEEDBACK_OUTPUT_CHARS
+          ? `...(truncated)\n${result.output.slice(-MAX_FEEDBACK_OUTPUT_CHARS)}`
+          : result.output;
+      // Neutralize checkboxes in tool output so they don't count as task criteria
+      const safeOutput = output.replace(/\[([x ])\]/gi, "($1)");
+      return `### \`${result.command}\` (exit code ${result.exitCode})\n\n\`\`\`\n${safeOutput.trim()}\n\`\`\``;
+    })
+    .join("\n\n");
+
+  return `
+
+## Verification Failed (attempt ${attempt})
+
+The work was reported as complete, but the project's verification commands failed.
+Fix the underlying problems (do not weaken or skip the checks), then mark the item below as done.
+
+[ ] All verification commands pass
+
+${failures}`;
+}
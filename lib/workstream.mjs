@@ -0,0 +1,132 @@
+/**
+ * Workstreams - One Task File, One Set of Run State
+ *
+ * A project can keep several task lists side by side (tasks.json for the main
+ * feature, bugs-tasks.json, tech-debt-tasks.json, ...). Each task file is a
+ * workstream with its own state, progress log, next_task file and feature
+ * branch (its branchName), so running one never touches another.
+ *
+ * Files per Workstream (all in the project's tasks/ directory):
+ * - tasks.json (default) → progress.txt, next_task.md, artifacts/
+ * - <name>-tasks.json → <name>-progress.txt, <name>-next_task.md,
+ *   <name>-artifacts/
+ * - The tasks.json.bak backup and journal are per file as well (tasks-store)
+ *
+ * Selecting a Workstream (`--tasks <file>` on the dev commands):
+ * - a bare name: "bugs" → tasks/bugs-tasks.json
+ * - a file name: "bugs-tasks.json" → tasks/bugs-tasks.json
+ * - a path inside tasks/: "tasks/bugs-tasks.json"
+ *
+ * Task files must live in tasks/: that directory is kept out of story commits
+ * and rollbacks (see getProjectPathspec()). Workstreams still share one working
+ * tree, so the project lock lets only one of them run at a time.
+ */
+
+import path from "path";
+
+const DEFAULT_TASKS_FILE = "tasks.json";
+const TASKS_FILE_SUFFIX = "-tasks.json";
+
+/**
+ * Workstream Error Class
+ *
+ * Thrown by resolveWorkstream() for a --tasks value that does not name a task
+ * file in tasks/.
+ */
+export class WorkstreamError extends Error {
+  constructor(message, tasksFile) {
+    super(message);
+    this.name = "WorkstreamError";
+    this.tasksFile = tasksFile;
+  }
+}
+
+/**
+ * Check if a File Name Is a Task File
+ *
+ * @param {string} fileName - File name without directory
+ * @returns {boolean} True for "tasks.json" and "<name>-tasks.json"
+ */
+export function isTasksFileName(fileName) {
+  return (
+    fileName === DEFAULT_TASKS_FILE ||
+    (fileName.endsWith(TASKS_FILE_SUFFIX) &&
+      fileName.length > TASKS_FILE_SUFFIX.length)
+  );
+}
+
+/**
+ * Resolve a Workstream
+ *
+ * @param {string} projectPath - Project directory
+ * @param {string|null} [tasksFile] - Bare name, file name or path of the task
+ *        file (default: tasks/tasks.json)
+ * @returns {{name: string, fileName: string, tasksJsonPath: string, progressPath: string, nextTaskPath: string, artifactsDir: string}}
+ *          Workstream name ("tasks" for the default) and its absolute file paths
+ * @throws {WorkstreamError} If tasksFile is not a task file inside tasks/
+ */
+export function resolveWorkstream(projectPath, tasksFile = null) {
+  const tasksDir = path.join(projectPath, "tasks");
+  let tasksJsonPath;
+  if (!tasksFile) {
+    tasksJsonPath = path.join(tasksDir, DEFAULT_TASKS_FILE);
+  } else if (tasksFile.includes("/") || tasksFile.includes(path.sep)) {
+    tasksJsonPath = path.resolve(projectPath, tasksFile);
+  } else if (tasksFile.endsWith(".json")) {
+    tasksJsonPath = path.join(tasksDir, tasksFile);
+  } else {
+    tasksJsonPath = path.join(
+      tasksDir,
+      tasksFile === "tasks"
+        ? DEFAULT_TASKS_FILE
+        : `${tasksFile}${TASKS_FILE_SUFFIX}`,
+    );
+  }
+
+  const fileName = path.basename(tasksJsonPath);
+  if (path.dirname(tasksJsonPath) !== tasksDir) {
+    throw new WorkstreamError(
+      `Task file ${tasksFile} must be in ${tasksDir}`,
+      tasksFile,
+    );
+  }
+  if (!isTasksFileName(fileName)) {
+    throw new WorkstreamError(
+      `Task file ${tasksFile} must be named ${DEFAULT_TASKS_FILE} or <name>${TASKS_FILE_SUFFIX}`,
+      tasksFile,
+    );
+  }
+
+  if (fileName === DEFAULT_TASKS_FILE) {
+    return {
+      name: "tasks",
+      fileName,
+      tasksJsonPath,
+      progressPath: path.join(tasksDir, "progress.txt"),
+      nextTaskPath: path.join(tasksDir, "next_task.md"),
+      artifactsDir: path.join(tasksDir, "artifacts"),
+    };
+  }
+  const name = fileName.slice(0, -TASKS_FILE_SUFFIX.length);
+  return {
+    name,
+    fileName,
+    tasksJsonPath,
+    progressPath: path.join(tasksDir, `${name}-progress.txt`),
+    nextTaskPath: path.join(tasksDir, `${name}-next_task.md`),
+    artifactsDir: path.join(tasksDir, `${name}-artifacts`),
+  };
+}
+
+/**
+ * Format a Ralph Command for a Workstream
+ *
+ * @param {string} command - Command and options, e.g. "restart-dev"
+ * @param {Object} workstream - Workstream (see resolveWorkstream())
+ * @returns {string} e.g. "ralph restart-dev" or "ralph restart-dev --tasks bugs"
+ */
+export function formatWorkstreamCommand(command, workstream) {
+  return workstream.name === "tasks"
+    ? `ralph ${command}`
+    : `ralph ${command} --tasks ${workstream.name}`;
+}
@@ -1,1159 +1,3 @@
-// Core UI imports - handle user interaction and menu display
-import { showMainMenu } from "./lib/menu.mjs";
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-// Workflow phase imports - each handles a major step in the development process
-import { actionCreatePRD } from "./lib/prd-generator.mjs"; // Phase 1: PRD generation from user requirements
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-import { actionCreateTasks, actionCreateTasksFromDescription } from "./lib/task-generator.mjs"; // Phase 2: Task breakdown from PRDs
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-import { actionRunDev, actionDev, actionRestartDev } from "./lib/dev-executor.mjs"; // Phase 3: Development execution with agents
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-import { actionResetTasks } from "./lib/task-reset.mjs"; // Task reset functionality
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-import { actionLearnSkills } from "./lib/skill-learner.mjs"; // Skill learning from progress
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-import { analyzeLogs } from "./lib/log-analyzer.mjs"; // Log analysis functionality
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-import { actionCreateRecommendationsReport } from "./lib/recommendations-generator.mjs"; // Recommendations report generation
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-import { ResourceExhaustionError } from "./lib/agent-runner.mjs"; // Resource exhaustion error handling
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-import { MAX_CONTEXT_SIZE_BYTES } from "./lib/config.mjs"; // Configuration constants
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-/**
- * Parse command line arguments for direct command execution
- *
- * @param {string[]} args - Command line arguments
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
- * @returns {Object} Parsed command configuration
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
- */
-function parseArgs(args) {
-  if (args.length === 0) {
-    return { mode: 'interactive' };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-  }
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-  const command = args[0].toLowerCase();
-  const commandArgs = args.slice(1);
-
-  switch (command) {
-    case 'dev':
-    case 'resume':
-      return {
-        mode: 'direct',
-        action: 'dev',
-        args: commandArgs
-      };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-    case 'run-dev':
-    case 'rundev':
-      return {
-        mode: 'direct',
-        action: 'run_dev',
-        args: commandArgs
-      };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-    case 'restart-dev':
-    case 'restartdev':
-    case 'restart':
-      return {
-        mode: 'direct',
-        action: 'restart_dev',
-        args: commandArgs
-      };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-    case 'create-prd':
-    case 'createprd':
-    case 'prd':
-      return {
-        mode: 'direct',
-        action: 'create_prd',
-        args: commandArgs
-      };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-    case 'create-tasks':
-    case 'createtasks':
-    case 'tasks':
-      return {
-        mode: 'direct',
-        action: 'create_tasks',
-        args: commandArgs
-      };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-    case 'create-tasks-quick':
-    case 'createtasksquick':
-    case 'quick':
-      return {
-        mode: 'direct',
-        action: 'create_tasks_quick',
-        args: commandArgs
-      };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-    case 'reset-tasks':
-    case 'resettasks':
-    case 'reset':
-      return {
-        mode: 'direct',
-        action: 'reset_tasks',
-        args: commandArgs
-      };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-    case 'learn-skills':
-    case 'learnskills':
-    case 'learn':
-      return {
-        mode: 'direct',
-        action: 'learn_skills',
-        args: commandArgs
-      };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-    case 'analyze-logs':
-    case 'analyzelogs':
-    case 'analyze':
-      return {
-        mode: 'direct',
-        action: 'analyze_logs',
-        args: commandArgs
-      };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-    case 'create-recommendations':
-    case 'createrecommendations':
-    case 'recommendations':
-      return {
-        mode: 'direct',
-        action: 'create_recommendations',
-        args: commandArgs
-      };
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
-    case 'help':
-    case '--help':
-    case '-h':
-      showHelp();
-      process.exit(0);
-      break;
-
-    default:
-      console.error(`Unknown command: ${command}`);
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-      console.error("Use 'ralph help' for usage information");
-      process.exit(1);
-  }
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-}
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
 #!/usr/bin/env node
 
 /**
@@ -1182,56 +26,41 @@ For interactive mode with all options, run without arguments.
 // Core UI imports - handle user interaction and menu display
 import { showMainMenu } from "./lib/menu.mjs";
 
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
-
 // Workflow phase imports - each handles a major step in the development process
 import { actionCreatePRD } from "./lib/prd-generator.mjs"; // Phase 1: PRD generation from user requirements
 import { actionCreateTasks, actionCreateTasksFromDescription } from "./lib/task-generator.mjs"; // Phase 2: Task breakdown from PRDs
-import { actionRunDev, actionDev, actionRestartDev } from "./lib/dev-executor.mjs"; // Phase 3: Development execution with agents
+import { actionRunDev, actionDev, actionRestartDev, actionRunTask, ON_FAILURE_POLICIES } from "./lib/dev-executor.mjs"; // Phase 3: Development execution with agents
 import { actionResetTasks } from "./lib/task-reset.mjs"; // Task reset functionality
 import { actionLearnSkills } from "./lib/skill-learner.mjs"; // Skill learning from progress
 import { analyzeLogs } from "./lib/log-analyzer.mjs"; // Log analysis functionality
 import { actionCreateRecommendationsReport } from "./lib/recommendations-generator.mjs"; // Recommendations report generation
+import { actionDoctor } from "./lib/doctor.mjs"; // Pre-flight environment check
+import { acquireProjectLock, withProjectLock, actionUnlock } from "./lib/project-lock.mjs"; // One Ralph run per project
+import { actionRepairTasks } from "./lib/tasks-store.mjs"; // Rebuild tasks.json from its journal
 import { ResourceExhaustionError } from "./lib/agent-runner.mjs"; // Resource exhaustion error handling
-import { MAX_CONTEXT_SIZE_BYTES } from "./lib/config.mjs"; // Configuration constants
+import { MAX_CONTEXT_TOKENS } from "./lib/config.mjs"; // Configuration constants
+import { ROLLBACK_POLICIES } from "./lib/story-rollback.mjs"; // Valid --rollback values
+import { parseDuration, parseClockTime } from "./lib/run-budget.mjs"; // --max-duration / --until parsing
+import { resolveWorkstream } from "./lib/workstream.mjs"; // --tasks workstream selection
+import { AGENT_BACKEND_NAMES } from "./lib/agent-backend.mjs"; // Valid --backend values
+import { assertRecordDirectory, assertReplayDirectory } from "./lib/agent-replay.mjs"; // --record / --replay checks
+
+/**
+ * Actions that change project state (tasks/, progress.txt, git) and therefore
+ * hold the project lock while they run
+ */
+const LOCKED_ACTIONS = new Set([
+  'dev',
+  'run_dev',
+  'restart_dev',
+  'run_task',
+  'create_tasks',
+  'create_tasks_quick',
+  'reset_tasks',
+  'repair_tasks',
+  'learn_skills'
+]);
 
-/**
 /**
  * Parse command line arguments for direct command execution
  *
@@ -1272,6 +101,14 @@ function parseArgs(args) {
         args: commandArgs
       };
 
+    case 'run-task':
+    case 'runtask':
+      return {
+        mode: 'direct',
+        action: 'run_task',
+        args: commandArgs
+      };
+
     case 'create-prd':
     case 'createprd':
     case 'prd':
@@ -1335,6 +172,29 @@ function parseArgs(args) {
         args: commandArgs
       };
 
+    case 'doctor':
+      return {
+        mode: 'direct',
+        action: 'doctor',
+        args: commandArgs
+      };
+
+    case 'repair-tasks':
+    case 'repairtasks':
+    case 'repair':
+      return {
+        mode: 'direct',
+        action: 'repair_tasks',
+        args: commandArgs
+      };
+
+    case 'unlock':
+      return {
+        mode: 'direct',
+        action: 'unlock',
+        args: commandArgs
+      };
+
     case 'help':
     case '--help':
     case '-h':
@@ -1349,6 +209,220 @@ function parseArgs(args) {
   }
 }
 
+/**
+ * Parse development options from command arguments
+ *
+ * Supports both "--flag value" and "--flag=value" forms. Exits with an error
+ * message when a value is missing or invalid.
+ *
+ * @param {string[]} args - Arguments following the command
+ * @returns {Object} Options passed to the dev actions (e.g. { concurrency, verify, rollback, retries })
+ */
+function parseDevOptions(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    const value = inlineValue !== undefined ? inlineValue : args[i + 1];
+    const consumeValue = () => {
+      if (inlineValue === undefined) i++;
+      return value;
+    };
+
+    switch (flag) {
+      case '--concurrency': {
+        const concurrency = Number(consumeValue());
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+          console.error('--concurrency must be a positive integer');
+          process.exit(1);
+        }
+        options.concurrency = concurrency;
+        break;
+      }
+
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+
+      case '--force':
+        options.force = true;
+        break;
+
+      case '--tasks': {
+        const tasksFile = consumeValue();
+        if (!tasksFile || tasksFile.startsWith('--')) {
+          console.error('--tasks requires a task file (e.g. bugs, bugs-tasks.json or tasks/bugs-tasks.json)');
+          process.exit(1);
+        }
+        try {
+          resolveWorkstream(process.cwd(), tasksFile);
+        } catch (error) {
+          console.error(`--tasks: ${error.message}`);
+          process.exit(1);
+        }
+        options.tasksFile = tasksFile;
+        break;
+      }
+
+      case '--backend': {
+        const backend = consumeValue();
+        if (!AGENT_BACKEND_NAMES.includes(backend)) {
+          console.error(`--backend must be one of: ${AGENT_BACKEND_NAMES.join(', ')}`);
+          process.exit(1);
+        }
+        options.backend = backend;
+        break;
+      }
+
+      case '--record':
+      case '--replay': {
+        const dir = consumeValue();
+        if (!dir || dir.startsWith('--')) {
+          console.error(`${flag} requires a directory (e.g. tasks/recordings/run-1)`);
+          process.exit(1);
+        }
+        try {
+          const checkDirectory = flag === '--record' ? assertRecordDirectory : assertReplayDirectory;
+          checkDirectory(dir);
+        } catch (error) {
+          console.error(`${flag}: ${error.message}`);
+          process.exit(1);
+        }
+        options[flag.slice(2)] = dir;
+        break;
+      }
+
+      case '--base': {
+        const base = consumeValue();
+        if (!base || base.startsWith('--')) {
+          console.error('--base requires a branch name');
+          process.exit(1);
+        }
+        options.base = base;
+        break;
+      }
+
+      case '--from-head':
+        options.fromHead = true;
+        break;
+
+      case '--rebase':
+        options.rebase = true;
+        break;
+
+      case '--fresh-sessions':
+        options.freshSessions = true;
+        break;
+
+      case '--review':
+        options.review = true;
+        break;
+
+      case '--verify': {
+        const command = consumeValue();
+        if (!command) {
+          console.error('--verify requires a command');
+          process.exit(1);
+        }
+        options.verify = [...(options.verify || []), command];
+        break;
+      }
+
+      case '--rollback': {
+        const policy = consumeValue();
+        if (!ROLLBACK_POLICIES.includes(policy)) {
+          console.error(`--rollback must be one of: ${ROLLBACK_POLICIES.join(', ')}`);
+          process.exit(1);
+        }
+        options.rollback = policy;
+        break;
+      }
+
+      case '--retries': {
+        const retries = Number(consumeValue());
+        if (!Number.isInteger(retries) || retries < 0) {
+          console.error('--retries must be a non-negative integer');
+          process.exit(1);
+        }
+        options.retries = retries;
+        break;
+      }
+
+      case '--retry-models': {
+        const models = (consumeValue() || '').split(',').map((model) => model.trim()).filter(Boolean);
+        if (models.length === 0) {
+          console.error('--retry-models requires a comma-separated list of models');
+          process.exit(1);
+        }
+        options.retryModels = models;
+        break;
+      }
+
+      case '--on-failure': {
+        const policy = consumeValue();
+        if (!ON_FAILURE_POLICIES.includes(policy)) {
+          console.error(`--on-failure must be one of: ${ON_FAILURE_POLICIES.join(', ')}`);
+          process.exit(1);
+        }
+        options.onFailure = policy;
+        break;
+      }
+
+      case '--max-duration': {
+        const maxDurationMs = parseDuration(consumeValue());
+        if (!maxDurationMs) {
+          console.error('--max-duration must be a duration such as 3h, 90m or 1h30m');
+          process.exit(1);
+        }
+        options.maxDurationMs = maxDurationMs;
+        break;
+      }
+
+      case '--until': {
+        const until = parseClockTime(consumeValue());
+        if (!until) {
+          console.error('--until must be a local time as HH:MM (e.g. 07:00)');
+          process.exit(1);
+        }
+        options.until = until;
+        break;
+      }
+
+      case '--max-iterations-total': {
+        const maxIterationsTotal = Number(consumeValue());
+        if (!Number.isInteger(maxIterationsTotal) || maxIterationsTotal < 1) {
+          console.error('--max-iterations-total must be a positive integer');
+          process.exit(1);
+        }
+        options.maxIterationsTotal = maxIterationsTotal;
+        break;
+      }
+
+      case '--max-stories': {
+        const maxStories = Number(consumeValue());
+        if (!Number.isInteger(maxStories) || maxStories < 1) {
+          console.error('--max-stories must be a positive integer');
+          process.exit(1);
+        }
+        options.maxStories = maxStories;
+        break;
+      }
+
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        console.error("Use 'ralph help' for usage information");
+        process.exit(1);
+    }
+  }
+
+  if (options.record && options.replay) {
+    console.error('--record and --replay cannot be combined');
+    process.exit(1);
+  }
+
+  return options;
+}
+
 /**
  * Display help information
  */
@@ -1363,23 +437,75 @@ COMMANDS:
   dev, resume              Start/resume development on tasks.json (non-interactive)
   run-dev, rundev          Select a tasks.json file and start development
   restart-dev, restartdev  Resume development after interruption
+  run-task <US-ID...>      Run specific stories by ID (--force re-runs completed ones)
   create-prd, prd          Generate a new PRD
   create-tasks, tasks      Select a PRD and generate tasks.json
   create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
+  reset-tasks, reset       Clear completion status from tasks.json (--tasks FILE: another workstream)
+  repair-tasks, repair     Rebuild an unreadable tasks.json from its journal (--force: even if readable,
+                           --tasks FILE: another workstream)
   learn-skills, learn      Extract learnings and create/update skills
   analyze-logs, analyze    Analyze logs for issues and insights
   create-recommendations   Generate recommendations report
+  doctor                   Check the environment (agent CLI, API keys, git, tasks.json) before a run
+  unlock [--force]         Remove the project lock (tasks/ralph.lock) left behind by a crashed run
+
+DEV OPTIONS (dev, run-dev, restart-dev, run-task):
+  --tasks FILE             Run another workstream: tasks/<name>-tasks.json (FILE: name, file name or
+                           path), with its own <name>-progress.txt, <name>-next_task.md and branchName
+  --dry-run                Print branch, execution order, models and prompts without running agents
+  --backend NAME           Coding-agent CLI: cursor, codex, gemini (default: agentBackend in
+                           tasks.json, then RALPH_AGENT_BACKEND, then cursor)
+  --record DIR             Record every agent event stream to DIR (new or empty directory)
+  --replay DIR             Replay a recording instead of running an agent: no network, no tokens
+                           (start from the recorded DIR/tasks.json; one story at a time)
+  --base BRANCH            Base branch for a new feature branch (default: detected from origin/HEAD)
+  --from-head              Create a new feature branch from the current HEAD instead of the base
+  --rebase                 Rebase an existing feature branch onto the base before resuming
+  --fresh-sessions         restart-dev: start new agent conversations instead of resuming saved ones
+  --concurrency N          Run up to N independent stories in parallel git worktrees (default: 1)
+  --review                 Approve, reject or give feedback on each story before it is committed
+  --verify "<command>"     Verification command run before a story is marked complete
+                           (repeatable; overrides verificationCommands in tasks.json)
+  --rollback POLICY        What to do with a failed story's changes: keep, stash, reset
+                           (default: stash; stash and reset save the diff under logs/)
+  --retries N              Retry a failed story up to N times in a fresh session (default: 2)
+  --retry-models a,b,c     Model ladder for retries, weakest first (default: grok,auto,gpt-5.2)
+  --on-failure POLICY      After a story fails: stop, skip-dependents, continue
+                           (default: skip-dependents - unrelated stories keep running)
+
+RUN BUDGETS (the current iteration finishes, state is saved, 'ralph dev' resumes):
+  --max-duration DURATION  Stop after this much wall-clock time (e.g. 3h, 90m, 1h30m)
+  --until HH:MM            Stop at this local time (next occurrence)
+  --max-iterations-total N Stop after N Ralph Loop iterations across all stories
+  --max-stories N          Stop after completing N stories
+
+INTERRUPTING A RUN:
+  Ctrl+C (or SIGTERM) stops the agent, marks the running story as interrupted with its
+  agent session and iteration, and saves tasks.json. 'ralph restart-dev' offers to resume it
+  in the same agent conversation (saved after every iteration, while under the context
+  limit). Press Ctrl+C a second time to exit immediately.
 
 INTERACTIVE MODE:
   ralph                    Start interactive menu (default when no arguments)
 
 EXAMPLES:
+  ralph doctor             # Catch setup problems before starting a run
   ralph dev                # Auto-resume tasks.json development
   ralph create-prd         # Interactive PRD creation
   ralph create-tasks       # Select PRD and generate tasks
   ralph run-dev            # Select tasks file and run development
   ralph restart-dev        # Resume after interruption
+  ralph run-task US-004 US-007 --force # Redo specific stories
+  ralph dev --dry-run      # Preview the execution plan and prompts
+  ralph dev --tasks bugs   # Work through tasks/bugs-tasks.json, separate from tasks.json
+  ralph dev --backend codex # Run the same tasks.json with the Codex CLI
+  ralph dev --replay tasks/recordings/run-1 # Re-run the orchestrator on a recorded run
+  ralph dev --concurrency 3 # Run up to 3 independent stories at once
+  ralph dev --verify "npm test" --verify "npx tsc --noEmit"
+  ralph dev --on-failure stop # Halt at the first failed story
+  ralph dev --review       # Gate every story commit on human approval
+  ralph dev --until 07:00  # Overnight run that stops before the morning
   ralph reset-tasks        # Reset task completion status
   ralph learn-skills       # Extract skills from progress.txt
 
@@ -1401,16 +527,25 @@ async function executeDirectAction(action, args, mcpConfigForAgent, projectPath)
 
   switch (action) {
     case 'dev':
-      await actionDev(projectPath, mcpConfigForAgent);
+      await actionDev(projectPath, mcpConfigForAgent, parseDevOptions(args));
       break;
 
     case 'run_dev':
-      await actionRunDev(projectPath, mcpConfigForAgent);
+      await actionRunDev(projectPath, mcpConfigForAgent, parseDevOptions(args));
       break;
 
     case 'restart_dev':
-      await actionRestartDev(projectPath, mcpConfigForAgent);
+      await actionRestartDev(projectPath, mcpConfigForAgent, parseDevOptions(args));
+      break;
+
+    case 'run_task': {
+      // Leading arguments are story IDs, the rest are dev options
+      const firstOption = args.findIndex((arg) => arg.startsWith('--'));
+      const storyIds = firstOption === -1 ? args : args.slice(0, firstOption);
+      const devOptions = parseDevOptions(firstOption === -1 ? [] : args.slice(firstOption));
+      await actionRunTask(projectPath, mcpConfigForAgent, storyIds, devOptions);
       break;
+    }
 
     case 'create_prd':
       await actionCreatePRD(mcpConfigForAgent);
@@ -1425,7 +560,7 @@ async function executeDirectAction(action, args, mcpConfigForAgent, projectPath)
       break;
 
     case 'reset_tasks':
-      await actionResetTasks();
+      await actionResetTasks({ tasksFile: parseDevOptions(args).tasksFile });
       break;
 
     case 'learn_skills':
@@ -1448,11 +583,25 @@ async function executeDirectAction(action, args, mcpConfigForAgent, projectPath)
       await actionCreateRecommendationsReport(mcpConfigForAgent);
       break;
 
+    case 'doctor':
+      await actionDoctor(projectPath);
+      break;
+
+    case 'repair_tasks':
+      await actionRepairTasks(projectPath, parseDevOptions(args));
+      break;
+
+    case 'unlock':
+      await actionUnlock({ force: args.includes('--force') });
+      break;
+
     default:
       console.error(`Unknown action: ${action}`);
       process.exit(1);
   }
 }
+
+/**
  * Main orchestrator entry point and menu loop controller
  *
  * This function initializes the orchestrator system and runs the main interactive
@@ -1470,44 +619,6 @@ async function executeDirectAction(action, args, mcpConfigForAgent, projectPath)
  * allowing for multiple workflow iterations within a single session.
  *
  * @returns {Promise<void>} Resolves when user chooses to exit the orchestrator
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
  */
 async function main() {
   // Parse command line arguments
@@ -1527,7 +638,16 @@ async function main() {
   // Handle direct command execution (non-interactive mode)
   if (commandConfig.mode === 'direct') {
     try {
-      await executeDirectAction(commandConfig.action, commandConfig.args, mcpConfigForAgent, projectPath);
+      const { action, args: actionArgs } = commandConfig;
+      // State-mutating commands hold the project lock; dry runs only read
+      if (LOCKED_ACTIONS.has(action) && !actionArgs.includes('--dry-run')) {
+        const command = ['ralph', ...args].join(' ');
+        await withProjectLock(projectPath, command, () =>
+          executeDirectAction(action, actionArgs, mcpConfigForAgent, projectPath)
+        );
+      } else {
+        await executeDirectAction(action, actionArgs, mcpConfigForAgent, projectPath);
+      }
       return; // Exit after direct action completes
     } catch (error) {
       console.error("\nError:", error.message);
@@ -1537,12 +657,12 @@ async function main() {
   // Track automatic restart attempts to prevent infinite loops
   const MAX_AUTOMATIC_RESTARTS = 3;
   let automaticRestartCount = 0;
-  let automaticRestartCount = 0;
 
   // Main interactive menu loop - continues until user chooses to exit
   // This loop provides the primary user interface, allowing multiple workflow
   // iterations and graceful error recovery
   while (true) {
+  let projectLock = null; // Held while a state-mutating action runs
   try {
   // Display main menu and await user selection
   // showMainMenu() handles all menu rendering and input validation
@@ -1557,6 +677,11 @@ async function main() {
       // Reset automatic restart counter on successful action
       automaticRestartCount = 0;
 
+      // State-mutating actions hold the project lock (one Ralph run per project)
+      if (LOCKED_ACTIONS.has(choice)) {
+        projectLock = acquireProjectLock(projectPath, `ralph (menu: ${choice})`);
+      }
+
   // Route user selection to appropriate workflow action
   // Each case represents one phase of the development workflow
   switch (choice) {
@@ -1628,6 +753,11 @@ async function main() {
   await actionCreateRecommendationsReport(mcpConfigForAgent);
   break;
 
+  case "doctor":
+  // Doctor: Pre-flight check of everything a run needs, with fix-it hints
+  await actionDoctor(projectPath);
+  break;
+
   default:
   // Handle unexpected menu choices (shouldn't happen with proper validation)
   console.log("Unknown option. Returning to menu.");
@@ -1664,8 +794,8 @@ async function main() {
         if (error instanceof ResourceExhaustionError) {
           errorMessage = error.message;
           contextInfo = `\n💥 Resource exhaustion details:`;
-          if (error.contextSizeBytes) {
-            contextInfo += `\n  Context size: ${Math.round(error.contextSizeBytes/1024)}KB (limit: ${Math.round(MAX_CONTEXT_SIZE_BYTES/1024)}KB)`;
+          if (error.contextTokens) {
+            contextInfo += `\n  Context size: ~${error.contextTokens} tokens (limit: ${MAX_CONTEXT_TOKENS})`;
           }
           if (error.iteration) {
             contextInfo += `\n  Failed at iteration: ${error.iteration}`;
@@ -1705,49 +835,10 @@ async function main() {
         console.error("\nError:", error.message);
         console.log("Returning to menu.\n");
       }
+    } finally {
+      projectLock?.release();
     }
   }
   }
-}
-}
-}
-
-/**
- * Display help information
- */
-function showHelp() {
-  console.log(`
-Ralph - Development Orchestrator
-
-USAGE:
-  ralph [command] [options]
-
-COMMANDS:
-  dev, resume              Start/resume development on tasks.json (non-interactive)
-  run-dev, rundev          Select a tasks.json file and start development
-  restart-dev, restartdev  Resume development after interruption
-  create-prd, prd          Generate a new PRD
-  create-tasks, tasks      Select a PRD and generate tasks.json
-  create-tasks-quick, quick Generate tasks from bugs/changes description
-  reset-tasks, reset       Clear completion status from tasks.json
-  learn-skills, learn      Extract learnings and create/update skills
-  analyze-logs, analyze    Analyze logs for issues and insights
-  create-recommendations   Generate recommendations report
-
-INTERACTIVE MODE:
-  ralph                    Start interactive menu (default when no arguments)
-
-EXAMPLES:
-  ralph dev                # Auto-resume tasks.json development
-  ralph create-prd         # Interactive PRD creation
-  ralph create-tasks       # Select PRD and generate tasks
-  ralph run-dev            # Select tasks file and run development
-  ralph restart-dev        # Resume after interruption
-  ralph reset-tasks        # Reset task completion status
-  ralph learn-skills       # Extract skills from progress.txt
-
-For interactive mode with all options, run without arguments.
-`);
-}
 
 main().catch(console.error);